@@ -0,0 +1,404 @@
+/**
+ * Signed-in account route handlers: dashboard (with linked accounts), active sessions
+ * (page and JSON API), account activity, two-factor settings and passkeys
+ * All routes sit behind requireAuth(), so context.session is always set
+ */
+
+import { clearSessionCookie, listUserSessions, getSessionHandle, destroyUserSessionByHandle, destroyAllUserSessions } from '../lib/session.js';
+import { logUserAction, getUserAuditEntries } from '../lib/audit.js';
+import { requestPasswordReset } from '../lib/password-reset.js';
+import { loadUser } from '../lib/middleware.js';
+import { hasPermission, PERMISSIONS } from '../lib/rbac.js';
+import { getUserTwoFactor } from '../lib/auth.js';
+import { startTwoFactorEnrollment, enableTwoFactor, verifySecondFactor, disableTwoFactor, regenerateRecoveryCodes } from '../lib/two-factor.js';
+import { createRegistrationOptions, verifyRegistration, listPasskeys, deletePasskey } from '../lib/webauthn.js';
+import { listIdentities, unlinkIdentity } from '../lib/identities.js';
+import { listOAuthProviders, getOAuthProvider, startOAuthFlow, createOAuthStateCookie } from '../lib/oauth.js';
+import { renderQrCodeSvg } from '../lib/qrcode.js';
+import { getConfig } from '../lib/config.js';
+import { sanitizeHtml, redirect, jsonResponse, parseUserAgent, getBaseUrl } from '../lib/utils.js';
+import { renderDashboard, renderSessionsPage, renderActivityPage, renderTwoFactorPage, renderPasskeysPage } from '../lib/templates.js';
+
+// Events shown on the activity page; anything else in the index is internal
+const ACTIVITY_LABELS = {
+  user_registered: 'Account created',
+  email_verified: 'Email verified',
+  user_login: 'Signed in',
+  login_failed: 'Failed sign-in attempt',
+  account_temporarily_locked: 'Locked after failed sign-ins',
+  account_unlocked: 'Unlocked',
+  logout: 'Signed out',
+  password_changed: 'Password changed',
+  password_reset_requested: 'Password reset requested',
+  password_reset: 'Password reset',
+  magic_link_requested: 'Sign-in link requested',
+  session_revoked: 'Session revoked',
+  sessions_revoked_others: 'Other sessions signed out',
+  compromise_reported: 'Reported suspicious activity',
+  two_factor_enabled: 'Two-factor authentication turned on',
+  two_factor_disabled: 'Two-factor authentication turned off',
+  recovery_code_used: 'Recovery code used',
+  recovery_codes_regenerated: 'New recovery codes generated',
+  passkey_registered: 'Passkey added',
+  passkey_removed: 'Passkey removed',
+  passkey_rejected: 'Passkey rejected (it may have been copied)',
+  identity_linked: 'Linked account added',
+  identity_unlinked: 'Linked account removed'
+};
+
+const ACTIVITY_ENTRIES = 50;
+
+// Dashboard
+export async function handleDashboard(request, context) {
+  const { env, url, session } = context;
+  await loadUser(context);
+  const showAdminLink = hasPermission(context.roles, PERMISSIONS.USERS_READ);
+
+  // Identities of providers that have since been turned off aren't shown
+  const identities = context.user ? await listIdentities(env, context.user.id) : [];
+  const linkedAccounts = listOAuthProviders(env).map(({ id, name }) => {
+    const identity = identities.find(linked => linked.provider === id);
+    return {
+      id,
+      name: sanitizeHtml(name),
+      identity: identity ? { ...identity, email: identity.email ? sanitizeHtml(identity.email) : null } : null
+    };
+  });
+  const flash = url.searchParams.get("message");
+
+  return new Response(renderDashboard({ ...session, email: sanitizeHtml(session.email) }, context.csrf.token, {
+    showAdminLink,
+    linkedAccounts,
+    message: flash ? { type: 'info', text: sanitizeHtml(flash) } : ''
+  }), {
+    headers: { "Content-Type": "text/html; charset=utf-8" }
+  });
+}
+
+// POST /account/identities/link: off to the provider; the callback (handleOAuthCallback) links the identity
+export async function handleLinkIdentity(request, context) {
+  const { env, user } = context;
+  const formData = await request.formData();
+  const provider = getOAuthProvider(env, (formData.get("provider") || "").toString());
+  if (!provider) {
+    return redirect("/dashboard?message=" + encodeURIComponent("That sign-in provider isn't available."));
+  }
+
+  const identities = await listIdentities(env, user.id);
+  if (identities.some(linked => linked.provider === provider.id)) {
+    return redirect("/dashboard?message=" + encodeURIComponent(`Your ${provider.name} account is already linked.`));
+  }
+
+  const result = await startOAuthFlow(env, provider.id, request, { linkUserId: user.id });
+  if (!result.success) {
+    return redirect("/dashboard?message=" + encodeURIComponent(`${provider.name} can't be reached right now. Please try again later.`));
+  }
+  return redirect(result.url, 302, { "Set-Cookie": createOAuthStateCookie(env, result.state) });
+}
+
+// POST /account/identities/unlink
+export async function handleUnlinkIdentity(request, context) {
+  const { env, user } = context;
+  const formData = await request.formData();
+  const providerId = (formData.get("provider") || "").toString();
+  const identities = await listIdentities(env, user.id);
+
+  // Unlinking the last way in would leave only password reset, so another one is required
+  const otherWayIn = user.hasPassword ||
+    getConfig(env).magicLink.enabled ||
+    identities.some(linked => linked.provider !== providerId) ||
+    (await listPasskeys(env, user.id)).length > 0;
+  if (!otherWayIn) {
+    return redirect("/dashboard?message=" + encodeURIComponent(
+      "This is your only way to sign in. Set a password first (use \"Forgot your password?\" on the login page) or add a passkey."
+    ));
+  }
+
+  const result = await unlinkIdentity(env, user, providerId, request);
+  const provider = getOAuthProvider(env, providerId);
+  const text = result.success ? `${provider ? provider.name : 'Account'} unlinked.` : result.error;
+  return redirect("/dashboard?message=" + encodeURIComponent(text));
+}
+
+// Active sessions of the signed-in user, in display form (newest first)
+async function describeUserSessions(env, session) {
+  const sessions = await listUserSessions(env, session.email);
+  return Promise.all(sessions.map(async (userSession) => {
+    const { browser, os, device, label } = parseUserAgent(userSession.userAgent);
+    return {
+      id: await getSessionHandle(userSession.id),
+      label,
+      browser,
+      os,
+      device,
+      ip: userSession.ip || null,
+      createdAt: userSession.createdAt,
+      lastActivity: userSession.lastActivity,
+      current: userSession.id === session.id
+    };
+  }));
+}
+
+// Revoke one session by handle; returns the revoked session description or null
+async function revokeUserSession(request, context, handle) {
+  const { env, session } = context;
+  const revoked = await destroyUserSessionByHandle(env, session.email, handle);
+  if (!revoked) return null;
+  
+  const { label } = parseUserAgent(revoked.userAgent);
+  await logUserAction(env, 'session_revoked', session.userId || session.email, {
+    request,
+    revokedSession: handle,
+    revokedDevice: label,
+    current: revoked.id === session.id
+  }, context.ctx);
+  return { id: handle, label, current: revoked.id === session.id };
+}
+
+// Revoke every session except the current one; returns the number revoked
+async function revokeOtherUserSessions(request, context) {
+  const { env, session } = context;
+  const count = await destroyAllUserSessions(env, session.email, { exceptSessionId: session.id });
+  await logUserAction(env, 'sessions_revoked_others', session.userId || session.email, {
+    request,
+    count
+  }, context.ctx);
+  return count;
+}
+
+// Active sessions page
+export async function handleSessionsPage(request, context) {
+  const { env, session, url } = context;
+  
+  const flash = url.searchParams.get("message");
+  const sessions = (await describeUserSessions(env, session)).map(userSession => ({
+    ...userSession,
+    handle: userSession.id,
+    ip: sanitizeHtml(userSession.ip || '')
+  }));
+  
+  const html = renderSessionsPage({
+    sessions,
+    csrfToken: context.csrf.token,
+    message: flash ? { type: 'info', text: sanitizeHtml(flash) } : ''
+  });
+  return new Response(html, {
+    headers: { "Content-Type": "text/html; charset=utf-8" }
+  });
+}
+
+// Sessions page form action: revoke one session
+export async function handleRevokeSession(request, context) {
+  const { env } = context;
+  
+  const formData = await request.formData();
+  const revoked = await revokeUserSession(request, context, (formData.get("session") || "").toString());
+  if (revoked?.current) {
+    const response = redirect("/login?message=" + encodeURIComponent("You have been logged out."));
+    clearSessionCookie(env).forEach(cookie => response.headers.append("Set-Cookie", cookie));
+    return response;
+  }
+  const text = revoked ? "Session revoked." : "That session was not found or has already ended.";
+  return redirect("/account/sessions?message=" + encodeURIComponent(text));
+}
+
+// Sessions page form action: revoke every other session
+export async function handleRevokeOtherSessions(request, context) {
+  const count = await revokeOtherUserSessions(request, context);
+  return redirect("/account/sessions?message=" + encodeURIComponent(`Logged out ${count} other session${count === 1 ? '' : 's'}.`));
+}
+
+// GET /api/account/sessions
+export async function handleListSessionsApi(request, context) {
+  return jsonResponse({ sessions: await describeUserSessions(context.env, context.session) });
+}
+
+// DELETE /api/account/sessions/:id
+export async function handleRevokeSessionApi(request, context) {
+  const revoked = await revokeUserSession(request, context, context.params.id);
+  if (!revoked) {
+    return jsonResponse({ error: 'Session not found' }, 404);
+  }
+  return jsonResponse({ revoked });
+}
+
+// POST /api/account/sessions/revoke-others
+export async function handleRevokeOtherSessionsApi(request, context) {
+  return jsonResponse({ revoked: await revokeOtherUserSessions(request, context) });
+}
+
+// Account activity page: recent sign-ins, password changes and session revocations
+export async function handleActivityPage(request, context) {
+  const { env, session, url } = context;
+  
+  const { entries } = await getUserAuditEntries(env, session.userId, { limit: ACTIVITY_ENTRIES });
+  const activity = entries
+    .filter(entry => ACTIVITY_LABELS[entry.action])
+    .map(entry => ({
+      label: ACTIVITY_LABELS[entry.action],
+      failed: entry.outcome === 'failure',
+      time: entry.time,
+      ip: sanitizeHtml((entry.request && entry.request.ip) || ''),
+      device: entry.request && entry.request.userAgent ? parseUserAgent(entry.request.userAgent).label : ''
+    }));
+  
+  const flash = url.searchParams.get("message");
+  const html = renderActivityPage({
+    entries: activity,
+    csrfToken: context.csrf.token,
+    message: flash ? { type: 'info', text: sanitizeHtml(flash) } : ''
+  });
+  return new Response(html, {
+    headers: { "Content-Type": "text/html; charset=utf-8" }
+  });
+}
+
+// "This wasn't me": sign out everywhere (including here) and email a password reset link
+export async function handleReportNotMe(request, context) {
+  const { env, session } = context;
+  
+  const count = await destroyAllUserSessions(env, session.email);
+  await logUserAction(env, 'compromise_reported', session.userId || session.email, {
+    request,
+    sessionsRevoked: count
+  }, context.ctx);
+  await requestPasswordReset(env, session.email, request);
+  
+  const text = "We've signed out every session and emailed you a link to choose a new password.";
+  const response = redirect("/login?message=" + encodeURIComponent(text));
+  clearSessionCookie(env).forEach(cookie => response.headers.append("Set-Cookie", cookie));
+  return response;
+}
+
+// Two-factor page: enrollment QR code, or status and management forms once enabled
+async function renderTwoFactorSettings(request, context, { message = '', recoveryCodes = null, status = 200 } = {}) {
+  const { env } = context;
+  const user = context.user;
+  const twoFactor = await getUserTwoFactor(user.id, env);
+
+  let enrollment = { qrSvg: '', secret: '', uri: '' };
+  if (!twoFactor) {
+    const issuer = getConfig(env).twoFactor.issuer || new URL(getBaseUrl(env, request)).hostname;
+    const { secret, uri } = await startTwoFactorEnrollment(env, user, issuer);
+    // The SVG is generated from the URI, so it's safe to embed as-is
+    enrollment = { qrSvg: renderQrCodeSvg(uri), secret, uri: sanitizeHtml(uri) };
+  }
+
+  const html = renderTwoFactorPage({
+    enabled: Boolean(twoFactor),
+    enabledAt: twoFactor ? twoFactor.enabledAt : null,
+    remainingRecoveryCodes: twoFactor ? twoFactor.recoveryCodes.length : 0,
+    ...enrollment,
+    recoveryCodes,
+    message,
+    csrfToken: context.csrf.token
+  });
+  return new Response(html, {
+    status,
+    headers: { "Content-Type": "text/html; charset=utf-8", "Cache-Control": "no-store" }
+  });
+}
+
+// GET /account/2fa
+export async function handleTwoFactorPage(request, context) {
+  const flash = context.url.searchParams.get("message");
+  return renderTwoFactorSettings(request, context, {
+    message: flash ? { type: 'info', text: sanitizeHtml(flash) } : ''
+  });
+}
+
+// POST /account/2fa/enable — confirm enrollment with a code from the app
+export async function handleEnableTwoFactor(request, context) {
+  const formData = await request.formData();
+  const result = await enableTwoFactor(context.env, context.user, (formData.get("code") || "").toString(), request);
+  if (!result.success) {
+    return renderTwoFactorSettings(request, context, { message: { type: 'error', text: sanitizeHtml(result.error) }, status: 400 });
+  }
+  return renderTwoFactorSettings(request, context, {
+    message: { type: 'info', text: 'Two-factor authentication is on.' },
+    recoveryCodes: result.recoveryCodes
+  });
+}
+
+// POST /account/2fa/disable — needs a current code (or recovery code)
+export async function handleDisableTwoFactor(request, context) {
+  const { env, user } = context;
+  const formData = await request.formData();
+  const check = await verifySecondFactor(env, user, (formData.get("code") || "").toString(), request);
+  if (!check.success) {
+    return renderTwoFactorSettings(request, context, { message: { type: 'error', text: 'Invalid code.' }, status: 400 });
+  }
+
+  const result = await disableTwoFactor(env, user, request);
+  const text = result.success ? "Two-factor authentication is off." : result.error;
+  return redirect("/account/2fa?message=" + encodeURIComponent(text));
+}
+
+// POST /account/2fa/recovery-codes — needs a current code (or recovery code)
+export async function handleRegenerateRecoveryCodes(request, context) {
+  const { env, user } = context;
+  const formData = await request.formData();
+  const check = await verifySecondFactor(env, user, (formData.get("code") || "").toString(), request);
+  if (!check.success) {
+    return renderTwoFactorSettings(request, context, { message: { type: 'error', text: 'Invalid code.' }, status: 400 });
+  }
+
+  const result = await regenerateRecoveryCodes(env, user, request);
+  if (!result.success) {
+    return renderTwoFactorSettings(request, context, { message: { type: 'error', text: sanitizeHtml(result.error) }, status: 400 });
+  }
+  return renderTwoFactorSettings(request, context, { recoveryCodes: result.recoveryCodes });
+}
+
+// Passkeys page: registered credentials, with a button to add another
+export async function handlePasskeysPage(request, context) {
+  const { env, url, user } = context;
+
+  const passkeys = (await listPasskeys(env, user.id)).map(passkey => ({
+    ...passkey,
+    id: sanitizeHtml(passkey.id),
+    name: sanitizeHtml(passkey.name)
+  }));
+  const flash = url.searchParams.get("message");
+  const html = renderPasskeysPage({
+    passkeys,
+    maxPasskeys: getConfig(env).webauthn.maxCredentials,
+    csrfToken: context.csrf.token,
+    message: flash ? { type: 'info', text: sanitizeHtml(flash) } : ''
+  });
+  return new Response(html, {
+    headers: { "Content-Type": "text/html; charset=utf-8", "Cache-Control": "no-store" }
+  });
+}
+
+// POST /account/passkeys/revoke
+export async function handleRevokePasskey(request, context) {
+  const formData = await request.formData();
+  const result = await deletePasskey(context.env, context.user, (formData.get("passkey") || "").toString(), request);
+  const text = result.success ? "Passkey removed." : result.error;
+  return redirect("/account/passkeys?message=" + encodeURIComponent(text));
+}
+
+// POST /api/webauthn/register/options
+export async function handlePasskeyRegisterOptions(request, context) {
+  return jsonResponse(await createRegistrationOptions(context.env, context.user, request));
+}
+
+// POST /api/webauthn/register/verify — { name, credential }
+export async function handlePasskeyRegisterVerify(request, context) {
+  const body = await request.json().catch(() => null);
+  const result = await verifyRegistration(
+    context.env,
+    context.user,
+    body && body.credential,
+    request,
+    body && typeof body.name === 'string' ? body.name : ''
+  );
+  if (!result.success) {
+    return jsonResponse({ error: result.error }, 400);
+  }
+  return jsonResponse({
+    passkey: result.passkey,
+    redirect: "/account/passkeys?message=" + encodeURIComponent(`Passkey "${result.passkey.name}" added.`)
+  }, 201);
+}
@@ -0,0 +1,233 @@
+/**
+ * Admin console route handlers: user search, user detail and account actions
+ * All routes sit behind requirePermission(), so context.user is the acting admin
+ */
+
+import { listUsers, getUserById, updateUser, deleteUser, setUserLocked } from '../lib/auth.js';
+import { listUserSessions, destroyAllUserSessions } from '../lib/session.js';
+import { clearLoginFailures } from '../lib/lockout.js';
+import { auditLog } from '../lib/audit.js';
+import { DEFAULT_ROLE, getRoleNames, getUserRoles, setUserRoles } from '../lib/rbac.js';
+import { getConfig } from '../lib/config.js';
+import { ErrorResponses } from '../lib/error-responses.js';
+import { sanitizeHtml, redirect, parseUserAgent } from '../lib/utils.js';
+import { renderAdminUsersPage, renderAdminUserPage } from '../lib/templates.js';
+
+const USERS_PER_PAGE = 25;
+
+// Flash message from ?message= / ?error= after an action redirect
+function flashFromQuery(url) {
+  const error = url.searchParams.get("error");
+  const message = url.searchParams.get("message");
+  if (error) return { type: 'error', text: sanitizeHtml(error) };
+  if (message) return { type: 'info', text: sanitizeHtml(message) };
+  return '';
+}
+
+// Redirect back to a user's page with a flash message
+function backToUser(userId, text, type = 'message') {
+  return redirect(`/admin/users/${encodeURIComponent(userId)}?${type}=${encodeURIComponent(text)}`);
+}
+
+// Record an admin action against a user, with the acting admin's ID
+async function logAdminAction(request, context, action, target, details = {}) {
+  await auditLog(context.env, {
+    action,
+    actor: { type: 'admin', id: context.user.id, email: context.user.email },
+    target: { type: 'user', id: target.id, email: target.email },
+    request,
+    details
+  }, context.ctx);
+}
+
+// Load the user named in the route, or null
+function loadTargetUser(context) {
+  return getUserById(context.params.id, context.env);
+}
+
+// GET /admin
+export async function handleAdminHome() {
+  return redirect("/admin/users");
+}
+
+// GET /admin/users?q=<email prefix>&cursor=<page cursor>
+export async function handleAdminUsers(request, context) {
+  const { env, url } = context;
+  const query = (url.searchParams.get("q") || "").trim().toLowerCase();
+  const { users, cursor } = await listUsers(env, {
+    prefix: query,
+    cursor: url.searchParams.get("cursor") || null,
+    limit: USERS_PER_PAGE
+  });
+
+  const html = renderAdminUsersPage({
+    users: users.map(user => ({
+      id: user.id,
+      email: sanitizeHtml(user.email),
+      plan: sanitizeHtml(user.plan || 'free'),
+      roles: sanitizeHtml(getUserRoles(user, env).join(', ')),
+      verified: user.verified,
+      locked: user.locked,
+      createdAt: user.createdAt
+    })),
+    query: sanitizeHtml(query),
+    nextPageUrl: cursor ? `/admin/users?q=${encodeURIComponent(query)}&cursor=${encodeURIComponent(cursor)}` : '',
+    message: flashFromQuery(url)
+  });
+  return new Response(html, {
+    headers: { "Content-Type": "text/html; charset=utf-8" }
+  });
+}
+
+// GET /admin/users/:id
+export async function handleAdminUser(request, context) {
+  const { env, url } = context;
+  const user = await loadTargetUser(context);
+  if (!user) {
+    return ErrorResponses.notFound('User not found');
+  }
+
+  const record = Object.fromEntries(Object.entries({ ...user, roles: getUserRoles(user, env) }).map(([key, value]) => [
+    sanitizeHtml(key),
+    sanitizeHtml(typeof value === 'string' ? value : JSON.stringify(value))
+  ]));
+  const sessions = (await listUserSessions(env, user.email)).map(userSession => ({
+    label: parseUserAgent(userSession.userAgent).label,
+    ip: sanitizeHtml(userSession.ip || ''),
+    createdAt: userSession.createdAt,
+    lastActivity: userSession.lastActivity
+  }));
+
+  const html = renderAdminUserPage({
+    user: {
+      id: user.id,
+      email: sanitizeHtml(user.email),
+      plan: sanitizeHtml(user.plan || ''),
+      verified: user.verified,
+      locked: user.locked
+    },
+    record,
+    sessions,
+    plans: getConfig(env).auth.plans.map(sanitizeHtml),
+    // Only admins may change roles; other staff roles just see them in the record
+    roles: context.roles.includes('admin')
+      ? getRoleNames().map(name => ({
+        name: sanitizeHtml(name),
+        checked: (Array.isArray(user.roles) && user.roles.length > 0 ? user.roles : [DEFAULT_ROLE]).includes(name)
+      }))
+      : null,
+    csrfToken: context.csrf.token,
+    message: flashFromQuery(url)
+  });
+  return new Response(html, {
+    headers: { "Content-Type": "text/html; charset=utf-8" }
+  });
+}
+
+// POST /admin/users/:id/verify
+export async function handleAdminVerifyUser(request, context) {
+  const user = await loadTargetUser(context);
+  if (!user) return ErrorResponses.notFound('User not found');
+
+  const result = await updateUser(user.id, { verified: true }, context.env);
+  if (!result.success) return backToUser(user.id, result.error, 'error');
+
+  await logAdminAction(request, context, 'user_verified', user);
+  return backToUser(user.id, "Email marked as verified.");
+}
+
+// POST /admin/users/:id/plan
+export async function handleAdminChangePlan(request, context) {
+  const user = await loadTargetUser(context);
+  if (!user) return ErrorResponses.notFound('User not found');
+
+  const formData = await request.formData();
+  const plan = (formData.get("plan") || "").toString();
+  if (!getConfig(context.env).auth.plans.includes(plan)) {
+    return backToUser(user.id, "Unknown plan.", 'error');
+  }
+
+  const result = await updateUser(user.id, { plan }, context.env);
+  if (!result.success) return backToUser(user.id, result.error, 'error');
+
+  await logAdminAction(request, context, 'plan_changed', user, { previous: user.plan || null, plan });
+  return backToUser(user.id, `Plan changed to ${plan}.`);
+}
+
+// POST /admin/users/:id/roles (admins only)
+export async function handleAdminChangeRoles(request, context) {
+  const user = await loadTargetUser(context);
+  if (!user) return ErrorResponses.notFound('User not found');
+
+  const formData = await request.formData();
+  const roles = formData.getAll("roles").map(role => role.toString());
+  // Don't let an admin lock themselves out (ADMIN_EMAILS admins keep the role anyway)
+  if (user.id === context.user.id && !roles.includes('admin') && !getUserRoles({ ...user, roles }, context.env).includes('admin')) {
+    return backToUser(user.id, "You can't remove your own admin role.", 'error');
+  }
+
+  const result = await setUserRoles(context.env, user.id, roles, {
+    actor: context.user,
+    request,
+    ctx: context.ctx
+  });
+  if (!result.success) return backToUser(user.id, result.error, 'error');
+
+  return backToUser(user.id, `Roles changed to ${result.roles.join(', ')}.`);
+}
+
+// POST /admin/users/:id/logout
+export async function handleAdminForceLogout(request, context) {
+  const user = await loadTargetUser(context);
+  if (!user) return ErrorResponses.notFound('User not found');
+
+  const count = await destroyAllUserSessions(context.env, user.email);
+  await logAdminAction(request, context, 'sessions_revoked', user, { count });
+  return backToUser(user.id, `Logged out ${count} session${count === 1 ? '' : 's'}.`);
+}
+
+// POST /admin/users/:id/lock
+export async function handleAdminLockUser(request, context) {
+  const user = await loadTargetUser(context);
+  if (!user) return ErrorResponses.notFound('User not found');
+  if (user.id === context.user.id) {
+    return backToUser(user.id, "You can't lock your own account.", 'error');
+  }
+
+  const result = await setUserLocked(user.id, true, context.env, 'admin');
+  if (!result.success) return backToUser(user.id, result.error, 'error');
+
+  // A lock only blocks new logins, so end the sessions that are already open
+  const count = await destroyAllUserSessions(context.env, user.email);
+  await logAdminAction(request, context, 'user_locked', user, { sessionsRevoked: count });
+  return backToUser(user.id, "Account locked.");
+}
+
+// POST /admin/users/:id/unlock
+export async function handleAdminUnlockUser(request, context) {
+  const user = await loadTargetUser(context);
+  if (!user) return ErrorResponses.notFound('User not found');
+
+  const result = await setUserLocked(user.id, false, context.env);
+  if (!result.success) return backToUser(user.id, result.error, 'error');
+  // Lifts a failed-login lockout too
+  await clearLoginFailures(context.env, user.email);
+
+  await logAdminAction(request, context, 'user_unlocked', user);
+  return backToUser(user.id, "Account unlocked.");
+}
+
+// POST /admin/users/:id/delete
+export async function handleAdminDeleteUser(request, context) {
+  const user = await loadTargetUser(context);
+  if (!user) return ErrorResponses.notFound('User not found');
+  if (user.id === context.user.id) {
+    return backToUser(user.id, "You can't delete your own account here.", 'error');
+  }
+
+  await destroyAllUserSessions(context.env, user.email);
+  const result = await deleteUser(user.id, context.env, request, { actor: context.user });
+  if (!result.success) return backToUser(user.id, result.error, 'error');
+
+  return redirect("/admin/users?message=" + encodeURIComponent(`Deleted ${user.email}.`));
+}
@@ -0,0 +1,153 @@
+/**
+ * Audit log viewer (admin page) and export API
+ * All routes sit behind requirePermission(), so context.user is the acting admin
+ */
+
+import { queryAuditLog, AuditQueryError, AUDIT_SOURCES } from '../lib/audit-query.js';
+import { auditLog } from '../lib/audit.js';
+import { sanitizeHtml, jsonResponse } from '../lib/utils.js';
+import { renderAdminAuditPage } from '../lib/templates.js';
+
+const ENTRIES_PER_PAGE = 50;
+const API_MAX_LIMIT = 500;
+// NDJSON exports stop here; narrow the filters to export more
+const EXPORT_MAX_ENTRIES = 10000;
+
+// Filters shared by the page and the API: ?from=&to=&event=&userId=&ip=&source=
+function filtersFromQuery(url) {
+  const param = (name) => (url.searchParams.get(name) || "").trim() || null;
+  const sources = url.searchParams.getAll("source").filter(source => AUDIT_SOURCES.includes(source));
+  return {
+    from: param("from"),
+    to: param("to"),
+    event: param("event"),
+    userId: param("userId"),
+    ip: param("ip"),
+    sources: sources.length > 0 ? sources : AUDIT_SOURCES
+  };
+}
+
+// Query string for a set of filters (plus extra params such as cursor or format)
+function filtersToQuery(filters, extra = {}) {
+  const params = new URLSearchParams();
+  for (const key of ['from', 'to', 'event', 'userId', 'ip']) {
+    if (filters[key]) params.set(key, filters[key]);
+  }
+  if (filters.sources.length < AUDIT_SOURCES.length) {
+    filters.sources.forEach(source => params.append("source", source));
+  }
+  for (const [key, value] of Object.entries(extra)) {
+    params.set(key, value);
+  }
+  return params.toString();
+}
+
+// "admin: alice@example.com" style label for an actor or target
+function describeParty(party) {
+  if (!party) return '';
+  const name = party.email || party.id;
+  return name ? `${party.type}: ${name}` : party.type;
+}
+
+// GET /admin/audit
+export async function handleAdminAudit(request, context) {
+  const { env, url } = context;
+  const filters = filtersFromQuery(url);
+
+  let result = { entries: [], cursor: null };
+  let message = '';
+  try {
+    result = await queryAuditLog(env, {
+      ...filters,
+      cursor: url.searchParams.get("cursor") || null,
+      limit: ENTRIES_PER_PAGE
+    });
+  } catch (error) {
+    if (!(error instanceof AuditQueryError)) throw error;
+    message = { type: 'error', text: sanitizeHtml(error.message) };
+  }
+
+  const html = renderAdminAuditPage({
+    entries: result.entries.map(entry => ({
+      time: sanitizeHtml(entry.time || ''),
+      source: entry.source,
+      action: sanitizeHtml(entry.action),
+      outcome: sanitizeHtml(entry.outcome),
+      actor: sanitizeHtml(describeParty(entry.actor)),
+      target: sanitizeHtml(describeParty(entry.target)),
+      ip: sanitizeHtml((entry.request && entry.request.ip) || ''),
+      details: sanitizeHtml(JSON.stringify(entry.details))
+    })),
+    filters: {
+      from: sanitizeHtml(filters.from || ''),
+      to: sanitizeHtml(filters.to || ''),
+      event: sanitizeHtml(filters.event || ''),
+      userId: sanitizeHtml(filters.userId || ''),
+      ip: sanitizeHtml(filters.ip || ''),
+      sources: filters.sources
+    },
+    sources: AUDIT_SOURCES,
+    nextPageUrl: result.cursor ? `/admin/audit?${filtersToQuery(filters, { cursor: result.cursor })}` : '',
+    exportUrl: `/api/admin/audit?${filtersToQuery(filters, { format: 'ndjson' })}`,
+    message
+  });
+  return new Response(html, {
+    headers: { "Content-Type": "text/html; charset=utf-8" }
+  });
+}
+
+// GET /api/admin/audit — one page as JSON, or everything matching as NDJSON (?format=ndjson)
+export async function handleAuditApi(request, context) {
+  const { env, url } = context;
+  const filters = filtersFromQuery(url);
+  const format = url.searchParams.get("format") || "json";
+  if (!["json", "ndjson"].includes(format)) {
+    return jsonResponse({ error: 'Bad Request', message: 'format must be json or ndjson' }, 400);
+  }
+
+  const limit = Math.min(parseInt(url.searchParams.get("limit")) || ENTRIES_PER_PAGE, API_MAX_LIMIT);
+  let first;
+  try {
+    first = await queryAuditLog(env, { ...filters, cursor: url.searchParams.get("cursor") || null, limit });
+  } catch (error) {
+    if (!(error instanceof AuditQueryError)) throw error;
+    return jsonResponse({ error: 'Bad Request', message: error.message }, 400);
+  }
+
+  await auditLog(env, {
+    action: 'audit_exported',
+    actor: { type: 'admin', id: context.user.id, email: context.user.email },
+    request,
+    details: { format, filters }
+  }, context.ctx);
+
+  if (format === "json") {
+    return jsonResponse(first);
+  }
+
+  // Stream page after page so large exports don't have to fit in memory
+  const encoder = new TextEncoder();
+  let page = first;
+  let sent = 0;
+  const stream = new ReadableStream({
+    async pull(controller) {
+      for (const entry of page.entries) {
+        controller.enqueue(encoder.encode(JSON.stringify(entry) + "\n"));
+      }
+      sent += page.entries.length;
+
+      if (!page.cursor || sent >= EXPORT_MAX_ENTRIES) {
+        controller.close();
+        return;
+      }
+      page = await queryAuditLog(env, { ...filters, cursor: page.cursor, limit: Math.min(API_MAX_LIMIT, EXPORT_MAX_ENTRIES - sent) });
+    }
+  });
+
+  return new Response(stream, {
+    headers: {
+      "Content-Type": "application/x-ndjson; charset=utf-8",
+      "Content-Disposition": `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.ndjson"`
+    }
+  });
+}
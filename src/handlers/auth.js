@@ -0,0 +1,1022 @@
+/**
+ * Authentication route handlers: signup, login (with the optional second factor
+ * step), passkey, magic-link and OAuth/OpenID Connect sign-in, logout, email
+ * verification, password reset and account unlock links
+ */
+
+import {
+  createSession, createSessionCookie, clearSessionCookie, destroySession,
+  createPendingLogin, getPendingLogin, recordPendingLoginAttempt, destroyPendingLogin, createPendingLoginCookie, clearPendingLoginCookie
+} from '../lib/session.js';
+import { logSecurityEvent, logUserAction } from '../lib/audit.js';
+import { checkRateLimits, getClientIP } from '../lib/ratelimit.js';
+import { loginUser, registerUser, getUserByEmail, getUserById, getUserTwoFactor, requiresSecondFactor } from '../lib/auth.js';
+import { sendVerificationEmail, verifyEmailToken } from '../lib/verification.js';
+import { requestPasswordReset, isResetTokenValid, completePasswordReset } from '../lib/password-reset.js';
+import { unlockWithToken, recordLoginFailure, clearLoginFailures } from '../lib/lockout.js';
+import { verifySecondFactor } from '../lib/two-factor.js';
+import { createAuthenticationOptions, verifyAuthentication, listPasskeys } from '../lib/webauthn.js';
+import {
+  requestMagicLink, isMagicLinkValid, consumeMagicLink, getMagicLinkNonce, createMagicLinkNonceCookie, clearMagicLinkNonceCookie
+} from '../lib/magic-link.js';
+import {
+  getOAuthProvider, listOAuthProviders, startOAuthFlow, completeOAuthFlow, signInWithIdentity, createOAuthStateCookie, clearOAuthStateCookie
+} from '../lib/oauth.js';
+import { linkIdentity } from '../lib/identities.js';
+import { getConfig } from '../lib/config.js';
+import { getEmailErrorMessage } from '../lib/email-validation.js';
+import { sanitizeHtml, sanitizeRedirect, redirect, jsonResponse } from '../lib/utils.js';
+import { renderAuthForm } from '../lib/templates.js';
+import { ErrorResponses } from '../lib/error-responses.js';
+
+// "Continue with <provider>" links for the login and signup forms
+function oauthLinks(env, next = '') {
+  return listOAuthProviders(env).map(({ id, name }) => ({
+    name: sanitizeHtml(name),
+    href: sanitizeHtml(`/login/oauth/${id}${next ? `?next=${encodeURIComponent(next)}` : ''}`)
+  }));
+}
+
+// Signup form, shared by GET and failed POST attempts
+function renderSignupForm(env, { message = '', status = 200, csrfToken = '' } = {}) {
+  const { honeypotFieldName } = getConfig(env).security;
+  const html = renderAuthForm({
+    title: 'Sign Up',
+    action: '/signup',
+    csrfToken,
+    submitText: 'Create Account',
+    message,
+    extraFields: `<input type="text" name="${honeypotFieldName}" style="display: none;" tabindex="-1" autocomplete="off"> <!-- Honeypot -->`,
+    oauthLinks: getConfig(env).oauth.autoCreate ? oauthLinks(env) : [],
+    alternateLink: {
+      href: '/login',
+      text: 'Already have an account? Login'
+    }
+  });
+
+  return new Response(html, {
+    status,
+    headers: { "Content-Type": "text/html; charset=utf-8" }
+  });
+}
+
+// Signup form and account creation
+export async function handleSignup(request, context) {
+  const { env } = context;
+  const csrfToken = context.csrf.token;
+  
+  if (request.method === "GET") {
+    return renderSignupForm(env, { csrfToken });
+  }
+  
+  // Handle POST request
+  const formData = await request.formData();
+  const email = (formData.get("email") || "").toString().trim().toLowerCase();
+  const password = (formData.get("password") || "").toString();
+  const honeypot = formData.get(getConfig(env).security.honeypotFieldName);
+  
+  // Honeypot check
+  if (honeypot && honeypot.trim() !== "") {
+    await logSecurityEvent(env, 'signup_honeypot_triggered', { email, request }, context.ctx);
+    // Return fake success to avoid revealing honeypot
+    return redirect("/login?message=" + encodeURIComponent("Account created! Please log in."));
+  }
+  
+  const result = await registerUser(email, password, env, request);
+  if (!result.success) {
+    let text = result.error;
+    if (result.reason === 'email_exists') {
+      text = 'An account with this email already exists.';
+    } else if (result.reason && result.reason !== 'weak_password') {
+      text = getEmailErrorMessage(result.reason);
+    }
+    return renderSignupForm(env, {
+      csrfToken,
+      message: { type: 'error', text: sanitizeHtml(text) },
+      status: 400
+    });
+  }
+  
+  await logUserAction(env, 'signup_success', result.user.id, { email: result.user.email, request }, context.ctx);
+  
+  if (getConfig(env).auth.requireEmailVerification) {
+    await sendVerificationEmail(env, result.user, request);
+    return redirect("/login?message=" + encodeURIComponent("Account created! Check your email for a link to verify your account."));
+  }
+  
+  return redirect("/login?message=" + encodeURIComponent("Account created! Please log in."));
+}
+
+// Verification link target
+export async function handleVerify(request, context) {
+  const { env, url } = context;
+  const csrfToken = context.csrf.token;
+
+  const result = await verifyEmailToken(env, url.searchParams.get("token"), request);
+  
+  if (!result.success) {
+    return renderResendVerificationForm({
+      csrfToken,
+      message: { type: 'error', text: 'This verification link is invalid or has expired. Request a new one below.' },
+      status: 400
+    });
+  }
+  
+  return redirect("/login?message=" + encodeURIComponent("Email verified! You can now log in."));
+}
+
+// Second login step form: a code field with TOTP on, and the user's passkeys if they have any
+function renderTwoFactorForm({ message = '', status = 200, csrfToken = '', codes = true, passkeys = false } = {}) {
+  const html = renderAuthForm({
+    title: 'Two-Factor Authentication',
+    action: codes ? '/login/2fa' : null,
+    csrfToken,
+    submitText: 'Verify',
+    showEmail: false,
+    showPassword: false,
+    extraFields: `
+      <p>Enter the code from your authenticator app, or one of your recovery codes.</p>
+      <input type="text" name="code" placeholder="6-digit code" inputmode="numeric" autocomplete="one-time-code" autofocus required>
+    `,
+    intro: codes ? '' : 'Confirm with one of your passkeys to finish signing in.',
+    message,
+    passkey: passkeys ? { ceremony: 'two-factor', label: 'Use a passkey' } : null,
+    alternateLink: {
+      href: '/login',
+      text: 'Start over'
+    }
+  });
+
+  return new Response(html, {
+    status,
+    headers: { "Content-Type": "text/html; charset=utf-8" }
+  });
+}
+
+// Wrong second factor: counts towards the account lockout as well as this pending
+// login's budget. Returns true once the pending login is used up.
+async function recordSecondFactorFailure(request, context, pending, user, method) {
+  const { env } = context;
+  await logSecurityEvent(env, 'login_failed', {
+    userId: pending.userId,
+    email: pending.email,
+    reason: 'invalid_second_factor',
+    request,
+    method
+  }, context.ctx);
+
+  const lockout = user ? await recordLoginFailure(env, user.email, user, request, context.ctx) : null;
+  const attempts = await recordPendingLoginAttempt(env, pending);
+  if (!user || attempts >= getConfig(env).twoFactor.maxAttempts || (lockout && lockout.reason === 'account_temporarily_locked')) {
+    await destroyPendingLogin(env, pending.id);
+    return true;
+  }
+  return false;
+}
+
+// Second factor accepted: swap the pending login for a real session.
+// Returns the Set-Cookie values for the new session and the cleared pending login.
+async function completeTwoFactorLogin(request, context, pending, user, method) {
+  const { env } = context;
+  await destroyPendingLogin(env, pending.id);
+  await clearLoginFailures(env, user.email);
+  await logUserAction(env, 'user_login', user.id, {
+    email: user.email,
+    request,
+    secondFactor: method
+  }, context.ctx);
+
+  const sessionId = await createSession(env, user.email, {
+    userId: user.id,
+    userAgent: pending.userAgent,
+    ip: pending.ip
+  });
+  return [await createSessionCookie(env, sessionId), clearPendingLoginCookie()];
+}
+
+// Second login step: TOTP or recovery code for a pending login
+export async function handleLoginTwoFactor(request, context) {
+  const { env } = context;
+  const csrfToken = context.csrf.token;
+
+  const pending = await getPendingLogin(request, env);
+  if (!pending) {
+    return redirect("/login?message=" + encodeURIComponent("Your sign-in timed out. Please log in again."), 302, {
+      "Set-Cookie": clearPendingLoginCookie()
+    });
+  }
+  const codes = Boolean(await getUserTwoFactor(pending.userId, env));
+  const passkeys = (await listPasskeys(env, pending.userId)).length > 0;
+
+  if (request.method === "GET") {
+    return renderTwoFactorForm({ csrfToken, codes, passkeys });
+  }
+
+  const user = await getUserById(pending.userId, env);
+  const formData = await request.formData();
+  const result = user
+    ? await verifySecondFactor(env, user, (formData.get("code") || "").toString(), request)
+    : { success: false };
+
+  if (!result.success) {
+    if (await recordSecondFactorFailure(request, context, pending, user, 'code')) {
+      return redirect("/login?message=" + encodeURIComponent("Too many invalid codes. Please log in again."), 302, {
+        "Set-Cookie": clearPendingLoginCookie()
+      });
+    }
+
+    return renderTwoFactorForm({
+      csrfToken,
+      codes,
+      passkeys,
+      message: { type: 'error', text: 'Invalid code. Please try again.' },
+      status: 401
+    });
+  }
+
+  const [sessionCookie, pendingCookie] = await completeTwoFactorLogin(request, context, pending, user, result.method);
+
+  // Running low on recovery codes is worth a detour to the settings page
+  const destination = result.method === 'recovery_code'
+    ? "/account/2fa?message=" + encodeURIComponent(`You have ${result.remainingRecoveryCodes} recovery code${result.remainingRecoveryCodes === 1 ? '' : 's'} left.`)
+    : pending.next || "/dashboard";
+  const response = redirect(destination, 302, {
+    "Set-Cookie": sessionCookie
+  });
+  response.headers.append("Set-Cookie", pendingCookie);
+  return response;
+}
+
+// JSON counterpart of the "sign-in timed out" redirect
+function pendingLoginExpiredJson() {
+  const text = "Your sign-in timed out. Please log in again.";
+  return jsonResponse({ error: text, redirect: "/login?message=" + encodeURIComponent(text) }, 401, {
+    "Set-Cookie": clearPendingLoginCookie()
+  });
+}
+
+// POST /api/webauthn/2fa/options — challenge for the pending login's own passkeys
+export async function handlePasskeyTwoFactorOptions(request, context) {
+  const { env } = context;
+  const pending = await getPendingLogin(request, env);
+  if (!pending) {
+    return pendingLoginExpiredJson();
+  }
+
+  // The password was the first factor, so touching the authenticator is enough
+  return jsonResponse(await createAuthenticationOptions(env, request, {
+    userId: pending.userId,
+    pendingId: pending.id,
+    userVerification: 'discouraged'
+  }));
+}
+
+// POST /api/webauthn/2fa/verify — passkey as the second login step
+export async function handlePasskeyTwoFactorVerify(request, context) {
+  const { env } = context;
+  const pending = await getPendingLogin(request, env);
+  if (!pending) {
+    return pendingLoginExpiredJson();
+  }
+
+  const user = await getUserById(pending.userId, env);
+  const body = await request.json().catch(() => null);
+  const result = user
+    ? await verifyAuthentication(env, body && body.credential, request, { userId: user.id, pendingId: pending.id }, context.ctx)
+    : { success: false };
+
+  if (!result.success) {
+    if (await recordSecondFactorFailure(request, context, pending, user, 'passkey')) {
+      return jsonResponse({
+        error: 'Too many failed attempts. Please log in again.',
+        redirect: "/login?message=" + encodeURIComponent("Too many failed attempts. Please log in again.")
+      }, 401, { "Set-Cookie": clearPendingLoginCookie() });
+    }
+    return jsonResponse({ error: 'That passkey could not be verified. Please try again.' }, 401);
+  }
+
+  const cookies = await completeTwoFactorLogin(request, context, pending, user, 'passkey');
+  const response = jsonResponse({ redirect: pending.next || "/dashboard" });
+  cookies.forEach(cookie => response.headers.append("Set-Cookie", cookie));
+  return response;
+}
+
+// POST /api/webauthn/login/options — challenge any discoverable passkey for this site can answer
+export async function handlePasskeyLoginOptions(request, context) {
+  return jsonResponse(await createAuthenticationOptions(context.env, request));
+}
+
+// POST /api/webauthn/login/verify — passwordless sign-in
+// A passkey with user verification is two factors in one, so TOTP isn't asked for.
+export async function handlePasskeyLoginVerify(request, context) {
+  const { env } = context;
+  const body = await request.json().catch(() => null);
+
+  const result = await verifyAuthentication(env, body && body.credential, request, {}, context.ctx);
+  if (!result.success) {
+    await logSecurityEvent(env, 'login_failed', {
+      userId: result.userId,
+      reason: result.reason,
+      request,
+      method: 'passkey'
+    }, context.ctx);
+    return jsonResponse({ error: result.error }, 401);
+  }
+
+  // Admin locks and email verification apply to every way in. The failed-login
+  // lockout doesn't: it throttles password guessing, and passkeys can't be guessed.
+  const user = await getUserById(result.userId, env);
+  let reason = null;
+  if (!user) {
+    reason = 'user_not_found';
+  } else if (user.locked) {
+    reason = 'account_locked';
+  } else if (!user.verified && getConfig(env).auth.requireEmailVerification) {
+    reason = 'email_not_verified';
+  }
+  if (reason) {
+    await logSecurityEvent(env, 'login_failed', {
+      userId: result.userId,
+      email: user ? user.email : null,
+      reason,
+      request,
+      method: 'passkey'
+    }, context.ctx);
+    const text = {
+      user_not_found: result.error,
+      account_locked: 'This account has been locked. Please contact support.',
+      email_not_verified: 'Please verify your email address before logging in.'
+    }[reason];
+    return jsonResponse({ error: text }, reason === 'user_not_found' ? 401 : 403);
+  }
+
+  await logUserAction(env, 'user_login', user.id, {
+    email: user.email,
+    request,
+    method: 'passkey',
+    passkey: result.passkey.name
+  }, context.ctx);
+
+  const sessionId = await createSession(env, user.email, {
+    userId: user.id,
+    userAgent: request.headers.get("User-Agent") || "",
+    ip: getClientIP(request)
+  });
+  return jsonResponse({ redirect: sanitizeRedirect(body.next, "/dashboard") }, 200, {
+    "Set-Cookie": await createSessionCookie(env, sessionId)
+  });
+}
+
+// Unlock link from the lockout email
+export async function handleUnlock(request, context) {
+  const { env, url } = context;
+
+  const result = await unlockWithToken(env, url.searchParams.get("token"), request);
+  const message = result.success
+    ? "Your account is unlocked. You can log in now."
+    : "This unlock link is invalid or has expired. The lock lifts by itself once its time is up.";
+  return redirect("/login?message=" + encodeURIComponent(message));
+}
+
+// Resend verification form, shared by GET and POST
+function renderResendVerificationForm({ message = '', status = 200, email = '', csrfToken = '' } = {}) {
+  const html = renderAuthForm({
+    title: 'Resend Verification Email',
+    action: '/verify/resend',
+    csrfToken,
+    submitText: 'Send Verification Link',
+    showPassword: false,
+    email: sanitizeHtml(email),
+    message,
+    alternateLink: {
+      href: '/login',
+      text: 'Back to login'
+    }
+  });
+  
+  return new Response(html, {
+    status,
+    headers: { "Content-Type": "text/html; charset=utf-8" }
+  });
+}
+
+// Resend a verification link; responds the same whether or not the account exists
+export async function handleResendVerification(request, context) {
+  const { env } = context;
+  const csrfToken = context.csrf.token;
+  
+  if (request.method === "GET") {
+    return renderResendVerificationForm({ csrfToken, email: new URL(request.url).searchParams.get("email") || '' });
+  }
+  
+  const formData = await request.formData();
+  const email = (formData.get("email") || "").toString().trim().toLowerCase();
+  
+  // Per-address limit on top of the per-IP limit applied by the router
+  const emailLimit = await checkRateLimits(request, context, ['verifyResendEmail'], { email });
+  
+  if (emailLimit.allowed) {
+    const user = await getUserByEmail(email, env);
+    if (user && !user.verified) {
+      await sendVerificationEmail(env, user, request);
+    }
+  }
+  
+  return renderResendVerificationForm({
+    csrfToken,
+    message: { type: 'info', text: 'If that account exists and is not yet verified, a new verification link is on its way.' }
+  });
+}
+
+// Forgot password form, shared by GET and POST
+function renderForgotPasswordForm({ message = '', status = 200, csrfToken = '' } = {}) {
+  const html = renderAuthForm({
+    title: 'Forgot Password',
+    action: '/forgot-password',
+    csrfToken,
+    submitText: 'Send Reset Link',
+    showPassword: false,
+    message,
+    alternateLink: {
+      href: '/login',
+      text: 'Back to login'
+    }
+  });
+  
+  return new Response(html, {
+    status,
+    headers: { "Content-Type": "text/html; charset=utf-8" }
+  });
+}
+
+// Request a reset link; responds the same whether or not the account exists
+export async function handleForgotPassword(request, context) {
+  const { env } = context;
+  const csrfToken = context.csrf.token;
+  
+  if (request.method === "GET") {
+    return renderForgotPasswordForm({ csrfToken });
+  }
+  
+  const formData = await request.formData();
+  const email = (formData.get("email") || "").toString().trim().toLowerCase();
+  
+  // Per-address limit on top of the per-IP limit applied by the router
+  const emailLimit = await checkRateLimits(request, context, ['passwordResetEmail'], { email });
+  
+  if (emailLimit.allowed) {
+    const result = await requestPasswordReset(env, email, request);
+    if (!result.success) {
+      return renderForgotPasswordForm({
+        csrfToken,
+        message: { type: 'error', text: getEmailErrorMessage(result.reason) },
+        status: 400
+      });
+    }
+  }
+  
+  return renderForgotPasswordForm({
+    csrfToken,
+    message: { type: 'info', text: "If an account exists for that email, we've sent a link to reset your password." }
+  });
+}
+
+// Reset password form, shared by GET and failed POST attempts
+function renderResetPasswordForm({ token, message = '', status = 200, csrfToken = '' }) {
+  const html = renderAuthForm({
+    title: 'Choose a New Password',
+    action: '/reset-password',
+    csrfToken,
+    submitText: 'Reset Password',
+    showEmail: false,
+    message,
+    extraFields: `<input type="hidden" name="token" value="${sanitizeHtml(token)}">`,
+    alternateLink: {
+      href: '/forgot-password',
+      text: 'Need a new link?'
+    }
+  });
+  
+  return new Response(html, {
+    status,
+    headers: { "Content-Type": "text/html; charset=utf-8" }
+  });
+}
+
+// Set a new password from a reset link
+export async function handleResetPassword(request, context) {
+  const { env } = context;
+  const csrfToken = context.csrf.token;
+  
+  if (request.method === "GET") {
+    const token = new URL(request.url).searchParams.get("token") || "";
+    if (!(await isResetTokenValid(env, token))) {
+      return renderForgotPasswordForm({
+        csrfToken,
+        message: { type: 'error', text: 'This reset link is invalid or has expired. Request a new one below.' },
+        status: 400
+      });
+    }
+    return renderResetPasswordForm({ csrfToken, token });
+  }
+  
+  const formData = await request.formData();
+  const token = (formData.get("token") || "").toString();
+  const password = (formData.get("password") || "").toString();
+  
+  const result = await completePasswordReset(env, token, password, request);
+  if (!result.success) {
+    return renderResetPasswordForm({
+      csrfToken,
+      token,
+      message: { type: 'error', text: sanitizeHtml(result.error) },
+      status: 400
+    });
+  }
+  
+  return redirect("/login?message=" + encodeURIComponent("Your password has been reset. Please log in."));
+}
+
+// Login form, shared by GET and failed POST attempts
+function renderLoginForm(env, { next = '', message = '', status = 200, headers = {}, csrfToken = '' } = {}) {
+  const magicLinkHref = `/login/magic${next ? `?next=${encodeURIComponent(next)}` : ''}`;
+  const html = renderAuthForm({
+    title: 'Login',
+    action: '/login',
+    csrfToken,
+    submitText: 'Log In',
+    message,
+    extraFields: `
+      ${next ? `<input type="hidden" name="next" value="${sanitizeHtml(next)}">` : ''}
+      <p style="text-align: right; margin: 4px 0 16px;">
+        ${getConfig(env).magicLink.enabled ? `<a href="${sanitizeHtml(magicLinkHref)}">Email me a sign-in link</a> • ` : ''}<a href="/forgot-password">Forgot your password?</a>
+      </p>
+    `,
+    passkey: { ceremony: 'login', label: 'Sign in with a passkey', next: sanitizeHtml(next) },
+    oauthLinks: oauthLinks(env, next),
+    alternateLink: {
+      href: '/signup',
+      text: "Don't have an account? Sign up"
+    }
+  });
+
+  return new Response(html, {
+    status,
+    headers: { "Content-Type": "text/html; charset=utf-8", ...headers }
+  });
+}
+
+// First factor accepted for a user with 2FA on: returns the pending login's Set-Cookie value
+async function startPendingLogin(env, request, user, next) {
+  const pendingId = await createPendingLogin(env, {
+    userId: user.id,
+    email: user.email,
+    next,
+    userAgent: request.headers.get("User-Agent") || "",
+    ip: getClientIP(request)
+  });
+  return createPendingLoginCookie(env, pendingId);
+}
+
+// Login form and credential check
+export async function handleLogin(request, context) {
+  const { env, url, session } = context;
+  const csrfToken = context.csrf.token;
+
+  if (request.method === "GET") {
+    if (session) {
+      return redirect(sanitizeRedirect(url.searchParams.get("next"), "/dashboard"));
+    }
+
+    const flash = url.searchParams.get("message");
+    return renderLoginForm(env, {
+      csrfToken,
+      next: sanitizeRedirect(url.searchParams.get("next"), ''),
+      message: flash ? { type: 'info', text: sanitizeHtml(flash) } : ''
+    });
+  }
+
+  // Handle POST request
+  const formData = await request.formData();
+  const email = (formData.get("email") || "").toString().trim().toLowerCase();
+  const password = (formData.get("password") || "").toString();
+  const next = sanitizeRedirect(formData.get("next"), '');
+  const ip = getClientIP(request);
+
+  if (!email || !password) {
+    return renderLoginForm(env, {
+      csrfToken,
+      next,
+      message: { type: 'error', text: 'Please enter your email and password.' },
+      status: 400
+    });
+  }
+
+  // Rate limit per IP and per account, so neither many accounts from one IP
+  // nor one account from many IPs can be brute-forced
+  const limited = await checkRateLimits(request, context, ['login', 'loginAccount'], { email });
+  if (!limited.allowed) {
+    await logSecurityEvent(env, 'login_rate_limited', {
+      email,
+      request,
+      limit: limited.name
+    }, context.ctx);
+    return renderLoginForm(env, {
+      csrfToken,
+      next,
+      message: { type: 'error', text: 'Too many login attempts. Please try again later.' },
+      status: 429,
+      headers: { 'Retry-After': Math.max(1, Math.ceil((limited.result.resetTime - Date.now()) / 1000)).toString() }
+    });
+  }
+
+  const result = await loginUser(email, password, env, request);
+  if (result.reason === 'login_delayed' || result.reason === 'account_temporarily_locked') {
+    const text = result.reason === 'login_delayed'
+      ? `Too many failed attempts. Please wait ${result.retryAfter} second${result.retryAfter === 1 ? '' : 's'} and try again.`
+      : `Too many failed attempts, so this account is locked for ${Math.ceil(result.retryAfter / 60)} minutes. If it's yours, check your email for a link to unlock it now.`;
+    return renderLoginForm(env, {
+      csrfToken,
+      next,
+      message: { type: 'error', text },
+      status: 429,
+      headers: { 'Retry-After': result.retryAfter.toString() }
+    });
+  }
+  if (result.reason === 'account_locked') {
+    return renderLoginForm(env, {
+      csrfToken,
+      next,
+      message: { type: 'error', text: 'This account has been locked. Please contact support.' },
+      status: 403
+    });
+  }
+  if (result.reason === 'email_not_verified') {
+    return renderLoginForm(env, {
+      csrfToken,
+      next,
+      message: {
+        type: 'error',
+        text: `Please verify your email address before logging in. <a href="/verify/resend?email=${encodeURIComponent(email)}">Resend verification email</a>`
+      },
+      status: 403
+    });
+  }
+  if (!result.success) {
+    return renderLoginForm(env, {
+      csrfToken,
+      next,
+      message: { type: 'error', text: 'Invalid email or password.' },
+      status: 401
+    });
+  }
+
+  // With 2FA or a passkey, the password only earns a short-lived pending login
+  if (result.user.secondFactorRequired) {
+    return redirect("/login/2fa", 302, {
+      "Set-Cookie": await startPendingLogin(env, request, result.user, next)
+    });
+  }
+
+  const sessionId = await createSession(env, result.user.email, {
+    userId: result.user.id,
+    userAgent: request.headers.get("User-Agent") || "",
+    ip
+  });
+
+  return redirect(next || "/dashboard", 302, {
+    "Set-Cookie": await createSessionCookie(env, sessionId)
+  });
+}
+
+// Magic-link request form, shared by GET and POST
+function renderMagicLinkForm({ message = '', status = 200, headers = {}, csrfToken = '', next = '' } = {}) {
+  const html = renderAuthForm({
+    title: 'Email Me a Sign-In Link',
+    action: '/login/magic',
+    csrfToken,
+    submitText: 'Send Sign-In Link',
+    showPassword: false,
+    message,
+    extraFields: next ? `<input type="hidden" name="next" value="${sanitizeHtml(next)}">` : '',
+    alternateLink: {
+      href: '/login',
+      text: 'Log in with a password instead'
+    }
+  });
+
+  return new Response(html, {
+    status,
+    headers: { "Content-Type": "text/html; charset=utf-8", ...headers }
+  });
+}
+
+// Request a sign-in link; responds the same whether or not the account exists
+export async function handleMagicLinkRequest(request, context) {
+  const { env, url } = context;
+  const csrfToken = context.csrf.token;
+  const { enabled, autoCreate } = getConfig(env).magicLink;
+  if (!enabled) {
+    return ErrorResponses.notFound();
+  }
+
+  if (request.method === "GET") {
+    return renderMagicLinkForm({ csrfToken, next: sanitizeRedirect(url.searchParams.get("next"), '') });
+  }
+
+  const formData = await request.formData();
+  const email = (formData.get("email") || "").toString().trim().toLowerCase();
+  const next = sanitizeRedirect(formData.get("next"), '');
+
+  // Per-address limit on top of the per-IP limit applied by the router
+  const emailLimit = await checkRateLimits(request, context, ['magicLinkEmail'], { email });
+
+  const headers = {};
+  if (emailLimit.allowed) {
+    const result = await requestMagicLink(env, email, request, { next });
+    if (!result.success) {
+      return renderMagicLinkForm({
+        csrfToken,
+        next,
+        message: { type: 'error', text: getEmailErrorMessage(result.reason) },
+        status: 400
+      });
+    }
+    headers["Set-Cookie"] = createMagicLinkNonceCookie(env, result.nonce);
+  }
+
+  const text = autoCreate
+    ? "Check your email for a sign-in link. Open it in this browser."
+    : "If an account exists for that email, we've sent a sign-in link. Open it in this browser.";
+  return renderMagicLinkForm({ csrfToken, next, headers, message: { type: 'info', text } });
+}
+
+// Sign-in link target. GET only shows a confirmation button, so mail scanners that
+// open links don't use them up; the POST (same-site, with the nonce cookie) signs in.
+export async function handleMagicLinkVerify(request, context) {
+  const { env, url } = context;
+  const csrfToken = context.csrf.token;
+  if (!getConfig(env).magicLink.enabled) {
+    return ErrorResponses.notFound();
+  }
+
+  const invalidLink = status => renderMagicLinkForm({
+    csrfToken,
+    message: { type: 'error', text: 'This sign-in link is invalid or has expired. Request a new one below.' },
+    status
+  });
+
+  if (request.method === "GET") {
+    const token = url.searchParams.get("token") || "";
+    if (!(await isMagicLinkValid(env, token))) {
+      return invalidLink(400);
+    }
+    const html = renderAuthForm({
+      title: 'Sign In',
+      action: '/login/magic/verify',
+      csrfToken,
+      submitText: 'Continue',
+      showEmail: false,
+      showPassword: false,
+      extraFields: `<input type="hidden" name="token" value="${sanitizeHtml(token)}">`
+    });
+    return new Response(html, {
+      headers: { "Content-Type": "text/html; charset=utf-8", "Cache-Control": "no-store" }
+    });
+  }
+
+  const formData = await request.formData();
+  const result = await consumeMagicLink(env, (formData.get("token") || "").toString(), getMagicLinkNonce(request), request);
+  if (!result.success) {
+    await logSecurityEvent(env, 'login_failed', {
+      userId: result.userId || null,
+      email: result.email || null,
+      reason: result.reason,
+      request,
+      method: 'magic_link'
+    }, context.ctx);
+
+    if (result.reason === 'browser_mismatch') {
+      return renderMagicLinkForm({
+        csrfToken,
+        message: { type: 'error', text: 'Please open the sign-in link in the browser you requested it from, or request a new link here.' },
+        status: 400
+      });
+    }
+    if (result.reason === 'account_locked') {
+      return renderLoginForm(env, {
+        csrfToken,
+        message: { type: 'error', text: 'This account has been locked. Please contact support.' },
+        status: 403
+      });
+    }
+    return invalidLink(400);
+  }
+
+  // Admin locks were checked above. The email link is only one factor, so 2FA (or a passkey) still applies.
+  const { user } = result;
+  const next = sanitizeRedirect(result.next, '');
+  if (await requiresSecondFactor(user, env)) {
+    await logSecurityEvent(env, 'login_second_factor_required', {
+      userId: user.id,
+      email: user.email,
+      request,
+      method: 'magic_link'
+    }, context.ctx);
+    const response = redirect("/login/2fa", 302, {
+      "Set-Cookie": await startPendingLogin(env, request, user, next)
+    });
+    response.headers.append("Set-Cookie", clearMagicLinkNonceCookie());
+    return response;
+  }
+
+  await logUserAction(env, 'user_login', user.id, {
+    email: user.email,
+    request,
+    method: 'magic_link',
+    newAccount: result.created
+  }, context.ctx);
+
+  const sessionId = await createSession(env, user.email, {
+    userId: user.id,
+    userAgent: request.headers.get("User-Agent") || "",
+    ip: getClientIP(request)
+  });
+  const response = redirect(next || "/dashboard", 302, {
+    "Set-Cookie": await createSessionCookie(env, sessionId)
+  });
+  response.headers.append("Set-Cookie", clearMagicLinkNonceCookie());
+  return response;
+}
+
+// Why an OAuth sign-in or link didn't work, by reason from oauth.js / identities.js
+const OAUTH_ERROR_MESSAGES = {
+  invalid_state: 'That sign-in attempt expired or was started in another browser. Please try again.',
+  access_denied: 'Sign-in was cancelled.',
+  provider_error: "We couldn't confirm your account with the provider. Please try again.",
+  email_not_verified: "Your account at the provider has no verified email address, so it can't be matched to an account here.",
+  no_account: 'No account uses that email address yet. Sign up first, then link the provider from your dashboard.',
+  registration_failed: "We couldn't create an account for that email address.",
+  identity_in_use: 'That account at the provider is already linked to a different account here.',
+  provider_already_linked: 'A different account at that provider is already linked. Unlink it first.',
+  account_locked: 'This account has been locked. Please contact support.',
+  user_not_verified: 'Please verify your email address before logging in.'
+};
+
+// The provider sends the browser back with a cross-site navigation, and browsers keep
+// Strict cookies (the session) off every redirect that follows. A page that moves on
+// by itself makes the next request same-site again.
+function sameSiteRedirect(location, cookies = []) {
+  const target = sanitizeHtml(location);
+  const response = new Response(`<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><meta http-equiv="refresh" content="0;url=${target}"><title>Signing in…</title></head>
+<body><p><a href="${target}">Continue</a></p></body>
+</html>`, {
+    headers: { "Content-Type": "text/html; charset=utf-8", "Cache-Control": "no-store" }
+  });
+  for (const cookie of cookies) {
+    response.headers.append("Set-Cookie", cookie);
+  }
+  return response;
+}
+
+// GET /login/oauth/:provider — off to the provider's sign-in page
+export async function handleOAuthStart(request, context) {
+  const { env, url, session, params } = context;
+  const next = sanitizeRedirect(url.searchParams.get("next"), '');
+  if (session) {
+    return redirect(next || "/dashboard");
+  }
+
+  const result = await startOAuthFlow(env, params.provider, request, { next });
+  if (result.reason === 'unknown_provider') {
+    return ErrorResponses.notFound();
+  }
+  if (!result.success) {
+    return renderLoginForm(env, {
+      csrfToken: context.csrf.token,
+      next,
+      message: { type: 'error', text: "That sign-in provider can't be reached right now. Please try again later." },
+      status: 502
+    });
+  }
+  return redirect(result.url, 302, { "Set-Cookie": createOAuthStateCookie(env, result.state) });
+}
+
+// Finish linking an identity to the signed-in user who started the flow from the dashboard
+async function finishIdentityLink(request, context, provider, result) {
+  const { env } = context;
+  const user = await getUserById(result.linkUserId, env);
+  let text;
+  if (!result.success) {
+    text = OAUTH_ERROR_MESSAGES[result.reason] || OAUTH_ERROR_MESSAGES.provider_error;
+  } else if (!user) {
+    text = OAUTH_ERROR_MESSAGES.invalid_state;
+  } else {
+    const linked = await linkIdentity(env, user, result.identity, request, { method: 'account' });
+    text = linked.success ? `${provider.name} linked. You can now sign in with it.` : OAUTH_ERROR_MESSAGES[linked.reason];
+  }
+  return sameSiteRedirect("/dashboard?message=" + encodeURIComponent(text), [clearOAuthStateCookie()]);
+}
+
+// GET /login/oauth/:provider/callback — sign in (or link) with the identity the provider vouches for
+export async function handleOAuthCallback(request, context) {
+  const { env, params } = context;
+  const csrfToken = context.csrf.token;
+  const provider = getOAuthProvider(env, params.provider);
+  if (!provider) {
+    return ErrorResponses.notFound();
+  }
+
+  const flow = await completeOAuthFlow(env, provider.id, request);
+  if (flow.linkUserId) {
+    return finishIdentityLink(request, context, provider, flow);
+  }
+
+  const result = flow.success ? await signInWithIdentity(env, flow.identity, request) : flow;
+  if (!result.success) {
+    await logSecurityEvent(env, 'login_failed', {
+      userId: result.userId || null,
+      email: result.email || (flow.identity && flow.identity.email) || null,
+      reason: result.reason,
+      request,
+      method: 'oauth',
+      provider: provider.id,
+      ...(result.detail ? { detail: result.detail } : {})
+    }, context.ctx);
+    return renderLoginForm(env, {
+      csrfToken,
+      next: flow.next,
+      message: { type: 'error', text: OAUTH_ERROR_MESSAGES[result.reason] || OAUTH_ERROR_MESSAGES.provider_error },
+      status: result.reason === 'account_locked' ? 403 : 400,
+      headers: { "Set-Cookie": clearOAuthStateCookie() }
+    });
+  }
+
+  // The provider only stands in for the password, so 2FA (or a passkey) still applies
+  const { user } = result;
+  const next = sanitizeRedirect(flow.next, '');
+  if (await requiresSecondFactor(user, env)) {
+    await logSecurityEvent(env, 'login_second_factor_required', {
+      userId: user.id,
+      email: user.email,
+      request,
+      method: 'oauth',
+      provider: provider.id
+    }, context.ctx);
+    return sameSiteRedirect("/login/2fa", [await startPendingLogin(env, request, user, next), clearOAuthStateCookie()]);
+  }
+
+  await logUserAction(env, 'user_login', user.id, {
+    email: user.email,
+    request,
+    method: 'oauth',
+    provider: provider.id,
+    newAccount: result.created
+  }, context.ctx);
+
+  const sessionId = await createSession(env, user.email, {
+    userId: user.id,
+    userAgent: request.headers.get("User-Agent") || "",
+    ip: getClientIP(request)
+  });
+  return sameSiteRedirect(next || "/dashboard", [await createSessionCookie(env, sessionId), clearOAuthStateCookie()]);
+}
+
+// Logout confirmation for GET /logout (logging out requires a POST with a CSRF token)
+function renderLogoutForm(csrfToken) {
+  const html = renderAuthForm({
+    title: 'Log Out',
+    action: '/logout',
+    csrfToken,
+    submitText: 'Log Out',
+    showEmail: false,
+    showPassword: false,
+    alternateLink: {
+      href: '/dashboard',
+      text: 'Cancel'
+    }
+  });
+  
+  return new Response(html, {
+    headers: { "Content-Type": "text/html; charset=utf-8" }
+  });
+}
+
+// Logout: GET shows a confirmation form, POST ends the session
+export async function handleLogout(request, context) {
+  const { env, session } = context;
+  
+  if (request.method === "GET") {
+    return session ? renderLogoutForm(context.csrf.token) : redirect("/");
+  }
+  
+  if (session) {
+    await destroySession(env, session.id);
+    await logUserAction(env, 'logout', session.userId || session.email, { request }, context.ctx);
+  }
+  const response = redirect("/");
+  clearSessionCookie(env).forEach(cookie => response.headers.append("Set-Cookie", cookie));
+  return response;
+}
@@ -0,0 +1,67 @@
+/**
+ * Contact form endpoint (JSON, Turnstile-protected)
+ */
+
+import { validateEmailLegitimacy, getEmailErrorMessage } from '../lib/email-validation.js';
+import { sanitizeHtml } from '../lib/utils.js';
+
+// Helper: Verify Turnstile token with Cloudflare API
+async function verifyTurnstile(token, ip, secretKey) {
+  const body = new URLSearchParams({
+    secret: secretKey,
+    response: token,
+    ...(ip ? { remoteip: ip } : {})
+  });
+  const resp = await fetch('https://challenges.cloudflare.com/turnstile/v0/siteverify', {
+    method: 'POST',
+    body,
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+  });
+  return resp.json();
+}
+
+// Handler: Contact form POST endpoint
+export async function handleContact(request, context) {
+  const { env } = context;
+  let data;
+  try {
+    data = await request.json();
+  } catch {
+    return new Response('Invalid JSON', { status: 400 });
+  }
+  const { name, email, message, turnstileToken } = data;
+  if (!name || !email || !message || !turnstileToken) {
+    return new Response('Missing fields', { status: 400 });
+  }
+  // Validate email
+  const emailCheck = await validateEmailLegitimacy(email, env, context.ctx);
+  if (!emailCheck.isValid) {
+    return new Response(JSON.stringify({ 
+      error: 'Invalid email', 
+      message: getEmailErrorMessage(emailCheck.reason) 
+    }), { 
+      status: 400,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  // Verify Turnstile
+  const ip = request.headers.get('CF-Connecting-IP') || undefined;
+  const turnstileSecret = env.TURNSTILE_SECRET_KEY;
+  if (!turnstileSecret) {
+    return new Response('Server misconfigured: missing Turnstile secret', { status: 500 });
+  }
+  const verify = await verifyTurnstile(turnstileToken, ip, turnstileSecret);
+  if (!verify.success) {
+    return new Response('Turnstile verification failed', { status: 403 });
+  }
+  // Send email (replace with your email logic)
+  // Example: send to site owner
+  const ownerEmail = env.SENDER_EMAIL || 'owner@example.com';
+  const subject = `Contact Form Submission from ${sanitizeHtml(name)}`;
+  const body = `Name: ${sanitizeHtml(name)}\nEmail: ${sanitizeHtml(email)}\nMessage:\n${sanitizeHtml(message)}`;
+  // TODO: Replace with your actual email sending function
+  // await sendEmail(ownerEmail, subject, body, env);
+  // For now, just log
+  console.log('Contact form received:', { name, email, message });
+  return new Response('Message sent!', { status: 200 });
+}
@@ -0,0 +1,196 @@
+/**
+ * Mock OpenID Connect identity provider for development and tests (OAUTH_MOCK_IDP=true)
+ * Point the generic provider at it with OIDC_ISSUER=<BASE_URL>/api/mock-idp and any
+ * OIDC_CLIENT_ID. The authorize page signs in as whatever email is typed in, so it
+ * must never be enabled in production. Codes require PKCE (S256) and ID tokens are
+ * signed with an ES256 key kept in KV, so the real verification path is exercised.
+ */
+
+import { createToken, consumeToken, hashToken, generateToken } from '../lib/tokens.js';
+import { signJwt } from '../lib/oidc.js';
+import { getFromKV, saveToKV } from '../lib/kv-utils.js';
+import { getConfig } from '../lib/config.js';
+import { renderAuthForm } from '../lib/templates.js';
+import { arrayToBase64Url, getBaseUrl, jsonResponse, redirect, sanitizeHtml } from '../lib/utils.js';
+
+const CODE_PURPOSE = 'mock_idp_code';
+const CODE_TTL = 60;
+const ID_TOKEN_TTL = 300;
+const SIGNING_KEY = 'mock_idp:signing_key';
+
+function issuerUrl(env, request) {
+  return `${getBaseUrl(env, request)}/api/mock-idp`;
+}
+
+function disabled() {
+  return jsonResponse({ error: 'Not Found' }, 404);
+}
+
+// One ES256 key shared by every isolate (generated on first use)
+async function getSigningKey(env) {
+  let stored = await getFromKV(env.SESSIONS, SIGNING_KEY);
+  if (!stored) {
+    const pair = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+    stored = { kid: generateToken(8), jwk: await crypto.subtle.exportKey('jwk', pair.privateKey) };
+    await saveToKV(env.SESSIONS, SIGNING_KEY, stored);
+  }
+  const privateKey = await crypto.subtle.importKey('jwk', stored.jwk, { name: 'ECDSA', namedCurve: 'P-256' }, false, ['sign']);
+  const { kty, crv, x, y } = stored.jwk;
+  return { kid: stored.kid, privateKey, publicJwk: { kty, crv, x, y, kid: stored.kid, alg: 'ES256', use: 'sig' } };
+}
+
+// Authorization request parameters; redirects only go back to this site
+function readAuthorizationRequest(env, request, params) {
+  const values = {};
+  for (const name of ['client_id', 'redirect_uri', 'state', 'nonce', 'scope', 'code_challenge', 'code_challenge_method', 'login_hint']) {
+    values[name] = (params.get(name) || '').toString();
+  }
+
+  let redirectUri;
+  try {
+    redirectUri = new URL(values.redirect_uri);
+  } catch {
+    return { error: 'redirect_uri is not a URL' };
+  }
+  if (redirectUri.origin !== new URL(getBaseUrl(env, request)).origin) {
+    return { error: 'redirect_uri must be on this site' };
+  }
+  if (!values.client_id || (params.get('response_type') || 'code') !== 'code') {
+    return { error: 'client_id and response_type=code are required' };
+  }
+  if (!values.code_challenge || values.code_challenge_method !== 'S256') {
+    return { error: 'PKCE with code_challenge_method=S256 is required' };
+  }
+  return { values };
+}
+
+// GET /api/mock-idp/.well-known/openid-configuration
+export async function handleMockIdpDiscovery(request, context) {
+  const { env } = context;
+  if (!getConfig(env).oauth.mockIdp) return disabled();
+
+  const issuer = issuerUrl(env, request);
+  return jsonResponse({
+    issuer,
+    authorization_endpoint: `${issuer}/authorize`,
+    token_endpoint: `${issuer}/token`,
+    jwks_uri: `${issuer}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['ES256'],
+    code_challenge_methods_supported: ['S256'],
+    token_endpoint_auth_methods_supported: ['client_secret_post', 'none']
+  });
+}
+
+// GET /api/mock-idp/jwks
+export async function handleMockIdpJwks(request, context) {
+  const { env } = context;
+  if (!getConfig(env).oauth.mockIdp) return disabled();
+
+  const { publicJwk } = await getSigningKey(env);
+  return jsonResponse({ keys: [publicJwk] });
+}
+
+// Sign-in page (GET) and its submission (POST), which redirects back with a code
+export async function handleMockIdpAuthorize(request, context) {
+  const { env, url } = context;
+  if (!getConfig(env).oauth.mockIdp) return disabled();
+
+  const params = request.method === 'POST' ? await request.formData() : url.searchParams;
+  const { values, error } = readAuthorizationRequest(env, request, params);
+  if (error) {
+    return jsonResponse({ error: 'invalid_request', error_description: error }, 400);
+  }
+
+  const back = new URL(values.redirect_uri);
+  if (values.state) back.searchParams.set('state', values.state);
+  back.searchParams.set('iss', issuerUrl(env, request));
+
+  if (request.method === 'GET') {
+    const denied = new URL(back);
+    denied.searchParams.set('error', 'access_denied');
+    const hidden = Object.entries(values)
+      .filter(([name]) => name !== 'login_hint')
+      .map(([name, value]) => `<input type="hidden" name="${name}" value="${sanitizeHtml(value)}">`)
+      .join('');
+    const html = renderAuthForm({
+      title: 'Mock Identity Provider',
+      action: '/api/mock-idp/authorize',
+      csrfToken: context.csrf.token,
+      submitText: 'Sign In',
+      showPassword: false,
+      email: sanitizeHtml(values.login_hint),
+      message: { type: 'info', text: 'Development only: sign in as any email address.' },
+      extraFields: `
+        ${hidden}
+        <input type="text" name="name" placeholder="Name (optional)">
+        <label style="display: block; margin: 8px 0 16px;"><input type="checkbox" name="email_verified" value="true" checked> Email address is verified</label>
+      `,
+      alternateLink: { href: sanitizeHtml(denied.toString()), text: 'Cancel (access_denied)' }
+    });
+    return new Response(html, {
+      headers: { "Content-Type": "text/html; charset=utf-8", "Cache-Control": "no-store" }
+    });
+  }
+
+  const email = (params.get('email') || '').toString().trim().toLowerCase();
+  if (!email) {
+    return jsonResponse({ error: 'invalid_request', error_description: 'email is required' }, 400);
+  }
+  const code = await createToken(env, CODE_PURPOSE, {
+    clientId: values.client_id,
+    redirectUri: values.redirect_uri,
+    codeChallenge: values.code_challenge,
+    nonce: values.nonce,
+    email,
+    emailVerified: params.get('email_verified') === 'true',
+    name: (params.get('name') || '').toString().trim() || null
+  }, CODE_TTL);
+  back.searchParams.set('code', code);
+  return redirect(back.toString(), 302);
+}
+
+// POST /api/mock-idp/token: authorization code (+ PKCE verifier) -> ID token
+export async function handleMockIdpToken(request, context) {
+  const { env } = context;
+  if (!getConfig(env).oauth.mockIdp) return disabled();
+
+  const form = await request.formData();
+  const invalidGrant = description => jsonResponse({ error: 'invalid_grant', error_description: description }, 400, { "Cache-Control": "no-store" });
+  if (form.get('grant_type') !== 'authorization_code') {
+    return jsonResponse({ error: 'unsupported_grant_type' }, 400, { "Cache-Control": "no-store" });
+  }
+
+  const data = await consumeToken(env, CODE_PURPOSE, (form.get('code') || '').toString());
+  if (!data) return invalidGrant('Unknown, used or expired code');
+  if (form.get('client_id') !== data.clientId || form.get('redirect_uri') !== data.redirectUri) {
+    return invalidGrant('client_id or redirect_uri does not match the authorization request');
+  }
+  const verifier = (form.get('code_verifier') || '').toString();
+  const challenge = arrayToBase64Url(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier)));
+  if (!verifier || challenge !== data.codeChallenge) {
+    return invalidGrant('PKCE verification failed');
+  }
+
+  const { kid, privateKey } = await getSigningKey(env);
+  const now = Math.floor(Date.now() / 1000);
+  const idToken = await signJwt({
+    iss: issuerUrl(env, request),
+    sub: `mock-${(await hashToken(data.email)).slice(0, 20)}`,
+    aud: data.clientId,
+    iat: now,
+    exp: now + ID_TOKEN_TTL,
+    ...(data.nonce ? { nonce: data.nonce } : {}),
+    email: data.email,
+    email_verified: data.emailVerified,
+    ...(data.name ? { name: data.name } : {})
+  }, privateKey, { alg: 'ES256', kid });
+
+  return jsonResponse({
+    access_token: generateToken(),
+    token_type: 'Bearer',
+    expires_in: ID_TOKEN_TTL,
+    id_token: idToken
+  }, 200, { "Cache-Control": "no-store" });
+}
@@ -0,0 +1,15 @@
+/**
+ * Public page handlers
+ */
+
+import { sanitizeHtml } from '../lib/utils.js';
+import { renderHomePage } from '../lib/templates.js';
+
+// Basic home page
+export async function handleHome(request, context) {
+  const { session } = context;
+  const html = renderHomePage(session && { ...session, email: sanitizeHtml(session.email) }, context.csrf.token);
+  return new Response(html, {
+    headers: { "Content-Type": "text/html; charset=utf-8" }
+  });
+}
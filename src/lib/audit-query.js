@@ -0,0 +1,245 @@
+/**
+ * Audit log queries
+ * The AUDIT namespace holds three key formats, all listed in time order within
+ * their prefix:
+ *   audit:${iso}:${rand}                  logSecurityEvent
+ *   throttled_${type}_${ms}_${rand}       ThrottledLogger (ordered by type, then time)
+ *   email_validation_${ms}_${rand}        logEmailValidation
+ * Entries are upgraded to the audit-schema.js shape, tagged with { id, source }
+ * and returned in key order, one source after the other.
+ */
+
+import { getFromKV } from './kv-utils.js';
+import { arrayToBase64Url, base64UrlToArray } from './utils.js';
+import { upgradeAuditEntry } from './audit-schema.js';
+
+export const AUDIT_SOURCES = ['audit', 'throttled', 'email_validation'];
+
+const SOURCE_PREFIXES = {
+  audit: 'audit:',
+  throttled: 'throttled_',
+  email_validation: 'email_validation_'
+};
+
+// KV list page size while scanning
+const LIST_PAGE_SIZE = 100;
+
+/**
+ * Thrown for invalid query input (bad cursor or date), so callers can answer 400
+ */
+export class AuditQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuditQueryError';
+  }
+}
+
+/**
+ * Parse the time (and throttled type) out of a key without reading its value
+ * @param {string} source - Source name
+ * @param {string} name - KV key
+ * @returns {object|null} - { time (ms), type } or null for keys in an unknown format
+ */
+function parseKey(source, name) {
+  let match;
+  switch (source) {
+    case 'audit':
+      match = /^audit:(.+):[a-z0-9]+$/.exec(name);
+      return match && !isNaN(Date.parse(match[1])) ? { time: Date.parse(match[1]), type: null } : null;
+    case 'throttled':
+      match = /^throttled_(.+)_(\d+)_[a-z0-9]+$/.exec(name);
+      return match ? { time: Number(match[2]), type: match[1] } : null;
+    case 'email_validation':
+      match = /^email_validation_(\d+)_[a-z0-9]+$/.exec(name);
+      return match ? { time: Number(match[1]), type: 'email_validation' } : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Turn a stored value into a query result entry
+ * @param {string} source - Source name
+ * @param {string} name - KV key
+ * @param {object} value - Parsed value
+ * @returns {object} - { id, source, ...event in the current schema }
+ */
+function normalizeEntry(source, name, value) {
+  return { id: name, source, ...upgradeAuditEntry(value) };
+}
+
+/**
+ * Whether an entry involves a user, as actor or target
+ * @param {object} entry - Entry in the current schema
+ * @param {string} userId - User ID
+ * @returns {boolean} - True if the user is the actor or the target
+ */
+function involvesUser(entry, userId) {
+  return (entry.actor && entry.actor.id === userId) || (entry.target && entry.target.id === userId);
+}
+
+// Longest common prefix of two strings
+function commonPrefix(a, b) {
+  let i = 0;
+  while (i < a.length && i < b.length && a[i] === b[i]) i++;
+  return a.slice(0, i);
+}
+
+/**
+ * KV list prefix for a source, narrowed by the time range (and event for throttled keys)
+ * @returns {object} - { prefix, ordered } — ordered is true when keys are in time order
+ */
+function sourcePrefix(source, { from, to, event }) {
+  let prefix = SOURCE_PREFIXES[source];
+  let ordered = source !== 'throttled';
+
+  if (source === 'throttled' && event) {
+    prefix += `${event}_`;
+    ordered = true;
+  }
+  if (ordered && from !== null && to !== null) {
+    prefix += source === 'audit'
+      ? commonPrefix(new Date(from).toISOString(), new Date(to).toISOString())
+      : commonPrefix(String(from), String(to));
+  }
+  return { prefix, ordered };
+}
+
+/**
+ * Encode the position of a query so the next call can resume it
+ * @param {object} position - { source, cursor, after } — KV cursor of the current page and last key consumed on it
+ * @returns {string} - Opaque cursor
+ */
+function encodeCursor(position) {
+  return arrayToBase64Url(new TextEncoder().encode(JSON.stringify(position)));
+}
+
+/**
+ * Decode a cursor from encodeCursor
+ * @param {string} cursor - Opaque cursor
+ * @returns {object} - Position
+ * @throws {AuditQueryError} - If the cursor is malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(new TextDecoder().decode(base64UrlToArray(cursor)));
+    if (AUDIT_SOURCES.includes(position.source)) return position;
+  } catch {
+    // Fall through
+  }
+  throw new AuditQueryError('Invalid cursor');
+}
+
+/**
+ * Query the audit log
+ * Stops after `limit` matching entries or `scanLimit` keys, whichever comes first,
+ * so a page can hold fewer than `limit` entries while `cursor` is still set.
+ * @param {object} env - Environment object (AUDIT namespace)
+ * @param {object} options - Filters and paging:
+ *   from, to      Date, ISO string or ms timestamp bounding the entry time (inclusive)
+ *   event         Exact action (audit action, throttled type or "email_validation")
+ *   userId        Exact user ID, matched against the actor and the target
+ *   ip            Exact client IP from the request metadata
+ *   sources       Subset of AUDIT_SOURCES to search (default: all)
+ *   limit         Maximum entries to return (default 50)
+ *   scanLimit     Maximum keys to examine (default 500)
+ *   cursor        Cursor from a previous call
+ * @returns {Promise<object>} - { entries, cursor } — cursor is null when nothing is left
+ * @throws {AuditQueryError} - On an invalid cursor or date
+ */
+export async function queryAuditLog(env, options = {}) {
+  const {
+    event = null,
+    userId = null,
+    ip = null,
+    sources = AUDIT_SOURCES,
+    limit = 50,
+    scanLimit = 500,
+    cursor = null
+  } = options;
+
+  const from = toTimestamp(options.from);
+  const to = toTimestamp(options.to);
+  const entries = [];
+  if (!env.AUDIT) return { entries, cursor: null };
+
+  const searched = AUDIT_SOURCES.filter(source => sources.includes(source));
+  let position = cursor ? decodeCursor(cursor) : { source: searched[0], cursor: null, after: null };
+  let scanned = 0;
+
+  for (let index = searched.indexOf(position.source); index !== -1 && index < searched.length; index++) {
+    const source = searched[index];
+    if (source !== position.source) {
+      position = { source, cursor: null, after: null };
+    }
+
+    // A fixed event name rules out sources that never log it
+    if (event && source === 'email_validation' && event !== 'email_validation') continue;
+
+    const { prefix, ordered } = sourcePrefix(source, { from, to, event });
+    let sourceDone = false;
+
+    while (!sourceDone) {
+      const page = await env.AUDIT.list({
+        prefix,
+        limit: LIST_PAGE_SIZE,
+        ...(position.cursor ? { cursor: position.cursor } : {})
+      });
+
+      for (const { name } of page.keys) {
+        // Skip what an earlier call already returned from this page
+        if (position.after !== null && name <= position.after) continue;
+
+        if (entries.length >= limit || scanned >= scanLimit) {
+          return { entries, cursor: encodeCursor(position) };
+        }
+        scanned++;
+        position.after = name;
+
+        const parsed = parseKey(source, name);
+        if (!parsed) continue;
+        if (to !== null && parsed.time > to) {
+          if (ordered) {
+            sourceDone = true;
+            break;
+          }
+          continue;
+        }
+        if (from !== null && parsed.time < from) continue;
+        if (event && parsed.type && parsed.type !== event) continue;
+
+        const value = await getFromKV(env.AUDIT, name);
+        if (!value) continue; // Expired since it was listed
+
+        const entry = normalizeEntry(source, name, value);
+        if (event && entry.action !== event) continue;
+        if (userId && !involvesUser(entry, userId)) continue;
+        if (ip && (!entry.request || entry.request.ip !== ip)) continue;
+        entries.push(entry);
+      }
+
+      if (page.list_complete) {
+        sourceDone = true;
+      } else if (!sourceDone) {
+        position = { source, cursor: page.cursor, after: null };
+      }
+    }
+  }
+
+  return { entries, cursor: null };
+}
+
+/**
+ * Convert a Date, ISO string or ms timestamp to ms (null when absent)
+ * @param {Date|string|number|null} value - Time value
+ * @returns {number|null} - Milliseconds since the epoch
+ * @throws {AuditQueryError} - If the value is not a valid date
+ */
+function toTimestamp(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const time = value instanceof Date ? value.getTime() : typeof value === 'number' ? value : Date.parse(value);
+  if (isNaN(time)) {
+    throw new AuditQueryError(`Invalid date: ${value}`);
+  }
+  return time;
+}
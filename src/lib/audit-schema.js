@@ -0,0 +1,201 @@
+/**
+ * Audit event schema
+ * Every audit producer stores the same shape:
+ * {
+ *   version: 1,
+ *   time: ISO string,
+ *   action: "user_login",                          // snake_case event name
+ *   outcome: "success" | "failure" | "denied" | "info",
+ *   reason: string | null,                         // why it failed / was denied
+ *   actor: { type, id, email },                    // who did it (user, admin, system, anonymous)
+ *   target: { type, id, email } | null,            // what it was done to, if not the actor
+ *   request: { id, ip, userAgent, method, path } | null,
+ *   details: object                                // anything else, with secrets redacted
+ * }
+ * Pure functions only, so any module can import this without pulling in KV code.
+ */
+
+export const AUDIT_SCHEMA_VERSION = 1;
+export const AUDIT_OUTCOMES = ['success', 'failure', 'denied', 'info'];
+export const AUDIT_ACTOR_TYPES = ['user', 'admin', 'system', 'anonymous'];
+
+const ACTION_PATTERN = /^[a-z][a-z0-9_]{0,63}$/;
+// Matched against whole words of a key, so "newPassword" and "csrf_token" are
+// redacted but "passkey" and "bypass" are not
+const SENSITIVE_KEY = /(^|_)(pass(word|wd|phrase)?|secrets?|tokens?|authorization|cookies?|api_?key|private_?key|credentials?|[ht]?otp(auth)?)(_|$)|^session(_?id)?$/;
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 5;
+
+// camelCase, kebab-case and header names -> lowercase snake_case words
+function isSensitiveKey(key) {
+  const words = String(key)
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/[^a-zA-Z0-9]+/g, '_')
+    .toLowerCase();
+  return SENSITIVE_KEY.test(words);
+}
+
+/**
+ * Deep-copy a value with sensitive keys replaced by "[REDACTED]"
+ * @param {*} value - Value to redact
+ * @param {number} depth - Current depth (deeper values are dropped)
+ * @returns {*} - Redacted copy
+ */
+export function redactSensitive(value, depth = 0) {
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[Truncated]';
+
+  if (Array.isArray(value)) {
+    return value.map(item => redactSensitive(item, depth + 1));
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    isSensitiveKey(key) && item !== null && item !== undefined ? REDACTED : redactSensitive(item, depth + 1)
+  ]));
+}
+
+/**
+ * Guess the outcome from the action name when the producer didn't say
+ * @param {string} action - Action name
+ * @returns {string} - Outcome
+ */
+function inferOutcome(action) {
+  if (/_(failed|error)$/.test(action)) return 'failure';
+  if (/_(rejected|denied|limited|blocked|triggered)$/.test(action)) return 'denied';
+  return 'success';
+}
+
+// { type, id, email } with missing parts set to null
+function normalizeParty(party, defaultType) {
+  if (!party) return null;
+  return {
+    type: party.type || defaultType,
+    id: party.id !== undefined && party.id !== null ? String(party.id) : null,
+    email: party.email ? String(party.email).toLowerCase() : null
+  };
+}
+
+/**
+ * Build a schema-conforming audit event
+ * Accepts the structured form ({ action, actor, target, outcome, reason, request, details })
+ * and the flat form older callers use ({ action, userId, email, ip, userAgent, ...details }).
+ * @param {object} input - Event input
+ * @returns {object} - Normalized, redacted event
+ */
+export function createAuditEvent(input = {}) {
+  const {
+    action, outcome, reason = null, actor, target, request, details = {}, time,
+    userId, email, ip, userAgent,
+    ...extra
+  } = input;
+
+  const normalizedAction = String(action || 'unknown');
+  // Flat form: userId/email describe the user acting, ip/userAgent the request.
+  // Alongside a structured actor/request they are ordinary details.
+  const actorInput = actor || (userId || email ? { type: 'user', id: userId, email } : { type: 'anonymous' });
+  const requestInput = request || (ip || userAgent ? { ip, userAgent } : null);
+  const flat = Object.fromEntries(Object.entries({
+    ...(actor ? { userId, email } : {}),
+    ...(request ? { ip, userAgent } : {})
+  }).filter(([, value]) => value !== undefined && value !== null));
+
+  return {
+    version: AUDIT_SCHEMA_VERSION,
+    time: time || new Date().toISOString(),
+    action: normalizedAction,
+    outcome: outcome || inferOutcome(normalizedAction),
+    reason: reason === null || reason === undefined ? null : String(reason),
+    actor: normalizeParty(actorInput, 'user'),
+    target: normalizeParty(target, 'user'),
+    request: requestInput ? {
+      id: requestInput.id || null,
+      ip: requestInput.ip || null,
+      userAgent: requestInput.userAgent || null,
+      method: requestInput.method || null,
+      path: requestInput.path || null
+    } : null,
+    details: redactSensitive({ ...flat, ...extra, ...details })
+  };
+}
+
+/**
+ * Check an event against the schema
+ * @param {object} event - Event from createAuditEvent
+ * @returns {string[]} - Problems found (empty when valid)
+ */
+export function validateAuditEvent(event) {
+  const errors = [];
+  if (!ACTION_PATTERN.test(event.action)) errors.push(`invalid action "${event.action}"`);
+  if (!AUDIT_OUTCOMES.includes(event.outcome)) errors.push(`invalid outcome "${event.outcome}"`);
+  if (!event.actor || !AUDIT_ACTOR_TYPES.includes(event.actor.type)) errors.push('invalid actor type');
+  if (isNaN(Date.parse(event.time))) errors.push('invalid time');
+  if (typeof event.details !== 'object' || Array.isArray(event.details)) errors.push('details must be an object');
+  return errors;
+}
+
+/**
+ * Convert a stored entry to the current schema
+ * Handles entries written before the schema existed:
+ *   { event, details, time, ip }                       logSecurityEvent / logUserAction
+ *   { timestamp, type, ...data }                       ThrottledLogger
+ *   { timestamp, type: 'email_validation', action, email, ip, result, domain }
+ * @param {object} stored - Stored value
+ * @returns {object} - Event in the current schema
+ */
+export function upgradeAuditEntry(stored) {
+  if (stored.version === AUDIT_SCHEMA_VERSION) return stored;
+
+  if (stored.type === 'email_validation') {
+    const { timestamp, action, email, ip, result = {}, domain } = stored;
+    return createAuditEvent({
+      action: 'email_validation',
+      outcome: 'denied',
+      reason: result.reason,
+      time: timestamp,
+      actor: { type: 'anonymous', email },
+      request: { ip },
+      details: { context: action, domain }
+    });
+  }
+
+  if (stored.type !== undefined) {
+    const { timestamp, type, ...data } = stored;
+    return createAuditEvent({ ...data, action: type, time: timestamp });
+  }
+
+  // logUserAction and logSystemEvent used to nest the real action under a generic event
+  const { action: innerAction, event: innerEvent, ...details } = stored.details || {};
+  let action = stored.event;
+  let nested = { action: innerAction, event: innerEvent };
+  if (stored.event === 'user_action' && innerAction) {
+    action = innerAction;
+    nested = { event: innerEvent };
+  } else if (stored.event === 'system_event' && innerEvent) {
+    action = innerEvent;
+    nested = { action: innerAction };
+  }
+
+  return createAuditEvent({
+    ...details,
+    action,
+    time: stored.time,
+    ip: stored.ip || details.ip,
+    actor: stored.event === 'system_event' ? { type: 'system' } : undefined,
+    details: Object.fromEntries(Object.entries(nested).filter(([, value]) => value !== undefined))
+  });
+}
+
+/**
+ * User IDs an event belongs to (actor and target), for per-user indexes
+ * @param {object} event - Event in the current schema
+ * @returns {string[]} - Distinct user IDs
+ */
+export function getAuditEventUserIds(event) {
+  const ids = new Set();
+  for (const party of [event.actor, event.target]) {
+    if (party && party.id && (party.type === 'user' || party.type === 'admin')) {
+      ids.add(party.id);
+    }
+  }
+  return [...ids];
+}
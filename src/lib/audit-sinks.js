@@ -0,0 +1,224 @@
+/**
+ * Audit log sinks
+ * A sink is { write(env, event, options) } and receives every audit event in the
+ * audit-schema.js shape. AUDIT_SINKS picks which sinks run (comma-separated, fan-out):
+ *   kv          AUDIT KV namespace (default; the only sink the admin viewer and activity page read)
+ *   analytics   Workers Analytics Engine dataset (AUDIT_ANALYTICS binding)
+ *   http        Batched NDJSON POST to AUDIT_HTTP_URL (Logpush-style collector)
+ *   console     One JSON line per event on the console (Workers Logs / Logpush)
+ * Register more with defineAuditSink(name, sink).
+ */
+
+import { safeKVWrite } from './kv-utils.js';
+import { getConfig } from './config.js';
+import { getAuditEventUserIds } from './audit-schema.js';
+import { runInBackground } from './background.js';
+
+// Per-user index: audit_user:${userId}:${reversed ms}:${rand}, newest first
+export const USER_INDEX_PREFIX = 'audit_user:';
+
+// Reversed timestamps make KV list (ascending) return a user's newest entries first
+const MAX_TIMESTAMP = 9999999999999;
+
+// Analytics Engine limits: one index of at most 96 bytes, blobs share a 16 KB budget
+const ANALYTICS_INDEX_MAX = 96;
+const ANALYTICS_DETAILS_MAX = 4096;
+
+// Sink name -> sink
+const SINKS = new Map();
+
+/**
+ * Define (or replace) an audit sink
+ * @param {string} name - Name used in AUDIT_SINKS
+ * @param {object} sink - { write(env, event, options) => Promise }
+ *   options: { key, expirationTtl, index, deferred } — key/expirationTtl/index only matter to
+ *   KV-style sinks; deferred is true when the write runs after the response (ctx.waitUntil).
+ *   write() resolves to false when it dropped the event; anything else counts as stored.
+ */
+export function defineAuditSink(name, sink) {
+  if (!sink || typeof sink.write !== 'function') {
+    throw new Error(`Audit sink "${name}" must have a write() method`);
+  }
+  SINKS.set(name, sink);
+}
+
+/**
+ * Names of all defined sinks
+ * @returns {string[]} - Sink names
+ */
+export function getAuditSinkNames() {
+  return [...SINKS.keys()];
+}
+
+/**
+ * KV sink: the entry under its key, plus a copy under the index of each user it involves
+ */
+export const kvSink = {
+  async write(env, event, { key = null, expirationTtl = null, index = true } = {}) {
+    // Only log if AUDIT namespace exists
+    if (!env.AUDIT) {
+      console.log(`Security event: ${event.action}`, event);
+      return false;
+    }
+
+    const config = getConfig(env);
+    const ttl = expirationTtl || config.logging.auditLogTtl;
+    const suffix = Math.random().toString(36).slice(2, 8);
+    const value = JSON.stringify(event);
+
+    // Use safe KV write to handle limits gracefully
+    const stored = await safeKVWrite(async () => {
+      await env.AUDIT.put(key || `audit:${event.time}:${suffix}`, value, { expirationTtl: ttl });
+    }, `security event: ${event.action}`);
+
+    if (!stored || !index) return stored;
+    const reversed = String(MAX_TIMESTAMP - Date.parse(event.time)).padStart(13, '0');
+    for (const userId of getAuditEventUserIds(event)) {
+      await safeKVWrite(async () => {
+        await env.AUDIT.put(`${USER_INDEX_PREFIX}${userId}:${reversed}:${suffix}`, value, { expirationTtl: ttl });
+      }, `user audit index: ${event.action}`);
+    }
+    return true;
+  }
+};
+
+/**
+ * Analytics Engine sink: one data point per event, indexed by action
+ * blob1..9: action, outcome, actor type, actor ID, target ID, IP, request ID, path, details JSON
+ */
+export const analyticsSink = {
+  async write(env, event) {
+    const binding = env[getConfig(env).logging.auditAnalyticsBinding];
+    if (!binding) {
+      console.warn('Audit analytics sink enabled but the Analytics Engine binding is missing');
+      return false;
+    }
+
+    const request = event.request || {};
+    binding.writeDataPoint({
+      indexes: [event.action.slice(0, ANALYTICS_INDEX_MAX)],
+      blobs: [
+        event.action,
+        event.outcome,
+        event.actor ? event.actor.type : null,
+        event.actor ? event.actor.id : null,
+        event.target ? event.target.id : null,
+        request.ip || null,
+        request.id || null,
+        request.path || null,
+        JSON.stringify(event.details).slice(0, ANALYTICS_DETAILS_MAX)
+      ],
+      doubles: [1]
+    });
+  }
+};
+
+// Events waiting for the next HTTP batch, shared by every request this isolate serves
+let httpBuffer = [];
+let httpFlush = null;
+
+/**
+ * POST the buffered events as NDJSON
+ * @param {object} env - Environment object
+ * @returns {Promise<boolean>} - False if the collector didn't take the batch
+ */
+async function flushHttpBuffer(env) {
+  const batch = httpBuffer;
+  httpBuffer = [];
+  httpFlush = null;
+  if (batch.length === 0) return true;
+
+  const { auditHttpUrl, auditHttpToken } = getConfig(env).logging;
+  try {
+    const response = await fetch(auditHttpUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-ndjson',
+        ...(auditHttpToken ? { 'Authorization': `Bearer ${auditHttpToken}` } : {})
+      },
+      body: batch.map(event => JSON.stringify(event)).join('\n') + '\n'
+    });
+    if (!response.ok) {
+      console.error(`Audit HTTP sink: collector answered ${response.status}, dropped ${batch.length} events`);
+    }
+    return response.ok;
+  } catch (error) {
+    console.error(`Audit HTTP sink: dropped ${batch.length} events:`, error);
+    return false;
+  }
+}
+
+/**
+ * HTTP sink: events are buffered and POSTed in batches of AUDIT_HTTP_BATCH_SIZE,
+ * or AUDIT_HTTP_FLUSH_MS after the first buffered event when running deferred
+ */
+export const httpSink = {
+  async write(env, event, { deferred = false } = {}) {
+    const { auditHttpUrl, auditHttpBatchSize, auditHttpFlushMs } = getConfig(env).logging;
+    if (!auditHttpUrl) {
+      console.warn('Audit HTTP sink enabled but AUDIT_HTTP_URL is not set');
+      return false;
+    }
+
+    httpBuffer.push(event);
+    if (httpBuffer.length >= auditHttpBatchSize || !deferred) {
+      // Awaited writes can't wait for a batch to fill up without slowing the request
+      return flushHttpBuffer(env);
+    }
+    if (!httpFlush) {
+      httpFlush = new Promise(resolve => setTimeout(resolve, auditHttpFlushMs)).then(() => flushHttpBuffer(env));
+    }
+    return httpFlush;
+  }
+};
+
+/**
+ * Console sink: one JSON line per event
+ */
+export const consoleSink = {
+  async write(env, event) {
+    console.log(JSON.stringify({ type: 'audit', ...event }));
+  }
+};
+
+defineAuditSink('kv', kvSink);
+defineAuditSink('analytics', analyticsSink);
+defineAuditSink('http', httpSink);
+defineAuditSink('console', consoleSink);
+
+/**
+ * Send an event to every configured sink
+ * One failing sink never stops the others. With an ExecutionContext the writes run
+ * after the response via ctx.waitUntil; without one they are awaited.
+ * @param {object} env - Environment object
+ * @param {object} event - Event in the current schema
+ * @param {object} options - Sink options: { key, expirationTtl, index, deferred }; deferred follows
+ *   ctx unless given, for callers that already run this call in the background themselves
+ * @param {ExecutionContext|null} ctx - Execution context, if any
+ * @returns {Promise<boolean|null>} - Whether any sink stored the event; null when deferred through
+ *   ctx, since the writes haven't happened yet
+ */
+export async function writeAuditEvent(env, event, options = {}, ctx = null) {
+  const viaContext = Boolean(ctx && typeof ctx.waitUntil === 'function');
+  const { deferred = viaContext, ...sinkOptions } = options;
+  const writes = getConfig(env).logging.auditSinks.map(async name => {
+    const sink = SINKS.get(name);
+    if (!sink) {
+      console.warn(`Unknown audit sink "${name}" in AUDIT_SINKS`);
+      return false;
+    }
+    try {
+      return (await sink.write(env, event, { ...sinkOptions, deferred })) !== false;
+    } catch (error) {
+      console.error(`Audit sink "${name}" failed for ${event.action}:`, error);
+      return false;
+    }
+  });
+  const stored = Promise.all(writes).then(results => results.some(Boolean));
+
+  if (viaContext) {
+    await runInBackground(ctx, `audit sinks: ${event.action}`, stored);
+    return null;
+  }
+  return stored;
+}
@@ -1,55 +1,93 @@
 /**
  * Security audit and logging functions
- * Track security events, user actions, and system events for monitoring
+ * Track security events, user actions, and system events for monitoring.
+ * Every entry follows the schema in audit-schema.js; logSecurityEvent,
+ * logUserAction and logSystemEvent are shorthands for auditLog.
+ * Where entries go (KV, Analytics Engine, HTTP, console) is up to audit-sinks.js.
  */
 
-import { safeKVWrite } from './kv-utils.js';
-import { getConfig } from './config.js';
+import { getFromKV } from './kv-utils.js';
+import { writeAuditEvent, USER_INDEX_PREFIX } from './audit-sinks.js';
+import { getClientIP } from './ratelimit.js';
+import { getRequestId } from './utils.js';
+import { getExecutionContext } from './background.js';
+import { createAuditEvent, validateAuditEvent, upgradeAuditEntry } from './audit-schema.js';
 
-export async function logSecurityEvent(env, event, details = {}) {
+export { USER_INDEX_PREFIX };
+
+/**
+ * Request metadata for an audit event
+ * @param {Request} request - Incoming request
+ * @returns {object} - { id, ip, userAgent, method, path }
+ */
+export function getRequestMetadata(request) {
+  return {
+    id: getRequestId(request),
+    ip: getClientIP(request),
+    userAgent: request.headers.get('User-Agent'),
+    method: request.method,
+    path: new URL(request.url).pathname
+  };
+}
+
+/**
+ * Log a structured audit event
+ * Never throws: auditing must not break the flow being audited.
+ * @param {object} env - Environment object
+ * @param {object} input - { action, outcome, reason, actor, target, request, details } — see audit-schema.js.
+ *   `request` may be a Request; the flat form ({ action, userId, email, ip, userAgent, ... }) is also accepted.
+ * @param {ExecutionContext|null} ctx - Defers the sink writes with ctx.waitUntil; defaults to the
+ *   context bound to input.request, if any
+ * @returns {Promise<object|null>} - The logged event, or null if it couldn't be built
+ */
+export async function auditLog(env, input = {}, ctx = null) {
   try {
-    // Only log if AUDIT namespace exists
-    if (!env.AUDIT) {
-      console.log(`Security event: ${event}`, details);
-      return;
+    ctx = ctx || (input.request instanceof Request ? getExecutionContext(input.request) : null);
+    const event = createAuditEvent({
+      ...input,
+      request: input.request instanceof Request ? getRequestMetadata(input.request) : input.request
+    });
+
+    const errors = validateAuditEvent(event);
+    if (errors.length > 0) {
+      console.warn(`Audit event "${event.action}" does not match the schema: ${errors.join(', ')}`);
     }
-    
-    const config = getConfig(env);
-    const now = new Date().toISOString();
-    const logEntry = {
-      event,
-      details,
-      time: now,
-      ip: details.ip || null
-    };
-    
-    // Use safe KV write to handle limits gracefully
-    await safeKVWrite(async () => {
-      await env.AUDIT.put(
-        `audit:${now}:${Math.random().toString(36).slice(2, 8)}`,
-        JSON.stringify(logEntry),
-        { expirationTtl: config.logging.auditLogTtl }
-      );
-    }, `security event: ${event}`);
+
+    await writeAuditEvent(env, event, {}, ctx);
+    return event;
   } catch (error) {
     console.error('Failed to log security event:', error);
     // Don't throw error to avoid breaking the main flow
+    return null;
   }
 }
 
+/**
+ * Log a security event
+ * @param {object} env - Environment object
+ * @param {string} event - Event name (becomes the action)
+ * @param {object} details - Flat details: userId, email, ip and userAgent are mapped into the schema
+ * @param {ExecutionContext|null} ctx - Execution context, if any
+ */
+export async function logSecurityEvent(env, event, details = {}, ctx = null) {
+  await auditLog(env, { ...details, action: event }, ctx);
+}
+
 /**
  * Log user action for audit trail
  * @param {object} env - Environment object
  * @param {string} action - Action performed
  * @param {string} userId - User identifier (email/ID)
  * @param {object} metadata - Additional data
+ * @param {ExecutionContext|null} ctx - Execution context, if any
  */
-export async function logUserAction(env, action, userId, metadata = {}) {
-  await logSecurityEvent(env, 'user_action', {
+export async function logUserAction(env, action, userId, metadata = {}, ctx = null) {
+  const { email, ...rest } = metadata;
+  await auditLog(env, {
+    ...rest,
     action,
-    userId,
-    ...metadata
-  });
+    actor: { type: 'user', id: userId, email }
+  }, ctx);
 }
 
 /**
@@ -57,10 +95,36 @@ export async function logUserAction(env, action, userId, metadata = {}) {
  * @param {object} env - Environment object
  * @param {string} event - System event
  * @param {object} metadata - Additional data
+ * @param {ExecutionContext|null} ctx - Execution context, if any
  */
-export async function logSystemEvent(env, event, metadata = {}) {
-  await logSecurityEvent(env, 'system_event', {
-    event,
-    ...metadata
+export async function logSystemEvent(env, event, metadata = {}, ctx = null) {
+  await auditLog(env, {
+    ...metadata,
+    action: event,
+    outcome: metadata.outcome || 'info',
+    actor: { type: 'system' }
+  }, ctx);
+}
+
+/**
+ * Most recent audit entries for one user, from the per-user index
+ * @param {object} env - Environment object
+ * @param {string} userId - User ID
+ * @param {object} options - { limit, cursor }
+ * @returns {Promise<object>} - { entries (newest first, current schema), cursor (null on the last page) }
+ */
+export async function getUserAuditEntries(env, userId, { limit = 50, cursor = null } = {}) {
+  if (!env.AUDIT || !userId) return { entries: [], cursor: null };
+
+  const page = await env.AUDIT.list({
+    prefix: `${USER_INDEX_PREFIX}${userId}:`,
+    limit,
+    ...(cursor ? { cursor } : {})
   });
+  const entries = await Promise.all(page.keys.map(({ name }) => getFromKV(env.AUDIT, name)));
+
+  return {
+    entries: entries.filter(Boolean).map(upgradeAuditEntry),
+    cursor: page.list_complete ? null : page.cursor
+  };
 }
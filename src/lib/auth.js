@@ -3,36 +3,62 @@
  * Provides user authentication, registration, and password management
  */
 
-import { hashPassword, verifyPassword } from './utils.js';
-import { createSession, destroySession } from './session.js';
+import { hashPassword, verifyPassword, needsRehash } from './password.js';
+import { createSession, destroySession, destroyAllUserSessions } from './session.js';
 import { saveToKV, getFromKV } from './kv-utils.js';
 import { auditLog } from './audit.js';
-import { isValidEmail } from './email-validation.js';
+import { validateEmailLegitimacy, logEmailValidation } from './email-validation.js';
+import { getExecutionContext } from './background.js';
+import { checkLoginLockout, recordLoginFailure, clearLoginFailures } from './lockout.js';
+import { deleteAllPasskeys, listPasskeys } from './webauthn.js';
+import { deleteAllIdentities } from './identities.js';
+import { migrateLegacyUser } from './migrations.js';
+import { getConfig } from './config.js';
+
+// Hash of a throwaway password at the current iteration count. Unknown emails are checked against it
+// so a failed login costs the same PBKDF2 work whether or not the account exists.
+const DUMMY_PASSWORD_HASH = 'pbkdf2_sha256$100000$1SuL4UacWNHXj-j8eYgyMA$E9g1e0vg4ehi03fWR6G7HBM_7DWlBE5daHStaYkeBtE';
 
 /**
  * Register a new user
  * @param {string} email - User email
- * @param {string} password - User password (will be hashed)
+ * @param {string|null} password - User password (will be hashed); ignored with passwordless
  * @param {Object} env - Environment variables
  * @param {Request} request - Request object for audit logging
+ * @param {Object} options - { passwordless: no password (magic-link or social sign-up); the address is
+ *   already proven, so the account starts verified. A password can be set later via password reset.
+ *   method: how the user signed up, for the audit log }
  * @returns {Object} Result object with success status and user data
  */
-export async function registerUser(email, password, env, request) {
+export async function registerUser(email, password, env, request, { passwordless = false, method = 'password' } = {}) {
   try {
+    email = String(email || '').trim().toLowerCase();
+
     // Validate email format and check for spam/disposable domains
-    const emailValidation = await isValidEmail(email, 'signup');
+    const ctx = getExecutionContext(request);
+    const emailValidation = await validateEmailLegitimacy(email, env, ctx);
     if (!emailValidation.isValid) {
+      await logEmailValidation(env, email, emailValidation, request.headers.get('CF-Connecting-IP'), 'signup', ctx);
       await auditLog(env, {
         action: 'register_failed',
         email,
         reason: emailValidation.reason,
-        ip: request.headers.get('CF-Connecting-IP'),
-        userAgent: request.headers.get('User-Agent')
+        request
       });
       
       return {
         success: false,
-        error: 'Invalid email address'
+        error: 'Invalid email address',
+        reason: emailValidation.reason
+      };
+    }
+
+    const { minPasswordLength } = getConfig(env).security;
+    if (!passwordless && (typeof password !== 'string' || password.length < minPasswordLength)) {
+      return {
+        success: false,
+        error: `Password must be at least ${minPasswordLength} characters`,
+        reason: 'weak_password'
       };
     }
 
@@ -43,26 +69,28 @@ export async function registerUser(email, password, env, request) {
         action: 'register_failed',
         email,
         reason: 'email_exists',
-        ip: request.headers.get('CF-Connecting-IP')
+        request
       });
       
       return {
         success: false,
-        error: 'User already exists'
+        error: 'User already exists',
+        reason: 'email_exists'
       };
     }
 
-    // Hash password
-    const hashedPassword = await hashPassword(password);
+    // Hash password (passwordless accounts have none, so password logins always fail)
+    const hashedPassword = passwordless ? null : await hashPassword(password);
     
     // Create user object
     const user = {
       id: crypto.randomUUID(),
-      email: email.toLowerCase(),
+      email,
       password: hashedPassword,
       createdAt: new Date().toISOString(),
-      verified: false,
-      plan: 'free'
+      verified: passwordless,
+      plan: 'free',
+      roles: ['user']
     };
 
     // Save user to KV
@@ -74,8 +102,8 @@ export async function registerUser(email, password, env, request) {
       action: 'user_registered',
       userId: user.id,
       email,
-      ip: request.headers.get('CF-Connecting-IP'),
-      userAgent: request.headers.get('User-Agent')
+      request,
+      method
     });
 
     return {
@@ -97,8 +125,28 @@ export async function registerUser(email, password, env, request) {
   }
 }
 
+// Failed credential check: counts towards the lockout, and says so once the address is locked
+async function failedLogin(env, email, user, request, ctx) {
+  const lockout = await recordLoginFailure(env, email, user, request, ctx);
+  if (lockout && lockout.reason === 'account_temporarily_locked') {
+    return {
+      success: false,
+      error: 'Account temporarily locked',
+      reason: lockout.reason,
+      retryAfter: lockout.retryAfter
+    };
+  }
+
+  return {
+    success: false,
+    error: 'Invalid credentials'
+  };
+}
+
 /**
  * Authenticate user login
+ * Failed attempts are counted per address (see lockout.js); result.reason is
+ * 'login_delayed' or 'account_temporarily_locked' (with retryAfter in seconds) while throttled.
  * @param {string} email - User email
  * @param {string} password - User password
  * @param {Object} env - Environment variables
@@ -107,22 +155,43 @@ export async function registerUser(email, password, env, request) {
  */
 export async function loginUser(email, password, env, request) {
   try {
-    // Get user from KV
-    const user = await getFromKV(env.USERS, `user:${email.toLowerCase()}`);
-    if (!user) {
+    const ctx = getExecutionContext(request);
+
+    // Addresses with recent failures wait (or stay locked) before the password is even checked
+    const lockout = await checkLoginLockout(env, email, request, ctx);
+    if (lockout) {
       await auditLog(env, {
         action: 'login_failed',
         email,
-        reason: 'user_not_found',
-        ip: request.headers.get('CF-Connecting-IP')
+        reason: lockout.reason,
+        request
       });
-      
+
       return {
         success: false,
-        error: 'Invalid credentials'
+        error: lockout.reason === 'login_delayed' ? 'Too many attempts' : 'Account temporarily locked',
+        reason: lockout.reason,
+        retryAfter: lockout.retryAfter
       };
     }
 
+    // Get user from KV (accounts from the old raw-email schema are migrated on first login)
+    let user = await getFromKV(env.USERS, `user:${email.toLowerCase()}`);
+    if (!user && await migrateLegacyUser(env, email)) {
+      user = await getFromKV(env.USERS, `user:${email.toLowerCase()}`);
+    }
+    if (!user) {
+      await verifyPassword(password, DUMMY_PASSWORD_HASH);
+      await auditLog(env, {
+        action: 'login_failed',
+        email,
+        reason: 'user_not_found',
+        request
+      });
+      
+      return failedLogin(env, email, null, request, ctx);
+    }
+
     // Verify password
     const isValidPassword = await verifyPassword(password, user.password);
     if (!isValidPassword) {
@@ -131,22 +200,79 @@ export async function loginUser(email, password, env, request) {
         userId: user.id,
         email,
         reason: 'invalid_password',
-        ip: request.headers.get('CF-Connecting-IP')
+        request
       });
       
+      return failedLogin(env, email, user, request, ctx);
+    }
+
+    // Locked and unverified accounts are only reported after the password
+    // checked out, so this doesn't reveal which emails are registered
+    if (user.locked) {
+      await auditLog(env, {
+        action: 'login_failed',
+        userId: user.id,
+        email,
+        reason: 'account_locked',
+        request
+      });
+
       return {
         success: false,
-        error: 'Invalid credentials'
+        error: 'Account locked',
+        reason: 'account_locked'
       };
     }
 
-    // Log successful login
+    // Gate unverified accounts
+    if (!user.verified && getConfig(env).auth.requireEmailVerification) {
+      await auditLog(env, {
+        action: 'login_failed',
+        userId: user.id,
+        email,
+        reason: 'email_not_verified',
+        request
+      });
+
+      return {
+        success: false,
+        error: 'Email not verified',
+        reason: 'email_not_verified'
+      };
+    }
+
+    // Upgrade hashes created with older parameters while we have the plaintext
+    if (needsRehash(user.password)) {
+      try {
+        await saveToKV(env.USERS, `user:${user.email}`, {
+          ...user,
+          password: await hashPassword(password),
+          updatedAt: new Date().toISOString()
+        });
+        await auditLog(env, {
+          action: 'password_rehashed',
+          userId: user.id,
+          email
+        });
+      } catch (error) {
+        // Not fatal: the old hash still verifies, we'll retry on the next login
+        console.warn('Password rehash failed:', error);
+      }
+    }
+
+    // With a second factor, failures are cleared once it checks out;
+    // clearing them here would let every fresh password login reset the count
+    const secondFactor = await requiresSecondFactor(user, env);
+    if (!secondFactor) {
+      await clearLoginFailures(env, user.email);
+    }
+
+    // Log successful login (with a second factor, user_login is logged once it checks out)
     await auditLog(env, {
-      action: 'user_login',
+      action: secondFactor ? 'login_second_factor_required' : 'user_login',
       userId: user.id,
       email,
-      ip: request.headers.get('CF-Connecting-IP'),
-      userAgent: request.headers.get('User-Agent')
+      request
     });
 
     return {
@@ -155,7 +281,9 @@ export async function loginUser(email, password, env, request) {
         id: user.id,
         email: user.email,
         verified: user.verified,
-        plan: user.plan
+        plan: user.plan,
+        twoFactorEnabled: Boolean(user.twoFactor),
+        secondFactorRequired: secondFactor
       }
     };
 
@@ -168,6 +296,24 @@ export async function loginUser(email, password, env, request) {
   }
 }
 
+/**
+ * Whether signing in takes a second step: TOTP is on, or the user has a passkey
+ * (which can stand in as the second factor even without TOTP)
+ * @param {Object} user - User record, or a user from getUserById/getUserByEmail
+ * @param {Object} env - Environment variables
+ * @returns {Promise<boolean>} True if a password, magic link or provider sign-in needs a second factor
+ */
+export async function requiresSecondFactor(user, env) {
+  if (user.twoFactor || user.twoFactorEnabled) return true;
+  return (await listPasskeys(env, user.id)).length > 0;
+}
+
+// User record without its secrets (password hash, TOTP secret and recovery codes)
+function toSafeUser(user) {
+  const { password, twoFactor, ...safeUser } = user;
+  return { ...safeUser, hasPassword: Boolean(password), twoFactorEnabled: Boolean(twoFactor) };
+}
+
 /**
  * Get user by ID
  * @param {string} userId - User ID
@@ -182,9 +328,26 @@ export async function getUserById(userId, env) {
     const user = await getFromKV(env.USERS, `user:${userRef.email}`);
     if (!user) return null;
 
-    // Return user without password
-    const { password, ...safeUser } = user;
-    return safeUser;
+    return toSafeUser(user);
+
+  } catch (error) {
+    console.error('Get user error:', error);
+    return null;
+  }
+}
+
+/**
+ * Get user by email
+ * @param {string} email - User email
+ * @param {Object} env - Environment variables
+ * @returns {Object|null} User object or null if not found
+ */
+export async function getUserByEmail(email, env) {
+  try {
+    const user = await getFromKV(env.USERS, `user:${String(email || '').trim().toLowerCase()}`);
+    if (!user) return null;
+
+    return toSafeUser(user);
 
   } catch (error) {
     console.error('Get user error:', error);
@@ -192,6 +355,168 @@ export async function getUserById(userId, env) {
   }
 }
 
+/**
+ * List users whose email starts with a prefix, one KV list page at a time
+ * @param {Object} env - Environment variables
+ * @param {Object} options - { prefix, cursor, limit }
+ * @returns {Object} { users (without passwords), cursor (null on the last page) }
+ */
+export async function listUsers(env, { prefix = '', cursor = null, limit = 25 } = {}) {
+  const page = await env.USERS.list({
+    prefix: `user:${prefix.trim().toLowerCase()}`,
+    limit,
+    ...(cursor ? { cursor } : {})
+  });
+
+  const users = await Promise.all(page.keys.map(async ({ name }) => {
+    const user = await getFromKV(env.USERS, name);
+    if (!user) return null;
+    return toSafeUser(user);
+  }));
+
+  return {
+    users: users.filter(Boolean),
+    cursor: page.list_complete ? null : page.cursor
+  };
+}
+
+/**
+ * Lock or unlock an account; locked accounts can't log in
+ * Existing sessions are not touched here; end them with destroyAllUserSessions.
+ * @param {string} userId - User ID
+ * @param {boolean} locked - True to lock, false to unlock
+ * @param {Object} env - Environment variables
+ * @param {string} reason - Why the account was locked (kept on the record)
+ * @returns {Object} Result object with success status
+ */
+export async function setUserLocked(userId, locked, env, reason = null) {
+  try {
+    const userRef = await getFromKV(env.USERS, `user_by_id:${userId}`);
+    const user = userRef && await getFromKV(env.USERS, `user:${userRef.email}`);
+    if (!user) {
+      return { success: false, error: 'User not found' };
+    }
+
+    const { lockedAt, lockedReason, ...rest } = user;
+    const updatedUser = locked
+      ? { ...rest, locked: true, lockedAt: new Date().toISOString(), lockedReason: reason }
+      : { ...rest, locked: false };
+
+    await saveToKV(env.USERS, `user:${user.email}`, {
+      ...updatedUser,
+      updatedAt: new Date().toISOString()
+    });
+
+    return { success: true };
+
+  } catch (error) {
+    console.error('Lock user error:', error);
+    return { success: false, error: 'Update failed' };
+  }
+}
+
+/**
+ * Read a user's two-factor settings (TOTP secret, last used step, hashed recovery codes)
+ * Kept out of getUserById/getUserByEmail so the secret never reaches pages or logs.
+ * @param {string} userId - User ID
+ * @param {Object} env - Environment variables
+ * @returns {Object|null} twoFactor settings, or null if 2FA is off or the user doesn't exist
+ */
+export async function getUserTwoFactor(userId, env) {
+  const userRef = await getFromKV(env.USERS, `user_by_id:${userId}`);
+  const user = userRef && await getFromKV(env.USERS, `user:${userRef.email}`);
+  return (user && user.twoFactor) || null;
+}
+
+/**
+ * Replace (or with null, remove) a user's two-factor settings
+ * @param {string} userId - User ID
+ * @param {Object|null} twoFactor - { secret, enabledAt, lastStep, recoveryCodes } or null
+ * @param {Object} env - Environment variables
+ * @returns {Object} Result object with success status
+ */
+export async function setUserTwoFactor(userId, twoFactor, env) {
+  try {
+    const userRef = await getFromKV(env.USERS, `user_by_id:${userId}`);
+    const user = userRef && await getFromKV(env.USERS, `user:${userRef.email}`);
+    if (!user) {
+      return { success: false, error: 'User not found' };
+    }
+
+    const { twoFactor: previous, ...rest } = user;
+    await saveToKV(env.USERS, `user:${user.email}`, {
+      ...rest,
+      ...(twoFactor ? { twoFactor } : {}),
+      updatedAt: new Date().toISOString()
+    });
+
+    return { success: true };
+
+  } catch (error) {
+    console.error('Two-factor update error:', error);
+    return { success: false, error: 'Update failed' };
+  }
+}
+
+/**
+ * Remove a user's password and two-factor settings, e.g. when the owner of the
+ * email address takes over an unverified account someone else may have created
+ * @param {string} userId - User ID
+ * @param {Object} env - Environment variables
+ * @returns {Object} Result object with success status
+ */
+export async function clearUserCredentials(userId, env) {
+  try {
+    const userRef = await getFromKV(env.USERS, `user_by_id:${userId}`);
+    const user = userRef && await getFromKV(env.USERS, `user:${userRef.email}`);
+    if (!user) {
+      return { success: false, error: 'User not found' };
+    }
+
+    const { twoFactor, ...rest } = user;
+    await saveToKV(env.USERS, `user:${user.email}`, {
+      ...rest,
+      password: null,
+      updatedAt: new Date().toISOString()
+    });
+
+    return { success: true };
+
+  } catch (error) {
+    console.error('Clear credentials error:', error);
+    return { success: false, error: 'Update failed' };
+  }
+}
+
+/**
+ * The owner of an address proves it (magic link, provider sign-in) on an unverified
+ * account: whoever created the account may not own the address, so everything they
+ * could have set up (password, 2FA, passkeys, linked identities, sessions) is removed
+ * before the account is marked verified
+ * @param {Object} user - User from getUserById/getUserByEmail
+ * @param {Object} env - Environment variables
+ * @param {Request} request - Request object for audit logging
+ * @param {Object} details - Extra fields for the email_verified audit entry (method, provider)
+ * @returns {Object} The user as it is now: verified, without password or 2FA
+ */
+export async function takeOverUnverifiedAccount(user, env, request, details = {}) {
+  await clearUserCredentials(user.id, env);
+  await deleteAllPasskeys(env, user.id);
+  await deleteAllIdentities(env, user.id);
+  await destroyAllUserSessions(env, user.email);
+  await updateUser(user.id, { verified: true }, env);
+
+  await auditLog(env, {
+    action: 'email_verified',
+    userId: user.id,
+    email: user.email,
+    request,
+    ...details,
+    accountReset: true
+  });
+  return { ...user, verified: true, hasPassword: false, twoFactorEnabled: false };
+}
+
 /**
  * Update user data
  * @param {string} userId - User ID
@@ -264,20 +589,27 @@ export async function changePassword(userId, currentPassword, newPassword, env,
         action: 'password_change_failed',
         userId,
         reason: 'invalid_current_password',
-        ip: request.headers.get('CF-Connecting-IP')
+        request
       });
       
       return { success: false, error: 'Invalid current password' };
     }
 
+    const { minPasswordLength } = getConfig(env).security;
+    if (typeof newPassword !== 'string' || newPassword.length < minPasswordLength) {
+      return { success: false, error: `Password must be at least ${minPasswordLength} characters` };
+    }
+
     // Hash new password
     const hashedNewPassword = await hashPassword(newPassword);
 
     // Update user
+    const now = new Date().toISOString();
     const updatedUser = {
       ...user,
       password: hashedNewPassword,
-      updatedAt: new Date().toISOString()
+      passwordChangedAt: now,
+      updatedAt: now
     };
 
     await saveToKV(env.USERS, `user:${user.email}`, updatedUser);
@@ -286,7 +618,7 @@ export async function changePassword(userId, currentPassword, newPassword, env,
     await auditLog(env, {
       action: 'password_changed',
       userId,
-      ip: request.headers.get('CF-Connecting-IP')
+      request
     });
 
     return { success: true };
@@ -297,14 +629,67 @@ export async function changePassword(userId, currentPassword, newPassword, env,
   }
 }
 
+/**
+ * Set a new password without the current one (after a verified reset link)
+ * @param {string} userId - User ID
+ * @param {string} newPassword - New password
+ * @param {Object} env - Environment variables
+ * @param {Request} request - Request object for audit logging
+ * @returns {Object} Result object with success status
+ */
+export async function resetPassword(userId, newPassword, env, request) {
+  try {
+    const userRef = await getFromKV(env.USERS, `user_by_id:${userId}`);
+    if (!userRef) {
+      return { success: false, error: 'User not found' };
+    }
+
+    const user = await getFromKV(env.USERS, `user:${userRef.email}`);
+    if (!user) {
+      return { success: false, error: 'User not found' };
+    }
+
+    const { minPasswordLength } = getConfig(env).security;
+    if (typeof newPassword !== 'string' || newPassword.length < minPasswordLength) {
+      return { success: false, error: `Password must be at least ${minPasswordLength} characters` };
+    }
+
+    // Following the emailed link proves control of the inbox
+    const now = new Date().toISOString();
+    const updatedUser = {
+      ...user,
+      password: await hashPassword(newPassword),
+      passwordChangedAt: now,
+      verified: true,
+      updatedAt: now
+    };
+
+    await saveToKV(env.USERS, `user:${user.email}`, updatedUser);
+
+    await auditLog(env, {
+      action: 'password_reset',
+      userId,
+      email: user.email,
+      request
+    });
+
+    return { success: true, email: user.email };
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    return { success: false, error: 'Password reset failed' };
+  }
+}
+
 /**
  * Delete user account
  * @param {string} userId - User ID
  * @param {Object} env - Environment variables
  * @param {Request} request - Request object for audit logging
+ * @param {Object} options - { actor: acting admin ({ id, email }) when it isn't the user's own deletion }
  * @returns {Object} Result object with success status
  */
-export async function deleteUser(userId, env, request) {
+export async function deleteUser(userId, env, request, { actor = null } = {}) {
   try {
     const userRef = await getFromKV(env.USERS, `user_by_id:${userId}`);
     if (!userRef) {
@@ -319,13 +704,17 @@ export async function deleteUser(userId, env, request) {
     // Delete user data
     await env.USERS.delete(`user:${user.email}`);
     await env.USERS.delete(`user_by_id:${userId}`);
+    await deleteAllPasskeys(env, userId);
+    await deleteAllIdentities(env, userId);
 
-    // Log account deletion
+    // Log account deletion, once, with whoever did it as the actor
     await auditLog(env, {
       action: 'user_deleted',
-      userId,
-      email: user.email,
-      ip: request.headers.get('CF-Connecting-IP')
+      ...(actor ? {
+        actor: { type: 'admin', id: actor.id, email: actor.email },
+        target: { type: 'user', id: userId, email: user.email }
+      } : { userId, email: user.email }),
+      request
     });
 
     return { success: true };
@@ -0,0 +1,52 @@
+/**
+ * Background work for the current request
+ * Side effects the response doesn't depend on (audit writes, session activity
+ * refresh, cache refresh) run after the response through ctx.waitUntil.
+ * Failures are logged, never thrown, so they can't break the request.
+ */
+
+// ExecutionContext of each Request the router is handling
+const EXECUTION_CONTEXTS = new WeakMap();
+
+/**
+ * Remember the ExecutionContext a request is served with
+ * Lets helpers that only receive the Request (e.g. auditLog) defer their work too.
+ * @param {Request} request - Incoming request
+ * @param {ExecutionContext|null} ctx - Execution context from fetch()
+ */
+export function bindExecutionContext(request, ctx) {
+  if (ctx) EXECUTION_CONTEXTS.set(request, ctx);
+}
+
+/**
+ * ExecutionContext bound to a request
+ * @param {Request|null} request - Incoming request
+ * @returns {ExecutionContext|null} - Execution context, or null outside a fetch
+ */
+export function getExecutionContext(request) {
+  return (request && EXECUTION_CONTEXTS.get(request)) || null;
+}
+
+/**
+ * Run a task without holding up the response
+ * With an ExecutionContext the task is handed to ctx.waitUntil and the returned
+ * promise resolves at once; without one (tests, scripts) it resolves when the task
+ * is done, so callers can always simply await it.
+ * @param {ExecutionContext|null} ctx - Execution context
+ * @param {string} label - Task description for error logs
+ * @param {Function|Promise} task - Async function (or promise) to run
+ * @returns {Promise<void>}
+ */
+export function runInBackground(ctx, label, task) {
+  const promise = Promise.resolve()
+    .then(() => (typeof task === 'function' ? task() : task))
+    .then(() => undefined, error => {
+      console.error(`Background task "${label}" failed:`, error);
+    });
+
+  if (ctx && typeof ctx.waitUntil === 'function') {
+    ctx.waitUntil(promise);
+    return Promise.resolve();
+  }
+  return promise;
+}
@@ -0,0 +1,179 @@
+/**
+ * Minimal CBOR decoder (RFC 8949) for WebAuthn attestation objects and COSE keys
+ * Covers what authenticators send: integers, byte and text strings, arrays, maps,
+ * tags, simple values and floats. Indefinite lengths aren't allowed in the CTAP2
+ * canonical encoding, so they are rejected rather than supported.
+ */
+
+// Nested arrays/maps deeper than this are rejected (COSE keys need 2)
+const MAX_DEPTH = 16;
+
+/**
+ * Decode one CBOR item starting at an offset, allowing bytes after it
+ * (authenticator data has extensions right after the credential public key)
+ * @param {Uint8Array} bytes - Encoded data
+ * @param {number} offset - Where the item starts
+ * @returns {object} - { value, offset } with the offset just past the item
+ * @throws {Error} - On malformed or unsupported input
+ */
+export function decodeCborItem(bytes, offset = 0) {
+  const reader = { bytes, view: new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength), offset };
+  const value = readItem(reader, 0);
+  return { value, offset: reader.offset };
+}
+
+/**
+ * Decode a buffer holding exactly one CBOR item
+ * Maps decode to Map objects, since COSE keys use integer keys.
+ * @param {Uint8Array} bytes - Encoded data
+ * @returns {*} - Decoded value
+ * @throws {Error} - On malformed input or trailing bytes
+ */
+export function decodeCbor(bytes) {
+  const { value, offset } = decodeCborItem(bytes);
+  if (offset !== bytes.length) {
+    throw new Error('CBOR: unexpected bytes after the first item');
+  }
+  return value;
+}
+
+function need(reader, length) {
+  if (reader.offset + length > reader.bytes.length) {
+    throw new Error('CBOR: unexpected end of data');
+  }
+}
+
+// Argument of the initial byte: the value itself, or the length of what follows
+function readArgument(reader, info) {
+  if (info < 24) return info;
+
+  const { view } = reader;
+  let value;
+  switch (info) {
+    case 24:
+      need(reader, 1);
+      value = view.getUint8(reader.offset);
+      reader.offset += 1;
+      return value;
+    case 25:
+      need(reader, 2);
+      value = view.getUint16(reader.offset);
+      reader.offset += 2;
+      return value;
+    case 26:
+      need(reader, 4);
+      value = view.getUint32(reader.offset);
+      reader.offset += 4;
+      return value;
+    case 27: {
+      need(reader, 8);
+      const high = view.getUint32(reader.offset);
+      const low = view.getUint32(reader.offset + 4);
+      reader.offset += 8;
+      if (high >= 0x200000) {
+        throw new Error('CBOR: integer too large');
+      }
+      return high * 0x100000000 + low;
+    }
+    case 31:
+      throw new Error('CBOR: indefinite lengths are not supported');
+    default:
+      throw new Error('CBOR: reserved additional information');
+  }
+}
+
+function readBytes(reader, length) {
+  need(reader, length);
+  const slice = reader.bytes.slice(reader.offset, reader.offset + length);
+  reader.offset += length;
+  return slice;
+}
+
+// IEEE 754 half-precision float
+function decodeFloat16(half) {
+  const exponent = (half >> 10) & 0x1f;
+  const fraction = half & 0x3ff;
+  const sign = half & 0x8000 ? -1 : 1;
+  if (exponent === 0) return sign * 2 ** -14 * (fraction / 1024);
+  if (exponent === 31) return fraction ? NaN : sign * Infinity;
+  return sign * 2 ** (exponent - 15) * (1 + fraction / 1024);
+}
+
+function readSimple(reader, info) {
+  const { view } = reader;
+  let value;
+  switch (info) {
+    case 20: return false;
+    case 21: return true;
+    case 22: return null;
+    case 23: return undefined;
+    case 25:
+      need(reader, 2);
+      value = decodeFloat16(view.getUint16(reader.offset));
+      reader.offset += 2;
+      return value;
+    case 26:
+      need(reader, 4);
+      value = view.getFloat32(reader.offset);
+      reader.offset += 4;
+      return value;
+    case 27:
+      need(reader, 8);
+      value = view.getFloat64(reader.offset);
+      reader.offset += 8;
+      return value;
+    default:
+      throw new Error('CBOR: unsupported simple value');
+  }
+}
+
+function readItem(reader, depth) {
+  if (depth > MAX_DEPTH) {
+    throw new Error('CBOR: nesting too deep');
+  }
+
+  need(reader, 1);
+  const initial = reader.bytes[reader.offset++];
+  const major = initial >> 5;
+  const info = initial & 0x1f;
+
+  if (major === 7) {
+    return readSimple(reader, info);
+  }
+
+  const argument = readArgument(reader, info);
+  switch (major) {
+    case 0:
+      return argument;
+    case 1:
+      return -1 - argument;
+    case 2:
+      return readBytes(reader, argument);
+    case 3:
+      return new TextDecoder('utf-8', { fatal: true }).decode(readBytes(reader, argument));
+    case 4: {
+      // Every item takes at least one byte, so longer claims are malformed
+      need(reader, argument);
+      const items = [];
+      for (let i = 0; i < argument; i++) {
+        items.push(readItem(reader, depth + 1));
+      }
+      return items;
+    }
+    case 5: {
+      need(reader, argument * 2);
+      const map = new Map();
+      for (let i = 0; i < argument; i++) {
+        const key = readItem(reader, depth + 1);
+        if (map.has(key)) {
+          throw new Error('CBOR: duplicate map key');
+        }
+        map.set(key, readItem(reader, depth + 1));
+      }
+      return map;
+    }
+    default:
+      // Tag: the tagged value is all WebAuthn ever needs
+      return readItem(reader, depth + 1);
+  }
+}
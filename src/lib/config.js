@@ -3,41 +3,167 @@
  * Centralizes all configurable values with environment variable support
  */
 
+/**
+ * Build a rate limit rule from RATE_LIMIT_<name>_* variables
+ * @param {object} env - Environment variables
+ * @param {string} name - Rule name in the variable names, e.g. 'LOGIN_ACCOUNT'
+ * @param {object} defaults - { limit, window, key }
+ * @returns {object} - { limit, window, key, algorithm }
+ */
+function rateLimitRule(env, name, defaults) {
+  return {
+    limit: parseInt(env[`RATE_LIMIT_${name}_LIMIT`]) || defaults.limit,
+    window: parseInt(env[`RATE_LIMIT_${name}_WINDOW`]) || defaults.window,
+    key: env[`RATE_LIMIT_${name}_KEY`] || defaults.key,
+    algorithm: env[`RATE_LIMIT_${name}_ALGORITHM`] || env.RATE_LIMIT_ALGORITHM || 'sliding_window' // fixed_window, sliding_window or token_bucket
+  };
+}
+
 /**
  * Get configuration values from environment with fallback defaults
  * @param {object} env - Environment variables
  * @returns {object} - Configuration object
  */
 export function getConfig(env) {
+  const loginRule = rateLimitRule(env, 'LOGIN', { limit: 10, window: 900000, key: 'ip' }); // 15 minutes
+  const verifyResendRule = rateLimitRule(env, 'VERIFY_RESEND', { limit: 3, window: 3600000, key: 'ip' }); // 1 hour
+  const passwordResetRule = rateLimitRule(env, 'PASSWORD_RESET', { limit: 5, window: 3600000, key: 'ip' }); // 1 hour
+  const magicLinkRule = rateLimitRule(env, 'MAGIC_LINK', { limit: 5, window: 3600000, key: 'ip' }); // 1 hour
+
   return {
     // Session Configuration
     session: {
+      // Signing secrets, current first; keep the previous one until its cookies have expired
+      secrets: [env.SESSION_SECRET, env.SESSION_SECRET_PREVIOUS].filter(Boolean),
+      // __Host- binds the cookie to this exact host over HTTPS (no subdomain can set or read it)
+      cookieName: env.SESSION_COOKIE_HOST_PREFIX === 'true' ? '__Host-session' : 'session',
       maxAge: parseInt(env.SESSION_MAX_AGE) || 604800000, // 7 days in milliseconds
       timeout: parseInt(env.SESSION_TIMEOUT) || 1800000, // 30 minutes in milliseconds
-      expirationTtl: parseInt(env.SESSION_EXPIRATION_TTL) || 604800 // 7 days in seconds
+      expirationTtl: parseInt(env.SESSION_EXPIRATION_TTL) || 604800, // 7 days in seconds
+      maxPerUser: parseInt(env.SESSION_MAX_PER_USER) || 50 // Oldest sessions are logged out beyond this
     },
     
     // Rate Limiting Configuration
+    // Each rule: { limit, window (ms), key, algorithm }, overridable with
+    // RATE_LIMIT_<RULE>_LIMIT / _WINDOW / _KEY / _ALGORITHM. key is one of
+    // ip, ip64 (IPv6 /64), user, email or apiKey (see ratelimit.js).
     rateLimit: {
-      contact: {
-        limit: parseInt(env.RATE_LIMIT_CONTACT_LIMIT) || 5,
-        window: parseInt(env.RATE_LIMIT_CONTACT_WINDOW) || 900000 // 15 minutes
-      },
-      signup: {
-        limit: parseInt(env.RATE_LIMIT_SIGNUP_LIMIT) || 3,
-        window: parseInt(env.RATE_LIMIT_SIGNUP_WINDOW) || 3600000 // 1 hour
+      contact: rateLimitRule(env, 'CONTACT', { limit: 5, window: 900000, key: 'ip' }), // 15 minutes
+      signup: rateLimitRule(env, 'SIGNUP', { limit: 3, window: 3600000, key: 'ip' }), // 1 hour
+      login: loginRule,
+      loginAccount: rateLimitRule(env, 'LOGIN_ACCOUNT', { ...loginRule, key: 'email' }), // Defaults to the login limit
+      verifyResend: verifyResendRule,
+      verifyResendEmail: rateLimitRule(env, 'VERIFY_RESEND_EMAIL', { ...verifyResendRule, key: 'email' }),
+      passwordReset: passwordResetRule,
+      passwordResetEmail: rateLimitRule(env, 'PASSWORD_RESET_EMAIL', { ...passwordResetRule, key: 'email' }),
+      twoFactor: rateLimitRule(env, 'TWO_FACTOR', { limit: 10, window: 900000, key: 'ip' }), // 15 minutes
+      passkeyLogin: rateLimitRule(env, 'PASSKEY_LOGIN', { limit: 20, window: 900000, key: 'ip' }), // 15 minutes, options and verify both count
+      magicLink: magicLinkRule,
+      magicLinkEmail: rateLimitRule(env, 'MAGIC_LINK_EMAIL', { ...magicLinkRule, key: 'email' }),
+      oauth: rateLimitRule(env, 'OAUTH', { limit: 20, window: 900000, key: 'ip' }) // 15 minutes, starting and finishing a sign-in both count
+    },
+    
+    // Rate Limiter Backend
+    rateLimiter: {
+      backend: env.RATE_LIMIT_BACKEND || 'kv', // 'kv' or 'durable_object'
+      algorithm: env.RATE_LIMIT_ALGORITHM || 'sliding_window', // Default for rules without their own
+      binding: env.RATE_LIMIT_BINDING || 'RATE_LIMITER' // Durable Object namespace binding
+    },
+    
+    // Authentication Configuration
+    auth: {
+      requireEmailVerification: env.REQUIRE_EMAIL_VERIFICATION !== 'false',
+      verificationTokenTtl: parseInt(env.VERIFICATION_TOKEN_TTL) || 86400, // 24 hours in seconds
+      passwordResetTokenTtl: parseInt(env.PASSWORD_RESET_TOKEN_TTL) || 1800, // 30 minutes in seconds
+      adminEmails: (env.ADMIN_EMAILS || '').split(',').map(email => email.trim().toLowerCase()).filter(Boolean),
+      plans: (env.PLANS || 'free,pro').split(',').map(plan => plan.trim()).filter(Boolean) // Plans admins can assign
+    },
+    
+    // Two-factor authentication (see two-factor.js)
+    twoFactor: {
+      issuer: env.TOTP_ISSUER || null, // Name shown in authenticator apps; defaults to the BASE_URL host
+      recoveryCodes: parseInt(env.TOTP_RECOVERY_CODES) || 10,
+      enrollmentTtl: parseInt(env.TOTP_ENROLLMENT_TTL) || 900, // 15 minutes in seconds
+      pendingTtl: parseInt(env.TWO_FACTOR_PENDING_TTL) || 300, // Second login step: 5 minutes in seconds
+      maxAttempts: parseInt(env.TWO_FACTOR_MAX_ATTEMPTS) || 5 // Codes tried per pending login
+    },
+    
+    // WebAuthn passkeys (see webauthn.js)
+    webauthn: {
+      rpId: env.WEBAUTHN_RP_ID || null, // Defaults to the BASE_URL host; a parent domain shares passkeys with subdomains
+      rpName: env.WEBAUTHN_RP_NAME || null, // Shown by the browser; defaults to the BASE_URL host
+      origins: (env.WEBAUTHN_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean), // Defaults to the BASE_URL origin
+      challengeTtl: parseInt(env.WEBAUTHN_CHALLENGE_TTL) || 300, // 5 minutes in seconds
+      maxCredentials: parseInt(env.WEBAUTHN_MAX_CREDENTIALS) || 10 // Passkeys per user
+    },
+    
+    // Magic-link sign-in (see magic-link.js)
+    magicLink: {
+      enabled: env.MAGIC_LINK_ENABLED !== 'false',
+      tokenTtl: parseInt(env.MAGIC_LINK_TOKEN_TTL) || 900, // 15 minutes in seconds
+      autoCreate: env.MAGIC_LINK_AUTO_CREATE === 'true' // Create an account for unknown addresses when their link is used
+    },
+    
+    // OAuth 2.0 / OpenID Connect sign-in (see oauth.js); a provider is offered once its client ID is set
+    oauth: {
+      providers: {
+        google: {
+          name: 'Google',
+          type: 'oidc',
+          issuer: 'https://accounts.google.com',
+          issuerAliases: ['accounts.google.com'], // Google also issues ID tokens with the bare host
+          clientId: env.GOOGLE_CLIENT_ID || '',
+          clientSecret: env.GOOGLE_CLIENT_SECRET || '',
+          scope: 'openid email profile'
+        },
+        github: {
+          name: 'GitHub',
+          type: 'github', // OAuth 2.0 only: the identity comes from the REST API, not an ID token
+          authorizationEndpoint: 'https://github.com/login/oauth/authorize',
+          tokenEndpoint: 'https://github.com/login/oauth/access_token',
+          userEndpoint: 'https://api.github.com/user',
+          emailsEndpoint: 'https://api.github.com/user/emails',
+          clientId: env.GITHUB_CLIENT_ID || '',
+          clientSecret: env.GITHUB_CLIENT_SECRET || '',
+          scope: 'read:user user:email'
+        },
+        oidc: {
+          name: env.OIDC_NAME || 'Single sign-on',
+          type: 'oidc',
+          issuer: env.OIDC_ISSUER || '', // Endpoints come from <issuer>/.well-known/openid-configuration
+          clientId: env.OIDC_CLIENT_ID || '',
+          clientSecret: env.OIDC_CLIENT_SECRET || '',
+          scope: env.OIDC_SCOPE || 'openid email profile'
+        }
       },
-      login: {
-        limit: parseInt(env.RATE_LIMIT_LOGIN_LIMIT) || 10,
-        window: parseInt(env.RATE_LIMIT_LOGIN_WINDOW) || 900000 // 15 minutes
-      }
+      stateTtl: parseInt(env.OAUTH_STATE_TTL) || 600, // 10 minutes in seconds to finish signing in at the provider
+      jwksCacheTtl: parseInt(env.OAUTH_JWKS_CACHE_TTL) || 3600, // 1 hour in seconds for provider metadata and signing keys
+      autoCreate: env.OAUTH_AUTO_CREATE !== 'false', // Create accounts for new verified emails
+      mockIdp: env.OAUTH_MOCK_IDP === 'true' // Serve the mock identity provider at /api/mock-idp (development and tests only)
+    },
+    
+    // Failed login lockout (see lockout.js)
+    lockout: {
+      threshold: parseInt(env.LOCKOUT_THRESHOLD) || 5, // Failures in a row before the address is locked
+      duration: parseInt(env.LOCKOUT_DURATION) || 900, // 15 minutes in seconds, doubles with each further lockout
+      maxDuration: parseInt(env.LOCKOUT_MAX_DURATION) || 86400, // 24 hours in seconds
+      backoffBase: parseInt(env.LOGIN_BACKOFF_BASE) || 1000, // Delay after the first failure in milliseconds, doubles per failure
+      backoffMax: parseInt(env.LOGIN_BACKOFF_MAX) || 30000, // 30 seconds in milliseconds
+      failureWindow: parseInt(env.LOGIN_FAILURE_WINDOW) || 86400, // Failures are forgotten after 24 hours without one (seconds)
+      unlockTokenTtl: parseInt(env.UNLOCK_TOKEN_TTL) || 3600 // Unlock links: 1 hour in seconds
     },
     
     // Logging Configuration
     logging: {
       maxLogsPerHour: parseInt(env.MAX_LOGS_PER_HOUR) || 100,
       auditLogTtl: parseInt(env.AUDIT_LOG_TTL) || 2592000, // 30 days in seconds
-      emailValidationTtl: parseInt(env.EMAIL_VALIDATION_LOG_TTL) || 2592000 // 30 days in seconds
+      emailValidationTtl: parseInt(env.EMAIL_VALIDATION_LOG_TTL) || 2592000, // 30 days in seconds
+      auditSinks: (env.AUDIT_SINKS || 'kv').split(',').map(sink => sink.trim()).filter(Boolean), // See audit-sinks.js
+      auditAnalyticsBinding: env.AUDIT_ANALYTICS_BINDING || 'AUDIT_ANALYTICS', // Analytics Engine dataset binding
+      auditHttpUrl: env.AUDIT_HTTP_URL || null, // Collector for the http sink
+      auditHttpToken: env.AUDIT_HTTP_TOKEN || null, // Sent as a Bearer token
+      auditHttpBatchSize: parseInt(env.AUDIT_HTTP_BATCH_SIZE) || 50,
+      auditHttpFlushMs: parseInt(env.AUDIT_HTTP_FLUSH_MS) || 1000 // Longest a deferred event waits for its batch
     },
     
     // Email Validation Configuration
@@ -49,6 +175,7 @@ export function getConfig(env) {
     // Security Configuration
     security: {
       honeypotFieldName: env.HONEYPOT_FIELD_NAME || 'website',
+      minPasswordLength: parseInt(env.MIN_PASSWORD_LENGTH) || 8,
       turnstileEnabled: env.TURNSTILE_SECRET_KEY ? true : false
     },
     
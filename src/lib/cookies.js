@@ -0,0 +1,93 @@
+/**
+ * Cookie parsing and serialization (RFC 6265)
+ * Shared by sessions, CSRF tokens and any other cookie-based feature
+ */
+
+// RFC 6265 / RFC 7230 token: cookie names
+const COOKIE_NAME = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+// RFC 6265 cookie-octet: printable ASCII minus whitespace, DQUOTE, comma, semicolon and backslash
+const COOKIE_VALUE = /^[\x21\x23-\x2B\x2D-\x3A\x3C-\x5B\x5D-\x7E]*$/;
+
+/**
+ * Parse a Cookie header
+ * Tolerates missing spaces after ";" and "=" inside values. For duplicate names the
+ * first occurrence wins: browsers send the cookie with the most specific Path first.
+ * @param {string|null} header - Cookie header value
+ * @returns {Map<string, string>} - Cookie names to values
+ */
+export function parseCookies(header) {
+  const cookies = new Map();
+  if (!header) return cookies;
+
+  for (const pair of header.split(';')) {
+    const separator = pair.indexOf('=');
+    if (separator === -1) continue;
+
+    const name = pair.slice(0, separator).trim();
+    let value = pair.slice(separator + 1).trim();
+    if (!name || cookies.has(name)) continue;
+
+    // Quoted values are allowed by the grammar; the quotes aren't part of the value
+    if (value.length >= 2 && value.startsWith('"') && value.endsWith('"')) {
+      value = value.slice(1, -1);
+    }
+    cookies.set(name, value);
+  }
+
+  return cookies;
+}
+
+/**
+ * Read one cookie from a request
+ * @param {Request} request - Incoming request
+ * @param {string} name - Cookie name
+ * @returns {string|null} - Cookie value or null if absent
+ */
+export function getCookie(request, name) {
+  const value = parseCookies(request.headers.get('Cookie')).get(name);
+  return value === undefined ? null : value;
+}
+
+/**
+ * Serialize a Set-Cookie header value
+ * Enforces the __Host- and __Secure- prefix rules so a misconfiguration fails loudly
+ * @param {string} name - Cookie name
+ * @param {string} value - Cookie value (must only contain cookie-octets)
+ * @param {object} options - { maxAge, expires, domain, path, secure, httpOnly, sameSite }
+ * @returns {string} - Set-Cookie header value
+ */
+export function serializeCookie(name, value, options = {}) {
+  const {
+    maxAge = null,
+    expires = null,
+    domain = null,
+    path = null,
+    secure = false,
+    httpOnly = false,
+    sameSite = null
+  } = options;
+
+  if (!COOKIE_NAME.test(name)) {
+    throw new Error(`Invalid cookie name: ${name}`);
+  }
+  if (!COOKIE_VALUE.test(value)) {
+    throw new Error(`Invalid characters in value of cookie ${name}`);
+  }
+  if ((name.startsWith('__Secure-') || name.startsWith('__Host-')) && !secure) {
+    throw new Error(`Cookie ${name} must be Secure`);
+  }
+  if (name.startsWith('__Host-') && (domain || path !== '/')) {
+    throw new Error(`Cookie ${name} must have Path=/ and no Domain`);
+  }
+
+  let cookie = `${name}=${value}`;
+  if (maxAge !== null && maxAge !== undefined) cookie += `; Max-Age=${Math.floor(maxAge)}`;
+  if (expires !== null && expires !== undefined) cookie += `; Expires=${new Date(expires).toUTCString()}`;
+  if (domain) cookie += `; Domain=${domain}`;
+  if (path) cookie += `; Path=${path}`;
+  if (secure) cookie += '; Secure';
+  if (httpOnly) cookie += '; HttpOnly';
+  if (sameSite) cookie += `; SameSite=${sameSite}`;
+
+  return cookie;
+}
@@ -0,0 +1,125 @@
+/**
+ * CSRF protection
+ * Signed-in users get a token bound to their session (HMAC of the session ID);
+ * anonymous forms use a double-submit token in a __Host- cookie, which sibling
+ * subdomains can't overwrite. JSON endpoints are checked with Origin/Sec-Fetch-Site.
+ */
+
+import { getCookie, serializeCookie } from './cookies.js';
+import { hmacSign } from './signing.js';
+import { generateToken } from './tokens.js';
+import { timingSafeEqual } from './utils.js';
+import { getConfig } from './config.js';
+
+export const CSRF_FIELD_NAME = 'csrf_token';
+export const CSRF_HEADER_NAME = 'X-CSRF-Token';
+const CSRF_COOKIE_NAME = '__Host-csrf';
+
+// Base64url of 32 random bytes
+const ANONYMOUS_TOKEN_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+
+/**
+ * Compute the session-bound token for a secret
+ * @param {string} secret - Signing secret
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<string>} - CSRF token
+ */
+function sessionToken(secret, sessionId) {
+  return hmacSign(secret, `csrf:${sessionId}`);
+}
+
+/**
+ * Get the CSRF token to embed in forms for this request
+ * @param {Request} request - Incoming request
+ * @param {object} env - Environment object
+ * @param {object|null} session - Current session, if any
+ * @returns {Promise<object>} - { token, setCookie } — setCookie is a Set-Cookie value to send, or null
+ */
+export async function getCsrfToken(request, env, session) {
+  if (session) {
+    const [secret] = getConfig(env).session.secrets;
+    return { token: await sessionToken(secret, session.id), setCookie: null };
+  }
+
+  const existing = getCookie(request, CSRF_COOKIE_NAME);
+  if (existing && ANONYMOUS_TOKEN_PATTERN.test(existing)) {
+    return { token: existing, setCookie: null };
+  }
+
+  const token = generateToken();
+  return {
+    token,
+    setCookie: serializeCookie(CSRF_COOKIE_NAME, token, {
+      httpOnly: true,
+      secure: true,
+      sameSite: 'Strict',
+      path: '/'
+    })
+  };
+}
+
+/**
+ * Validate the CSRF token submitted with a state-changing request
+ * Reads the X-CSRF-Token header or the csrf_token form field (from a clone, so
+ * handlers can still read the body)
+ * @param {Request} request - Incoming request
+ * @param {object} env - Environment object
+ * @param {object|null} session - Current session, if any
+ * @returns {Promise<boolean>} - True if the token is valid
+ */
+export async function verifyCsrfToken(request, env, session) {
+  let submitted = request.headers.get(CSRF_HEADER_NAME);
+
+  if (!submitted) {
+    const contentType = request.headers.get('Content-Type') || '';
+    if (contentType.includes('application/x-www-form-urlencoded') || contentType.includes('multipart/form-data')) {
+      try {
+        submitted = (await request.clone().formData()).get(CSRF_FIELD_NAME);
+      } catch {
+        return false;
+      }
+    }
+  }
+
+  if (!submitted || typeof submitted !== 'string') return false;
+
+  if (session) {
+    // Accept tokens signed with the previous secret during rotation
+    for (const secret of getConfig(env).session.secrets) {
+      if (timingSafeEqual(submitted, await sessionToken(secret, session.id))) return true;
+    }
+    return false;
+  }
+
+  const cookieToken = getCookie(request, CSRF_COOKIE_NAME);
+  return Boolean(cookieToken) && timingSafeEqual(submitted, cookieToken);
+}
+
+/**
+ * Check that a request comes from our own pages (for JSON endpoints)
+ * Browsers always send Sec-Fetch-Site or Origin on cross-origin POSTs; requests
+ * without either come from non-browser clients, which can't carry a victim's cookies
+ * @param {Request} request - Incoming request
+ * @param {object} env - Environment object (BASE_URL)
+ * @returns {boolean} - True if the request is same-origin (or not from a browser)
+ */
+export function isSameOriginRequest(request, env) {
+  const fetchSite = request.headers.get('Sec-Fetch-Site');
+  if (fetchSite) {
+    // "same-site" includes sibling subdomains, which we don't trust
+    return fetchSite === 'same-origin' || fetchSite === 'none';
+  }
+
+  const origin = request.headers.get('Origin');
+  if (!origin) return true;
+
+  const allowed = new Set([new URL(request.url).origin]);
+  if (env.BASE_URL) {
+    try {
+      allowed.add(new URL(env.BASE_URL).origin);
+    } catch {
+      // Ignore a malformed BASE_URL; the request origin still applies
+    }
+  }
+  return allowed.has(origin);
+}
@@ -4,6 +4,9 @@
  */
 
 import { getConfig } from './config.js';
+import { createAuditEvent } from './audit-schema.js';
+import { writeAuditEvent } from './audit-sinks.js';
+import { runInBackground } from './background.js';
 
 /**
  * Log email validation events for audit purposes
@@ -12,36 +15,30 @@ import { getConfig } from './config.js';
  * @param {object} result - Validation result
  * @param {string} ip - User's IP address
  * @param {string} action - Action context (signup, forgot_password, etc.)
+ * @param {ExecutionContext|null} ctx - Execution context; defers the write when given
  */
-export async function logEmailValidation(env, email, result, ip, action = 'unknown') {
+export async function logEmailValidation(env, email, result, ip, action = 'unknown', ctx = null) {
   try {
-    if (!env.AUDIT) return;
-    
     // Only log blocked emails to reduce KV writes (valid emails don't need logging)
     if (result.isValid) return;
     
-    const logEntry = {
-      timestamp: new Date().toISOString(),
-      type: 'email_validation',
-      action,
-      email: email.toLowerCase(),
-      ip,
-      result: {
-        isValid: result.isValid,
-        reason: result.reason || null
-      },
-      domain: email.split('@')[1]?.toLowerCase() || null
-    };
+    const logEntry = createAuditEvent({
+      action: 'email_validation',
+      outcome: 'denied',
+      reason: result.reason || null,
+      actor: { type: 'anonymous', email },
+      request: { ip },
+      details: {
+        context: action,
+        domain: email.split('@')[1]?.toLowerCase() || null
+      }
+    });
     
     const key = `email_validation_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     const config = getConfig(env);
-    await env.AUDIT.put(key, JSON.stringify(logEntry), { expirationTtl: config.logging.emailValidationTtl });
+    await writeAuditEvent(env, logEntry, { key, expirationTtl: config.logging.emailValidationTtl, index: false }, ctx);
   } catch (error) {
-    if (error.message && error.message.includes('KV put() limit exceeded')) {
-      console.warn('KV write limit exceeded, skipping email validation log');
-    } else {
-      console.error('Failed to log email validation:', error);
-    }
+    console.error('Failed to log email validation:', error);
   }
 }
 
@@ -56,6 +53,7 @@ const FALLBACK_DISPOSABLE_DOMAINS = new Set([
 // Cache for the external disposable domains list
 let DISPOSABLE_DOMAINS_CACHE = null;
 let CACHE_TIMESTAMP = 0;
+let REFRESH_IN_PROGRESS = false;
 
 /**
  * Get cache duration from environment configuration
@@ -66,12 +64,68 @@ function getCacheDuration(env) {
   return getConfig(env).emailValidation.cacheDuration;
 }
 
+/**
+ * Download the disposable domains list and store it in memory and KV
+ * @param {object} env - Environment object
+ * @returns {Promise<Set>} - Set of disposable domains
+ */
+async function refreshDisposableDomains(env) {
+  const now = Date.now();
+
+  // Fetch from external source
+  const response = await fetch(
+    'https://raw.githubusercontent.com/disposable-email-domains/disposable-email-domains/main/disposable_email_blocklist.conf',
+    {
+      headers: {
+        'User-Agent': 'Cloudflare-Worker-Email-Validator/1.0'
+      }
+    }
+  );
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  const text = await response.text();
+  const domains = text
+    .split('\n')
+    .map(line => line.trim().toLowerCase())
+    .filter(line => line && !line.startsWith('#') && line.includes('.'))
+    .filter(domain => {
+      // Basic domain validation
+      return /^[a-z0-9.-]+\.[a-z]{2,}$/.test(domain);
+    });
+
+  // Update cache
+  DISPOSABLE_DOMAINS_CACHE = new Set(domains);
+  CACHE_TIMESTAMP = now;
+
+  // Store in KV for persistence across worker instances
+  if (env.SESSIONS) {
+    try {
+      const cacheDuration = getCacheDuration(env);
+      await env.SESSIONS.put('disposable_domains_cache', JSON.stringify({
+        domains: Array.from(DISPOSABLE_DOMAINS_CACHE),
+        timestamp: CACHE_TIMESTAMP
+      }), { expirationTtl: Math.floor(cacheDuration / 1000) });
+    } catch (kvError) {
+      console.warn('Failed to cache domains in KV:', kvError.message);
+    }
+  }
+
+  console.log(`Updated disposable domains cache: ${DISPOSABLE_DOMAINS_CACHE.size} domains`);
+  return DISPOSABLE_DOMAINS_CACHE;
+}
+
 /**
  * Fetches the latest disposable email domains from external repository
+ * With an ExecutionContext an expired in-memory list is still used for this request
+ * while the refresh runs in the background.
  * @param {object} env - Environment object
+ * @param {ExecutionContext|null} ctx - Execution context, if any
  * @returns {Promise<Set>} - Set of disposable domains
  */
-async function fetchDisposableDomains(env) {
+async function fetchDisposableDomains(env, ctx = null) {
   try {
     // Check if we have a valid cache
     const now = Date.now();
@@ -81,13 +135,11 @@ async function fetchDisposableDomains(env) {
     }
 
     // Try to get cached domains from KV storage first
-    let cachedDomains = null;
     if (env.SESSIONS) {
       try {
         const kvCache = await env.SESSIONS.get('disposable_domains_cache');
         if (kvCache) {
           const parsed = JSON.parse(kvCache);
-          const cacheDuration = getCacheDuration(env);
           if ((now - parsed.timestamp) < cacheDuration) {
             DISPOSABLE_DOMAINS_CACHE = new Set(parsed.domains);
             CACHE_TIMESTAMP = parsed.timestamp;
@@ -99,49 +151,22 @@ async function fetchDisposableDomains(env) {
       }
     }
 
-    // Fetch from external source
-    const response = await fetch(
-      'https://raw.githubusercontent.com/disposable-email-domains/disposable-email-domains/main/disposable_email_blocklist.conf',
-      {
-        headers: {
-          'User-Agent': 'Cloudflare-Worker-Email-Validator/1.0'
-        }
-      }
-    );
-
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}`);
-    }
-
-    const text = await response.text();
-    const domains = text
-      .split('\n')
-      .map(line => line.trim().toLowerCase())
-      .filter(line => line && !line.startsWith('#') && line.includes('.'))
-      .filter(domain => {
-        // Basic domain validation
-        return /^[a-z0-9.-]+\.[a-z]{2,}$/.test(domain);
-      });
-
-    // Update cache
-    DISPOSABLE_DOMAINS_CACHE = new Set(domains);
-    CACHE_TIMESTAMP = now;
-
-    // Store in KV for persistence across worker instances
-    if (env.SESSIONS) {
-      try {
-        const cacheDuration = getCacheDuration(env);
-        await env.SESSIONS.put('disposable_domains_cache', JSON.stringify({
-          domains: Array.from(DISPOSABLE_DOMAINS_CACHE),
-          timestamp: CACHE_TIMESTAMP
-        }), { expirationTtl: Math.floor(cacheDuration / 1000) });
-      } catch (kvError) {
-        console.warn('Failed to cache domains in KV:', kvError.message);
+    // Serve the expired list now and refresh after the response (one refresh at a time)
+    if (ctx && DISPOSABLE_DOMAINS_CACHE) {
+      if (!REFRESH_IN_PROGRESS) {
+        REFRESH_IN_PROGRESS = true;
+        await runInBackground(ctx, 'disposable domains refresh', async () => {
+          try {
+            await refreshDisposableDomains(env);
+          } finally {
+            REFRESH_IN_PROGRESS = false;
+          }
+        });
       }
+      return DISPOSABLE_DOMAINS_CACHE;
     }
 
-    console.log(`Updated disposable domains cache: ${DISPOSABLE_DOMAINS_CACHE.size} domains`);
-    return DISPOSABLE_DOMAINS_CACHE;
+    return await refreshDisposableDomains(env);
 
   } catch (error) {
     console.warn('Failed to fetch disposable domains:', error.message);
@@ -177,9 +202,10 @@ const SUSPICIOUS_PATTERNS = [
  * Validates if an email address is legitimate (not spam/disposable)
  * @param {string} email - Email address to validate
  * @param {object} env - Environment object for fetching disposable domains
+ * @param {ExecutionContext|null} ctx - Execution context; lets an expired domains list refresh in the background
  * @returns {Promise<object>} - { isValid: boolean, reason?: string }
  */
-export async function validateEmailLegitimacy(email, env) {
+export async function validateEmailLegitimacy(email, env, ctx = null) {
   if (!email || typeof email !== 'string') {
     return { isValid: false, reason: 'Invalid email format' };
   }
@@ -199,7 +225,7 @@ export async function validateEmailLegitimacy(email, env) {
   }
 
   // Get up-to-date disposable email domains list
-  const disposableDomains = await fetchDisposableDomains(env);
+  const disposableDomains = await fetchDisposableDomains(env, ctx);
   
   // Check against disposable email domains
   if (disposableDomains.has(domain)) {
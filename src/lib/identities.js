@@ -0,0 +1,145 @@
+/**
+ * Identities from OAuth / OpenID Connect providers linked to local accounts
+ * Each user has at most one identity per provider, stored with the user
+ * (USERS identities:${userId}) plus a pointer from the provider's subject
+ * (identity:${provider}:${subject}) for sign-ins, which only know the subject.
+ */
+
+import { auditLog } from './audit.js';
+import { saveToKV, getFromKV } from './kv-utils.js';
+
+function identitiesKey(userId) {
+  return `identities:${userId}`;
+}
+
+function subjectKey(provider, subject) {
+  return `identity:${provider}:${subject}`;
+}
+
+/**
+ * Identities linked to a user
+ * @param {object} env - Environment object
+ * @param {string} userId - User ID
+ * @returns {Promise<object[]>} - [{ provider, subject, email, name, linkedAt, lastUsedAt }]
+ */
+export async function listIdentities(env, userId) {
+  return (await getFromKV(env.USERS, identitiesKey(userId))) || [];
+}
+
+/**
+ * User a provider identity is linked to
+ * @param {object} env - Environment object
+ * @param {string} provider - Provider ID (config key)
+ * @param {string} subject - Provider's user ID
+ * @returns {Promise<string|null>} - User ID
+ */
+export async function findIdentityUserId(env, provider, subject) {
+  const pointer = await getFromKV(env.USERS, subjectKey(provider, subject));
+  return pointer ? pointer.userId : null;
+}
+
+/**
+ * Link a provider identity to a user
+ * @param {object} env - Environment object
+ * @param {object} user - User with id and email
+ * @param {object} identity - { provider, subject, email, name }
+ * @param {Request} request - Request object for audit logging
+ * @param {object} details - Extra audit details (e.g. how the link came about)
+ * @returns {Promise<object>} - { success } or { success: false, reason: 'identity_in_use' | 'provider_already_linked' }
+ */
+export async function linkIdentity(env, user, identity, request, details = {}) {
+  const owner = await findIdentityUserId(env, identity.provider, identity.subject);
+  if (owner && owner !== user.id) {
+    return { success: false, reason: 'identity_in_use' };
+  }
+
+  const identities = await listIdentities(env, user.id);
+  const existing = identities.find(linked => linked.provider === identity.provider);
+  if (existing && existing.subject !== identity.subject) {
+    return { success: false, reason: 'provider_already_linked' };
+  }
+  if (existing) {
+    return { success: true };
+  }
+
+  identities.push({
+    provider: identity.provider,
+    subject: identity.subject,
+    email: identity.email || null,
+    name: identity.name || null,
+    linkedAt: new Date().toISOString(),
+    lastUsedAt: null
+  });
+  await saveToKV(env.USERS, identitiesKey(user.id), identities);
+  await saveToKV(env.USERS, subjectKey(identity.provider, identity.subject), { userId: user.id });
+
+  await auditLog(env, {
+    action: 'identity_linked',
+    userId: user.id,
+    email: user.email,
+    request,
+    provider: identity.provider,
+    providerEmail: identity.email || null,
+    ...details
+  });
+  return { success: true };
+}
+
+/**
+ * Record a sign-in with a linked identity (and refresh its email and name)
+ * @param {object} env - Environment object
+ * @param {string} userId - User ID
+ * @param {object} identity - { provider, subject, email, name }
+ * @returns {Promise<void>}
+ */
+export async function touchIdentity(env, userId, identity) {
+  const identities = await listIdentities(env, userId);
+  const linked = identities.find(entry => entry.provider === identity.provider && entry.subject === identity.subject);
+  if (!linked) return;
+
+  linked.email = identity.email || linked.email;
+  linked.name = identity.name || linked.name;
+  linked.lastUsedAt = new Date().toISOString();
+  await saveToKV(env.USERS, identitiesKey(userId), identities);
+}
+
+/**
+ * Unlink a user's identity from one provider
+ * @param {object} env - Environment object
+ * @param {object} user - User with id and email
+ * @param {string} provider - Provider ID
+ * @param {Request} request - Request object for audit logging
+ * @returns {Promise<object>} - { success } or { success: false, error }
+ */
+export async function unlinkIdentity(env, user, provider, request) {
+  const identities = await listIdentities(env, user.id);
+  const linked = identities.find(entry => entry.provider === provider);
+  if (!linked) {
+    return { success: false, error: 'That account is not linked' };
+  }
+
+  await saveToKV(env.USERS, identitiesKey(user.id), identities.filter(entry => entry !== linked));
+  await env.USERS.delete(subjectKey(linked.provider, linked.subject));
+
+  await auditLog(env, {
+    action: 'identity_unlinked',
+    userId: user.id,
+    email: user.email,
+    request,
+    provider
+  });
+  return { success: true };
+}
+
+/**
+ * Remove every identity of a user (account deletion)
+ * @param {object} env - Environment object
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} - Number of identities removed
+ */
+export async function deleteAllIdentities(env, userId) {
+  const identities = await listIdentities(env, userId);
+  await Promise.all(identities.map(linked => env.USERS.delete(subjectKey(linked.provider, linked.subject))));
+  await env.USERS.delete(identitiesKey(userId));
+  return identities.length;
+}
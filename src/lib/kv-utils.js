@@ -5,6 +5,9 @@
 
 import { createKVLimitErrorResponse } from './error-responses.js';
 import { getConfig } from './config.js';
+import { createAuditEvent } from './audit-schema.js';
+import { writeAuditEvent } from './audit-sinks.js';
+import { runInBackground } from './background.js';
 
 /**
  * Check if an error is a KV limit exceeded error
@@ -37,18 +40,52 @@ export async function safeKVWrite(writeOperation, operation = 'KV write') {
   }
 }
 
+/**
+ * Read and parse a JSON value from KV
+ * @param {KVNamespace} namespace - KV namespace binding
+ * @param {string} key - Key to read
+ * @returns {Promise<*|null>} - Parsed value or null if missing
+ */
+export async function getFromKV(namespace, key) {
+  const value = await namespace.get(key);
+  if (value === null || value === undefined) return null;
+  return JSON.parse(value);
+}
+
+/**
+ * Serialize and store a JSON value in KV
+ * @param {KVNamespace} namespace - KV namespace binding
+ * @param {string} key - Key to write
+ * @param {*} value - Value to store
+ * @param {object} options - KV put options (expirationTtl, metadata, ...)
+ * @returns {Promise<void>}
+ */
+export async function saveToKV(namespace, key, value, options = {}) {
+  await namespace.put(key, JSON.stringify(value), options);
+}
+
 /**
  * Create a rate-limited logger that reduces writes when approaching limits
+ * Entries go to the configured audit sinks (see audit-sinks.js); pass ctx to defer them.
+ * Only entries a sink stored count towards the hourly limit.
  */
 export class ThrottledLogger {
-  constructor(env, maxLogsPerHour = null) {
+  constructor(env, maxLogsPerHour = null, ctx = null) {
     this.env = env;
+    this.ctx = ctx;
     const config = getConfig(env);
     this.maxLogsPerHour = maxLogsPerHour || config.logging.maxLogsPerHour;
     this.logCount = 0;
     this.hourStart = Date.now();
   }
 
+  /**
+   * Write one entry unless this hour's limit is used up
+   * @param {string} type - Entry type, stored as the event action
+   * @param {object} data - Event fields
+   * @param {number|null} expirationTtl - KV TTL in seconds (defaults to the audit log TTL)
+   * @returns {Promise<boolean|null>} - Whether a sink stored it (false when over the limit); null when deferred
+   */
   async log(type, data, expirationTtl = null) {
     const config = getConfig(this.env);
     const ttl = expirationTtl || config.logging.auditLogTtl;
@@ -65,19 +102,21 @@ export class ThrottledLogger {
       return false;
     }
 
-    const success = await safeKVWrite(async () => {
-      const key = `throttled_${type}_${now}_${Math.random().toString(36).substr(2, 9)}`;
-      await this.env.AUDIT.put(key, JSON.stringify({
-        timestamp: new Date().toISOString(),
-        type,
-        ...data
-      }), { expirationTtl: ttl });
-    }, `throttled log: ${type}`);
+    const key = `throttled_${type}_${now}_${Math.random().toString(36).substr(2, 9)}`;
+    const deferred = Boolean(this.ctx && typeof this.ctx.waitUntil === 'function');
+    const written = writeAuditEvent(this.env, createAuditEvent({
+      ...data,
+      action: type
+    }), { key, expirationTtl: ttl, index: false, deferred }).then(stored => {
+      if (stored) this.logCount++;
+      return stored;
+    });
 
-    if (success) {
-      this.logCount++;
+    // Deferred: the outcome is only known after the response, so there is nothing to report yet
+    if (deferred) {
+      await runInBackground(this.ctx, `throttled log: ${type}`, written);
+      return null;
     }
-
-    return success;
+    return written;
   }
 }
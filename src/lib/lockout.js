@@ -0,0 +1,205 @@
+/**
+ * Account lockout after repeated failed logins
+ * Failures are counted per email address, registered or not, so the responses
+ * don't reveal which accounts exist. Each failure delays the next attempt
+ * exponentially; LOCKOUT_THRESHOLD failures in a row lock the address for
+ * LOCKOUT_DURATION (doubling with each further lockout). A lock lifts by itself
+ * after the cooldown, or at once through the unlock link emailed to the owner.
+ */
+
+import { createToken, consumeToken } from './tokens.js';
+import { sendEmail } from './email.js';
+import { logSecurityEvent } from './audit.js';
+import { saveToKV, getFromKV } from './kv-utils.js';
+import { getConfig } from './config.js';
+import { getBaseUrl } from './utils.js';
+
+const TOKEN_PURPOSE = 'account_unlock';
+
+// login_failures:${email} -> { email, userId, count, lastFailureAt, nextAttemptAt, lockedUntil, lockouts }
+const FAILURES_PREFIX = 'login_failures:';
+
+function failuresKey(email) {
+  return `${FAILURES_PREFIX}${String(email || '').trim().toLowerCase()}`;
+}
+
+function secondsUntil(time, now) {
+  return Math.max(1, Math.ceil((time - now) / 1000));
+}
+
+/**
+ * Stored failure record, or a fresh one once the last failure is older than the failure window
+ * @param {object} env - Environment object
+ * @param {string} email - Email address
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<object>} - Failure record
+ */
+async function loadFailures(env, email, now) {
+  const { failureWindow } = getConfig(env).lockout;
+  const record = await getFromKV(env.USERS, failuresKey(email));
+  const lockActive = record && record.lockedUntil && record.lockedUntil > now;
+  if (!record || (!lockActive && now - record.lastFailureAt > failureWindow * 1000)) {
+    return { email, userId: null, count: 0, lastFailureAt: null, nextAttemptAt: null, lockedUntil: null, lockouts: 0 };
+  }
+  return record;
+}
+
+async function saveFailures(env, record, now) {
+  const { failureWindow } = getConfig(env).lockout;
+  // Kept until the lock is over and the failure window has passed
+  const lastRelevant = Math.max(record.lockedUntil || 0, record.lastFailureAt || now);
+  await saveToKV(env.USERS, failuresKey(record.email), record, {
+    expirationTtl: Math.max(60, Math.ceil((lastRelevant - now) / 1000) + failureWindow)
+  });
+}
+
+/**
+ * Whether a login may be attempted for an address right now
+ * Call before checking the password, so a locked address can't keep guessing.
+ * @param {object} env - Environment object
+ * @param {string} email - Email address
+ * @param {Request} request - Request object for audit logging
+ * @param {ExecutionContext|null} ctx - Execution context, if any
+ * @returns {Promise<object|null>} - null if allowed, otherwise
+ *   { reason: 'account_temporarily_locked' | 'login_delayed', retryAfter (seconds) }
+ */
+export async function checkLoginLockout(env, email, request = null, ctx = null) {
+  const now = Date.now();
+  const record = await loadFailures(env, email, now);
+
+  if (record.lockedUntil) {
+    if (record.lockedUntil > now) {
+      return { reason: 'account_temporarily_locked', retryAfter: secondsUntil(record.lockedUntil, now) };
+    }
+
+    // Cooldown over: keep the lockout count so a new run of failures locks for longer
+    await saveFailures(env, { ...record, lockedUntil: null }, now);
+    await logSecurityEvent(env, 'account_unlocked', {
+      userId: record.userId,
+      email: record.email,
+      request,
+      method: 'cooldown',
+      lockedUntil: new Date(record.lockedUntil).toISOString()
+    }, ctx);
+  }
+
+  if (record.nextAttemptAt && record.nextAttemptAt > now) {
+    return { reason: 'login_delayed', retryAfter: secondsUntil(record.nextAttemptAt, now) };
+  }
+  return null;
+}
+
+/**
+ * Count a failed login and delay or lock the address
+ * @param {object} env - Environment object
+ * @param {string} email - Email address that was tried
+ * @param {object|null} user - Matching user record, if the account exists (gets the unlock link)
+ * @param {Request} request - Request object (for base URL and audit logging)
+ * @param {ExecutionContext|null} ctx - Execution context, if any
+ * @returns {Promise<object|null>} - Same shape as checkLoginLockout for the next attempt
+ */
+export async function recordLoginFailure(env, email, user, request, ctx = null) {
+  const { threshold, duration, maxDuration, backoffBase, backoffMax } = getConfig(env).lockout;
+  const now = Date.now();
+  const record = await loadFailures(env, email, now);
+  const count = record.count + 1;
+
+  if (count < threshold) {
+    const delay = Math.min(backoffMax, backoffBase * 2 ** (count - 1));
+    await saveFailures(env, {
+      ...record,
+      userId: user ? user.id : record.userId,
+      count,
+      lastFailureAt: now,
+      nextAttemptAt: now + delay
+    }, now);
+    return delay > 0 ? { reason: 'login_delayed', retryAfter: secondsUntil(now + delay, now) } : null;
+  }
+
+  const lockouts = record.lockouts + 1;
+  const lockedUntil = now + Math.min(maxDuration, duration * 2 ** (lockouts - 1)) * 1000;
+  await saveFailures(env, {
+    ...record,
+    userId: user ? user.id : record.userId,
+    count: 0,
+    lastFailureAt: now,
+    nextAttemptAt: null,
+    lockedUntil,
+    lockouts
+  }, now);
+
+  await logSecurityEvent(env, 'account_temporarily_locked', {
+    userId: user ? user.id : null,
+    email: String(email || '').trim().toLowerCase(),
+    request,
+    failures: count,
+    lockouts,
+    lockedUntil: new Date(lockedUntil).toISOString()
+  }, ctx);
+
+  if (user) {
+    await sendUnlockEmail(env, user, lockedUntil, request);
+  }
+
+  return { reason: 'account_temporarily_locked', retryAfter: secondsUntil(lockedUntil, now) };
+}
+
+/**
+ * Forget an address's failures (after a successful login or an admin unlock)
+ * @param {object} env - Environment object
+ * @param {string} email - Email address
+ */
+export async function clearLoginFailures(env, email) {
+  await env.USERS.delete(failuresKey(email));
+}
+
+/**
+ * Email the account owner a link that lifts the lock at once
+ * @param {object} env - Environment object
+ * @param {object} user - User with id and email
+ * @param {number} lockedUntil - When the lock lifts by itself (ms)
+ * @param {Request} request - Request object (for base URL)
+ * @returns {Promise<boolean>} - True if the email was sent
+ */
+async function sendUnlockEmail(env, user, lockedUntil, request) {
+  const { unlockTokenTtl } = getConfig(env).lockout;
+  const token = await createToken(env, TOKEN_PURPOSE, { userId: user.id, email: user.email }, unlockTokenTtl);
+  const link = `${getBaseUrl(env, request)}/unlock?token=${encodeURIComponent(token)}`;
+  const minutes = Math.ceil((lockedUntil - Date.now()) / 60000);
+
+  return sendEmail(
+    env,
+    user.email,
+    'Your account has been temporarily locked',
+    `There were too many failed attempts to sign in to your account, so we've locked it for ${minutes} minute${minutes === 1 ? '' : 's'}.\n\n` +
+    `If that was you, you can unlock it now:\n\n${link}\n\n` +
+    `If it wasn't you, someone may be guessing your password. Your account stays locked until the ` +
+    `time is up, and choosing a new password via "Forgot password" is a good idea.`,
+    undefined,
+    'account-unlock'
+  );
+}
+
+/**
+ * Lift a lock from an emailed unlock link
+ * @param {object} env - Environment object
+ * @param {string} token - Token from the unlock link
+ * @param {Request} request - Request object for audit logging
+ * @returns {Promise<object>} - Result object with success status and email
+ */
+export async function unlockWithToken(env, token, request) {
+  const data = await consumeToken(env, TOKEN_PURPOSE, token);
+  if (!data) {
+    return { success: false, error: 'Invalid or expired unlock link' };
+  }
+
+  await clearLoginFailures(env, data.email);
+  await logSecurityEvent(env, 'account_unlocked', {
+    userId: data.userId,
+    email: data.email,
+    request,
+    method: 'email_link'
+  });
+
+  return { success: true, email: data.email };
+}
@@ -0,0 +1,184 @@
+/**
+ * Magic-link sign-in: a short-lived single-use link emailed instead of a password
+ * A link only works in the browser that asked for it: requesting one sets a random
+ * nonce cookie and the token stores the nonce's hash, so a forwarded or intercepted
+ * link is useless on its own. Responses never reveal whether an account exists.
+ */
+
+import { createToken, consumeToken, peekToken, generateToken, hashToken } from './tokens.js';
+import { sendEmail } from './email.js';
+import { getUserByEmail, getUserById, registerUser, takeOverUnverifiedAccount } from './auth.js';
+import { auditLog } from './audit.js';
+import { validateEmailLegitimacy, logEmailValidation } from './email-validation.js';
+import { getExecutionContext } from './background.js';
+import { serializeCookie, getCookie } from './cookies.js';
+import { getConfig } from './config.js';
+import { getBaseUrl, timingSafeEqual } from './utils.js';
+
+const TOKEN_PURPOSE = 'magic_link';
+
+// Only the magic-link pages need the nonce; Strict is enough because the link
+// opens a confirmation page and the sign-in itself is a same-site POST
+const NONCE_COOKIE_NAME = 'magic_link_nonce';
+const NONCE_COOKIE_ATTRIBUTES = { httpOnly: true, secure: true, sameSite: 'Strict', path: '/login/magic' };
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{22,64}$/;
+
+/**
+ * The browser's magic-link nonce, if it has a well-formed one
+ * @param {Request} request - Incoming request
+ * @returns {string|null} - Nonce
+ */
+export function getMagicLinkNonce(request) {
+  const nonce = getCookie(request, NONCE_COOKIE_NAME);
+  return nonce && NONCE_PATTERN.test(nonce) ? nonce : null;
+}
+
+/**
+ * Build the Set-Cookie header for a magic-link nonce
+ * @param {object} env - Environment object
+ * @param {string} nonce - Nonce from requestMagicLink
+ * @returns {string} - Set-Cookie header value
+ */
+export function createMagicLinkNonceCookie(env, nonce) {
+  return serializeCookie(NONCE_COOKIE_NAME, nonce, { ...NONCE_COOKIE_ATTRIBUTES, maxAge: getConfig(env).magicLink.tokenTtl });
+}
+
+/**
+ * Build the Set-Cookie header that removes the nonce cookie
+ * @returns {string} - Set-Cookie header value
+ */
+export function clearMagicLinkNonceCookie() {
+  return serializeCookie(NONCE_COOKIE_NAME, '', { ...NONCE_COOKIE_ATTRIBUTES, maxAge: 0, expires: 0 });
+}
+
+/**
+ * Email a sign-in link if the account exists (or may be created on first use)
+ * @param {object} env - Environment object
+ * @param {string} email - Email address entered by the user
+ * @param {Request} request - Request object (for the nonce cookie, base URL and audit logging)
+ * @param {object} options - { next: sanitized path to continue to after signing in }
+ * @returns {Promise<object>} - { success, nonce } (set it with createMagicLinkNonceCookie) —
+ *   success is true whether or not a link was sent — or { success: false, reason } for invalid addresses
+ */
+export async function requestMagicLink(env, email, request, { next = '' } = {}) {
+  const ip = request.headers.get('CF-Connecting-IP');
+  email = String(email || '').trim().toLowerCase();
+
+  const ctx = getExecutionContext(request);
+  const emailValidation = await validateEmailLegitimacy(email, env, ctx);
+  if (!emailValidation.isValid) {
+    await logEmailValidation(env, email, emailValidation, ip, 'magic_link', ctx);
+    return { success: false, reason: emailValidation.reason };
+  }
+
+  // Links requested from one browser share its nonce, so the latest email doesn't invalidate earlier ones
+  const nonce = getMagicLinkNonce(request) || generateToken(24);
+  const { tokenTtl, autoCreate } = getConfig(env).magicLink;
+
+  const user = await getUserByEmail(email, env);
+  if (!user && !autoCreate) {
+    await auditLog(env, { action: 'magic_link_requested', email, reason: 'user_not_found', request });
+    return { success: true, nonce };
+  }
+  if (user && user.locked) {
+    await auditLog(env, { action: 'magic_link_requested', userId: user.id, email, reason: 'account_locked', request });
+    return { success: true, nonce };
+  }
+
+  const token = await createToken(env, TOKEN_PURPOSE, {
+    userId: user ? user.id : null,
+    email,
+    next,
+    nonceHash: await hashToken(nonce)
+  }, tokenTtl);
+
+  const link = `${getBaseUrl(env, request)}/login/magic/verify?token=${encodeURIComponent(token)}`;
+  const minutes = Math.round(tokenTtl / 60);
+  const sent = await sendEmail(
+    env,
+    email,
+    user ? 'Your sign-in link' : 'Finish creating your account',
+    `${user ? 'Use this link to sign in' : 'Use this link to create your account and sign in'}:\n\n${link}\n\n` +
+    `The link expires in ${minutes} minute${minutes === 1 ? '' : 's'}, can only be used once, and only works ` +
+    `in the browser you requested it from.\n\n` +
+    `If you didn't ask for this, you can ignore this email.`,
+    undefined,
+    'magic-link'
+  );
+
+  await auditLog(env, {
+    action: 'magic_link_requested',
+    userId: user ? user.id : null,
+    email,
+    reason: sent ? null : 'email_failed',
+    request,
+    newAccount: !user
+  });
+
+  return { success: true, nonce };
+}
+
+/**
+ * Check a link without using it up (for the confirmation page)
+ * @param {object} env - Environment object
+ * @param {string} token - Token from the link
+ * @returns {Promise<boolean>} - True if the link is valid and unused
+ */
+export async function isMagicLinkValid(env, token) {
+  return Boolean(await peekToken(env, TOKEN_PURPOSE, token));
+}
+
+/**
+ * Sign in with a link: checks the browser's nonce, then uses the token up
+ * The link proves the address, so an unverified account becomes verified (losing
+ * whatever credentials it had, see takeOverUnverifiedAccount) and, with
+ * MAGIC_LINK_AUTO_CREATE, a missing one is created.
+ * @param {object} env - Environment object
+ * @param {string} token - Token from the link
+ * @param {string|null} nonce - Nonce from the browser's cookie (getMagicLinkNonce)
+ * @param {Request} request - Request object for audit logging
+ * @returns {Promise<object>} - { success, user, created, next } or
+ *   { success: false, reason: 'invalid_token' | 'browser_mismatch' | 'account_locked' | 'registration_failed', email }
+ */
+export async function consumeMagicLink(env, token, nonce, request) {
+  const data = await peekToken(env, TOKEN_PURPOSE, token);
+  if (!data) {
+    return { success: false, reason: 'invalid_token' };
+  }
+
+  // Opened in another browser: leave the link usable where it was requested
+  if (!nonce || !timingSafeEqual(await hashToken(nonce), data.nonceHash)) {
+    return { success: false, reason: 'browser_mismatch', email: data.email };
+  }
+  if (!await consumeToken(env, TOKEN_PURPOSE, token)) {
+    return { success: false, reason: 'invalid_token' };
+  }
+
+  let user = data.userId ? await getUserById(data.userId, env) : await getUserByEmail(data.email, env);
+  let created = false;
+  // The account may have been deleted or changed email since the link was sent
+  if (user && user.email !== data.email) user = null;
+
+  if (!user) {
+    if (data.userId || !getConfig(env).magicLink.autoCreate) {
+      return { success: false, reason: 'invalid_token', email: data.email };
+    }
+    const result = await registerUser(data.email, null, env, request, { passwordless: true, method: 'magic_link' });
+    if (!result.success) {
+      return { success: false, reason: 'registration_failed', email: data.email };
+    }
+    user = await getUserById(result.user.id, env);
+    created = true;
+  }
+
+  if (user.locked) {
+    return { success: false, reason: 'account_locked', email: user.email, userId: user.id };
+  }
+
+  // Whoever registered the address before its owner arrived loses what they set up
+  if (!user.verified) {
+    user = await takeOverUnverifiedAccount(user, env, request, { method: 'magic_link' });
+  }
+
+  return { success: true, user, created, next: data.next || '' };
+}
@@ -0,0 +1,262 @@
+/**
+ * Router middleware: session loading, CSRF, rate limiting, auth guards,
+ * security headers and error mapping
+ * Each factory returns async (request, context, next) => Response
+ */
+
+import { getSession } from './session.js';
+import { getCsrfToken, verifyCsrfToken, isSameOriginRequest } from './csrf.js';
+import { checkRateLimits, rateLimitResponse } from './ratelimit.js';
+import { auditLog } from './audit.js';
+import { isKVLimitError, createKVLimitErrorResponse } from './kv-utils.js';
+import { ErrorResponses } from './error-responses.js';
+import { getUserById, getUserByEmail } from './auth.js';
+import { getUserRoles, hasPermission } from './rbac.js';
+import { redirect, jsonResponse, getRequestId } from './utils.js';
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Check whether a request targets the JSON API
+ * @param {object} context - Request context
+ * @returns {boolean} - True for /api/* paths
+ */
+export function isApiRequest(context) {
+  return context.url.pathname.startsWith('/api/');
+}
+
+/**
+ * Add security headers to a response
+ * @param {Response} response - Response to decorate
+ * @returns {Response} - Response with mutable headers and security headers set
+ */
+export function addSecurityHeaders(response) {
+  const newHeaders = new Headers(response.headers);
+  newHeaders.set("X-Content-Type-Options", "nosniff");
+  newHeaders.set("X-Frame-Options", "DENY");
+  newHeaders.set("X-XSS-Protection", "1; mode=block");
+  newHeaders.set("Referrer-Policy", "strict-origin-when-cross-origin");
+  newHeaders.set("Content-Security-Policy", "default-src 'self'; script-src 'self' 'unsafe-inline'; style-src 'self' 'unsafe-inline'; img-src 'self' data:;");
+
+  return new Response(response.body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: newHeaders
+  });
+}
+
+/**
+ * Apply security headers to every response
+ */
+export function securityHeaders() {
+  return async (request, context, next) => addSecurityHeaders(await next());
+}
+
+/**
+ * Tag each request with an ID (context.requestId, X-Request-Id response header)
+ * Audit events record the same ID, so a response can be matched to its log entries.
+ */
+export function requestId() {
+  return async (request, context, next) => {
+    context.requestId = getRequestId(request);
+    const response = await next();
+    const headers = new Headers(response.headers);
+    headers.set("X-Request-Id", context.requestId);
+    return new Response(response.body, {
+      status: response.status,
+      statusText: response.statusText,
+      headers
+    });
+  };
+}
+
+/**
+ * Map thrown errors to error pages (HTML) or JSON errors (/api/*)
+ */
+export function errorHandler() {
+  return async (request, context, next) => {
+    try {
+      return await next();
+    } catch (error) {
+      console.error(`Worker error (request ${context.requestId || getRequestId(request)}):`, error);
+
+      // Handle KV limit errors gracefully
+      if (isKVLimitError(error)) {
+        return isApiRequest(context)
+          ? jsonResponse({ error: 'Service Unavailable', message: 'Temporarily over capacity, please retry later' }, 503, { 'Retry-After': '3600' })
+          : createKVLimitErrorResponse();
+      }
+
+      return isApiRequest(context)
+        ? jsonResponse({ error: 'Internal Server Error' }, 500)
+        : ErrorResponses.serverError();
+    }
+  };
+}
+
+/**
+ * Redirect plain HTTP to HTTPS (skipped behind proxies that set x-forwarded-proto)
+ */
+export function httpsRedirect() {
+  return async (request, context, next) => {
+    if (context.url.protocol === "http:" && !request.headers.get("x-forwarded-proto")) {
+      const url = new URL(context.url);
+      url.protocol = "https:";
+      return Response.redirect(url.toString(), 301);
+    }
+    return next();
+  };
+}
+
+/**
+ * Load the session (or null) into context.session
+ */
+export function loadSession() {
+  return async (request, context, next) => {
+    context.session = await getSession(request, context.env, context.ctx);
+    return next();
+  };
+}
+
+/**
+ * Provide context.csrf.token for forms and reject state-changing requests without a
+ * valid token (forms) or from another origin (/api/*). Requires loadSession first.
+ */
+export function csrfProtection() {
+  return async (request, context, next) => {
+    const { env, session, url } = context;
+    context.csrf = await getCsrfToken(request, env, session);
+
+    let response;
+    // Unmatched routes (404/405) have no handler to protect
+    if (SAFE_METHODS.includes(request.method) || !context.route) {
+      response = await next();
+    } else if (isApiRequest(context)) {
+      if (isSameOriginRequest(request, env)) {
+        response = await next();
+      } else {
+        await auditLog(env, { action: 'csrf_rejected', request, details: { origin: request.headers.get("Origin") } }, context.ctx);
+        response = jsonResponse({ error: 'Forbidden', message: 'Cross-origin request rejected' }, 403);
+      }
+    } else if (await verifyCsrfToken(request, env, session)) {
+      response = await next();
+    } else {
+      await auditLog(env, { action: 'csrf_rejected', request }, context.ctx);
+      response = ErrorResponses.forbidden('Your form has expired. Please go back, reload the page and try again.');
+    }
+
+    // Anonymous visitors get the double-submit cookie on first sight
+    if (context.csrf.setCookie) {
+      response = new Response(response.body, response);
+      response.headers.append("Set-Cookie", context.csrf.setCookie);
+    }
+    return response;
+  };
+}
+
+/**
+ * Rate limit a route with one or more rateLimit.<name> config rules
+ * Each rule has its own key (IP, /64 prefix, user, email, API key) and algorithm;
+ * the first rule that denies answers 429 (same response as withRateLimit).
+ * @param {...string} names - Keys in getConfig(env).rateLimit
+ */
+export function rateLimit(...names) {
+  return async (request, context, next) => {
+    const limited = await checkRateLimits(request, context, names);
+    return limited.allowed ? next() : rateLimitResponse(limited.name, limited.rule.limit, limited.result);
+  };
+}
+
+/**
+ * Load the signed-in user's record into context.user (cached per request)
+ * @param {object} context - Request context (after loadSession)
+ * @returns {Promise<object|null>} - User without password, or null
+ */
+export async function loadUser(context) {
+  if (context.user === undefined) {
+    const { session, env } = context;
+    if (!session) {
+      context.user = null;
+    } else {
+      // Sessions created before userId was stored only carry the email
+      context.user = session.userId
+        ? await getUserById(session.userId, env)
+        : await getUserByEmail(session.email, env);
+    }
+    context.roles = getUserRoles(context.user, env);
+  }
+  return context.user;
+}
+
+// Response for requests that need a signed-in user but have none
+function unauthenticated(request, context) {
+  if (isApiRequest(context)) {
+    return jsonResponse({ error: 'Unauthorized' }, 401);
+  }
+  // Page views go to the login form and come back afterwards
+  if (request.method === 'GET' || request.method === 'HEAD') {
+    const target = context.url.pathname + context.url.search;
+    return redirect(`/login?next=${encodeURIComponent(target)}`);
+  }
+  return ErrorResponses.unauthorized('Please log in and try again.');
+}
+
+// Response for signed-in users without the required role or permission
+async function forbidden(request, context, required) {
+  await auditLog(context.env, {
+    action: 'access_denied',
+    actor: { type: 'user', id: context.user.id, email: context.user.email },
+    request,
+    details: { roles: context.roles, required }
+  }, context.ctx);
+  return isApiRequest(context)
+    ? jsonResponse({ error: 'Forbidden' }, 403)
+    : ErrorResponses.forbidden();
+}
+
+/**
+ * Require a signed-in user: HTML page views redirect to /login?next=, other HTML
+ * requests get a 401 page and /api/* gets a 401 JSON error. Requires loadSession first.
+ */
+export function requireAuth() {
+  return async (request, context, next) => {
+    if (context.session) {
+      return next();
+    }
+    return unauthenticated(request, context);
+  };
+}
+
+/**
+ * Require a signed-in user with at least one of the given roles
+ * Loads context.user and context.roles. Requires loadSession first.
+ * @param {...string} roles - Accepted roles
+ */
+export function requireRole(...roles) {
+  return async (request, context, next) => {
+    if (!context.session || !(await loadUser(context))) {
+      return unauthenticated(request, context);
+    }
+    if (!roles.some(role => context.roles.includes(role))) {
+      return forbidden(request, context, { roles });
+    }
+    return next();
+  };
+}
+
+/**
+ * Require a signed-in user whose roles grant every given permission
+ * Loads context.user and context.roles. Requires loadSession first.
+ * @param {...string} permissions - Required permissions, e.g. "users:write"
+ */
+export function requirePermission(...permissions) {
+  return async (request, context, next) => {
+    if (!context.session || !(await loadUser(context))) {
+      return unauthenticated(request, context);
+    }
+    if (!permissions.every(permission => hasPermission(context.roles, permission))) {
+      return forbidden(request, context, { permissions });
+    }
+    return next();
+  };
+}
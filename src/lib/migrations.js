@@ -0,0 +1,144 @@
+/**
+ * One-off data migrations
+ * Batched so each run stays within scheduled-handler CPU limits; progress is stored in KV
+ */
+
+import { hashPassword } from './password.js';
+import { saveToKV, getFromKV } from './kv-utils.js';
+import { logSystemEvent } from './audit.js';
+
+const LEGACY_USERS_STATE_KEY = 'migration:legacy_users';
+
+/**
+ * Check whether a USERS key belongs to the legacy raw-email schema
+ * @param {string} key - KV key name
+ * @returns {boolean} - True for keys like "someone@example.com"
+ */
+function isLegacyUserKey(key) {
+  return key.includes('@') && !key.includes(':');
+}
+
+/**
+ * Move one legacy record to the new schema
+ * @param {object} env - Environment object
+ * @param {string} name - Legacy USERS key (the raw email)
+ * @returns {Promise<string>} - 'migrated' or 'skipped'
+ * @throws {Error} - If a KV write or the password hash fails
+ */
+async function migrateLegacyUserKey(env, name) {
+  const legacy = await getFromKV(env.USERS, name);
+  const email = String(legacy?.email || name).trim().toLowerCase();
+
+  if (!legacy || typeof legacy.password !== 'string' || !legacy.password) {
+    console.warn(`Skipping legacy user record without password: ${name}`);
+    return 'skipped';
+  }
+
+  // Never overwrite an account that already exists in the new schema
+  if (await env.USERS.get(`user:${email}`)) {
+    await logSystemEvent(env, 'legacy_user_conflict', { target: { type: 'user', email } });
+    return 'skipped';
+  }
+
+  const user = {
+    id: crypto.randomUUID(),
+    email,
+    password: await hashPassword(legacy.password),
+    createdAt: legacy.createdAt || new Date().toISOString(),
+    verified: legacy.verified === true,
+    plan: legacy.plan || 'free',
+    migratedAt: new Date().toISOString()
+  };
+
+  await saveToKV(env.USERS, `user:${email}`, user);
+  await saveToKV(env.USERS, `user_by_id:${user.id}`, { email });
+  await env.USERS.delete(name);
+  return 'migrated';
+}
+
+/**
+ * Move users stored under their raw email (old /signup handler) to the
+ * user:${email} / user_by_id:${id} schema used by auth.js, hashing plaintext passwords
+ * @param {object} env - Environment object
+ * @param {object} options - { cursor, limit } for batching
+ * @returns {Promise<object>} - { migrated, skipped, failed, cursor, complete }
+ */
+export async function migrateLegacyUsers(env, { cursor = undefined, limit = 50 } = {}) {
+  const result = { migrated: 0, skipped: 0, failed: 0, cursor: null, complete: false };
+  const page = await env.USERS.list({ cursor, limit });
+
+  for (const { name } of page.keys) {
+    if (!isLegacyUserKey(name)) continue;
+
+    try {
+      result[await migrateLegacyUserKey(env, name)]++;
+    } catch (error) {
+      console.error(`Failed to migrate legacy user ${name}:`, error);
+      result.failed++;
+    }
+  }
+
+  result.complete = page.list_complete;
+  result.cursor = page.list_complete ? null : page.cursor;
+  return result;
+}
+
+/**
+ * Migrate a single legacy user on demand (their first login), so they don't
+ * have to wait for the scheduled batches to reach them
+ * @param {object} env - Environment object
+ * @param {string} email - Address the user signs in with
+ * @returns {Promise<boolean>} - True if a legacy record was migrated
+ */
+export async function migrateLegacyUser(env, email) {
+  const name = String(email || '').trim().toLowerCase();
+  if (!isLegacyUserKey(name) || !(await env.USERS.get(name))) return false;
+
+  try {
+    return (await migrateLegacyUserKey(env, name)) === 'migrated';
+  } catch (error) {
+    console.error(`Failed to migrate legacy user ${name}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Run one batch of the legacy user migration, resuming from the stored cursor
+ * Safe to call on every scheduled run; it is a no-op once the migration completed
+ * @param {object} env - Environment object
+ * @param {object} options - { limit } batch size
+ * @returns {Promise<object|null>} - Batch result, or null if already complete
+ */
+export async function runLegacyUserMigration(env, { limit = 50 } = {}) {
+  const state = await getFromKV(env.USERS, LEGACY_USERS_STATE_KEY) || {
+    cursor: null,
+    complete: false,
+    migrated: 0,
+    failed: 0
+  };
+
+  if (state.complete) return null;
+
+  const batch = await migrateLegacyUsers(env, { cursor: state.cursor || undefined, limit });
+
+  const nextState = {
+    cursor: batch.cursor,
+    // Retry from the start if anything failed so no record is left behind
+    complete: batch.complete && batch.failed === 0 && state.failed === 0,
+    migrated: state.migrated + batch.migrated,
+    failed: batch.complete ? 0 : state.failed + batch.failed,
+    updatedAt: new Date().toISOString()
+  };
+  await saveToKV(env.USERS, LEGACY_USERS_STATE_KEY, nextState);
+
+  if (batch.migrated > 0 || nextState.complete) {
+    await logSystemEvent(env, 'legacy_user_migration', {
+      migrated: batch.migrated,
+      skipped: batch.skipped,
+      failed: batch.failed,
+      complete: nextState.complete
+    });
+  }
+
+  return batch;
+}
@@ -0,0 +1,341 @@
+/**
+ * Sign-in with OAuth 2.0 / OpenID Connect providers (Google, GitHub, any OIDC issuer)
+ * Authorization code flow with PKCE: the state is a single-use token (tokens.js)
+ * holding the code verifier and OIDC nonce, and the same value goes into a Lax
+ * cookie so the callback only works in the browser that started it. OIDC
+ * identities come from a verified ID token (oidc.js); GitHub, which isn't an
+ * OIDC provider, is asked for the user and their verified primary email.
+ *
+ * An identity that isn't linked yet is linked to the account with the same
+ * email if the provider says the address is verified, or gets a new
+ * passwordless account (OAUTH_AUTO_CREATE). See identities.js for storage.
+ */
+
+import { createToken, consumeToken, generateToken } from './tokens.js';
+import { getDiscoveryDocument, verifyIdToken } from './oidc.js';
+import { findIdentityUserId, linkIdentity, touchIdentity } from './identities.js';
+import { getUserByEmail, getUserById, registerUser, updateUser, takeOverUnverifiedAccount } from './auth.js';
+import { auditLog } from './audit.js';
+import { serializeCookie, getCookie } from './cookies.js';
+import { getConfig } from './config.js';
+import { arrayToBase64Url, getBaseUrl, timingSafeEqual } from './utils.js';
+
+const STATE_PURPOSE = 'oauth_state';
+
+// Lax, not Strict: the provider sends the browser back with a cross-site GET
+const STATE_COOKIE_NAME = 'oauth_state';
+const STATE_COOKIE_ATTRIBUTES = { httpOnly: true, secure: true, sameSite: 'Lax', path: '/login/oauth' };
+
+// GitHub's API rejects requests without a User-Agent
+const GITHUB_USER_AGENT = 'cloudflare-worker-starter';
+
+/**
+ * A configured provider, if it is enabled (has a client ID, and an issuer for OIDC)
+ * @param {object} env - Environment object
+ * @param {string} id - Provider ID: 'google', 'github' or 'oidc'
+ * @returns {object|null} - Provider config with its id
+ */
+export function getOAuthProvider(env, id) {
+  const { providers } = getConfig(env).oauth;
+  const provider = Object.hasOwn(providers, id) ? providers[id] : null;
+  if (!provider || !provider.clientId || (provider.type === 'oidc' && !provider.issuer)) {
+    return null;
+  }
+  return { id, ...provider };
+}
+
+/**
+ * Enabled providers, for sign-in buttons
+ * @param {object} env - Environment object
+ * @returns {object[]} - [{ id, name }]
+ */
+export function listOAuthProviders(env) {
+  return Object.keys(getConfig(env).oauth.providers)
+    .map(id => getOAuthProvider(env, id))
+    .filter(Boolean)
+    .map(({ id, name }) => ({ id, name }));
+}
+
+/**
+ * Build the Set-Cookie header binding a sign-in to this browser
+ * @param {object} env - Environment object
+ * @param {string} state - State from startOAuthFlow
+ * @returns {string} - Set-Cookie header value
+ */
+export function createOAuthStateCookie(env, state) {
+  return serializeCookie(STATE_COOKIE_NAME, state, { ...STATE_COOKIE_ATTRIBUTES, maxAge: getConfig(env).oauth.stateTtl });
+}
+
+/**
+ * Build the Set-Cookie header that removes the state cookie
+ * @returns {string} - Set-Cookie header value
+ */
+export function clearOAuthStateCookie() {
+  return serializeCookie(STATE_COOKIE_NAME, '', { ...STATE_COOKIE_ATTRIBUTES, maxAge: 0, expires: 0 });
+}
+
+// Authorization and token endpoints (and the JWKS for OIDC) of a provider
+async function getEndpoints(env, provider) {
+  if (provider.type !== 'oidc') {
+    return { authorizationEndpoint: provider.authorizationEndpoint, tokenEndpoint: provider.tokenEndpoint };
+  }
+  const discovery = await getDiscoveryDocument(env, provider.issuer);
+  return {
+    authorizationEndpoint: discovery.authorization_endpoint,
+    tokenEndpoint: discovery.token_endpoint,
+    jwksUri: discovery.jwks_uri
+  };
+}
+
+async function pkceChallenge(codeVerifier) {
+  return arrayToBase64Url(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(codeVerifier)));
+}
+
+/**
+ * Start signing in (or linking an account) at a provider
+ * @param {object} env - Environment object
+ * @param {string} providerId - Provider ID
+ * @param {Request} request - Request object (for the callback URL)
+ * @param {object} options - { next: sanitized path to continue to, linkUserId: signed-in user to link the identity to }
+ * @returns {Promise<object>} - { success, url, state } (set the state with createOAuthStateCookie
+ *   and redirect to the url) or { success: false, reason: 'unknown_provider' | 'provider_error' }
+ */
+export async function startOAuthFlow(env, providerId, request, { next = '', linkUserId = null } = {}) {
+  const provider = getOAuthProvider(env, providerId);
+  if (!provider) {
+    return { success: false, reason: 'unknown_provider' };
+  }
+
+  let endpoints;
+  try {
+    endpoints = await getEndpoints(env, provider);
+  } catch (error) {
+    console.error('OAuth discovery error:', error.message);
+    return { success: false, reason: 'provider_error' };
+  }
+
+  const codeVerifier = generateToken(32);
+  const nonce = generateToken(16);
+  const redirectUri = `${getBaseUrl(env, request)}/login/oauth/${provider.id}/callback`;
+  const state = await createToken(env, STATE_PURPOSE, {
+    provider: provider.id,
+    codeVerifier,
+    nonce,
+    redirectUri,
+    next,
+    linkUserId
+  }, getConfig(env).oauth.stateTtl);
+
+  const url = new URL(endpoints.authorizationEndpoint);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', provider.clientId);
+  url.searchParams.set('redirect_uri', redirectUri);
+  url.searchParams.set('scope', provider.scope);
+  url.searchParams.set('state', state);
+  url.searchParams.set('code_challenge', await pkceChallenge(codeVerifier));
+  url.searchParams.set('code_challenge_method', 'S256');
+  if (provider.type === 'oidc') {
+    url.searchParams.set('nonce', nonce);
+  }
+
+  return { success: true, url: url.toString(), state };
+}
+
+async function exchangeCode(provider, endpoints, code, state) {
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: state.redirectUri,
+    client_id: provider.clientId,
+    code_verifier: state.codeVerifier
+  });
+  if (provider.clientSecret) {
+    body.set('client_secret', provider.clientSecret);
+  }
+
+  const response = await fetch(endpoints.tokenEndpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body
+  });
+  // GitHub reports errors with a 200 and an error field
+  const tokens = await response.json().catch(() => ({}));
+  if (!response.ok || tokens.error) {
+    throw new Error(`token endpoint answered ${response.status} ${tokens.error || ''}`.trim());
+  }
+  return tokens;
+}
+
+async function fetchGitHubIdentity(provider, accessToken) {
+  const headers = {
+    Authorization: `Bearer ${accessToken}`,
+    Accept: 'application/vnd.github+json',
+    'User-Agent': GITHUB_USER_AGENT
+  };
+
+  const profileResponse = await fetch(provider.userEndpoint, { headers });
+  if (!profileResponse.ok) {
+    throw new Error(`user endpoint answered ${profileResponse.status}`);
+  }
+  const profile = await profileResponse.json();
+
+  // The profile email is optional and may be unverified; only the verified primary one counts
+  const emailsResponse = await fetch(provider.emailsEndpoint, { headers });
+  const emails = emailsResponse.ok ? await emailsResponse.json() : [];
+  const primary = Array.isArray(emails) ? emails.find(entry => entry.primary && entry.verified) : null;
+
+  return {
+    provider: provider.id,
+    subject: String(profile.id),
+    email: primary ? String(primary.email).toLowerCase() : null,
+    emailVerified: Boolean(primary),
+    name: profile.name || profile.login || null
+  };
+}
+
+/**
+ * Finish the flow on the callback: check the state, exchange the code and
+ * establish who the user is at the provider
+ * @param {object} env - Environment object
+ * @param {string} providerId - Provider ID from the callback path
+ * @param {Request} request - Callback request (query string and state cookie)
+ * @returns {Promise<object>} - { success, identity: { provider, subject, email, emailVerified, name }, next, linkUserId }
+ *   or { success: false, reason: 'invalid_state' | 'access_denied' | 'provider_error', next, linkUserId }
+ */
+export async function completeOAuthFlow(env, providerId, request) {
+  const url = new URL(request.url);
+  const state = url.searchParams.get('state') || '';
+  const cookieState = getCookie(request, STATE_COOKIE_NAME) || '';
+  if (!state || !cookieState || !timingSafeEqual(state, cookieState)) {
+    return { success: false, reason: 'invalid_state' };
+  }
+
+  const data = await consumeToken(env, STATE_PURPOSE, state);
+  const provider = getOAuthProvider(env, providerId);
+  if (!data || !provider || data.provider !== provider.id) {
+    return { success: false, reason: 'invalid_state' };
+  }
+
+  const flow = { next: data.next || '', linkUserId: data.linkUserId || null };
+  const error = url.searchParams.get('error');
+  if (error) {
+    return { success: false, reason: error === 'access_denied' ? 'access_denied' : 'provider_error', detail: error, ...flow };
+  }
+
+  try {
+    const code = url.searchParams.get('code');
+    if (!code) {
+      throw new Error('callback without a code');
+    }
+
+    const endpoints = await getEndpoints(env, provider);
+    const issuers = provider.type === 'oidc' ? [provider.issuer, ...(provider.issuerAliases || [])] : [];
+    // RFC 9207: a provider that names itself in the callback must be the one we started with
+    if (url.searchParams.has('iss') && provider.type === 'oidc' && !issuers.includes(url.searchParams.get('iss'))) {
+      throw new Error('callback from a different issuer');
+    }
+
+    const tokens = await exchangeCode(provider, endpoints, code, data);
+    if (provider.type === 'github') {
+      return { success: true, identity: await fetchGitHubIdentity(provider, tokens.access_token), ...flow };
+    }
+
+    if (!tokens.id_token) {
+      throw new Error('token response without an ID token');
+    }
+    const claims = await verifyIdToken(env, tokens.id_token, {
+      issuers,
+      jwksUri: endpoints.jwksUri,
+      clientId: provider.clientId,
+      nonce: data.nonce
+    });
+    return {
+      success: true,
+      identity: {
+        provider: provider.id,
+        subject: claims.sub,
+        email: typeof claims.email === 'string' ? claims.email.toLowerCase() : null,
+        // Some providers send the flag as a string
+        emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+        name: claims.name || claims.preferred_username || null
+      },
+      ...flow
+    };
+  } catch (caught) {
+    console.error('OAuth callback error:', caught.message);
+    return { success: false, reason: 'provider_error', detail: caught.message, ...flow };
+  }
+}
+
+/**
+ * Find (or link, or create) the local account for a provider identity
+ * @param {object} env - Environment object
+ * @param {object} identity - Identity from completeOAuthFlow
+ * @param {Request} request - Request object for audit logging
+ * @returns {Promise<object>} - { success, user, created, linked } or { success: false, reason:
+ *   'email_not_verified' | 'no_account' | 'registration_failed' | 'provider_already_linked' |
+ *   'account_locked' | 'user_not_verified', email, userId }
+ */
+export async function signInWithIdentity(env, identity, request) {
+  const linkedUserId = await findIdentityUserId(env, identity.provider, identity.subject);
+  let user = linkedUserId ? await getUserById(linkedUserId, env) : null;
+  let created = false;
+  let linked = false;
+
+  if (!user) {
+    // Without a verified address there's nothing to match or create an account with
+    if (!identity.email || !identity.emailVerified) {
+      return { success: false, reason: 'email_not_verified', email: identity.email };
+    }
+
+    user = await getUserByEmail(identity.email, env);
+    if (user && user.locked) {
+      return { success: false, reason: 'account_locked', email: user.email, userId: user.id };
+    }
+    if (user && !user.verified) {
+      user = await takeOverUnverifiedAccount(user, env, request, { method: 'oauth', provider: identity.provider });
+    }
+    if (!user) {
+      if (!getConfig(env).oauth.autoCreate) {
+        return { success: false, reason: 'no_account', email: identity.email };
+      }
+      const result = await registerUser(identity.email, null, env, request, { passwordless: true, method: 'oauth' });
+      if (!result.success) {
+        return { success: false, reason: 'registration_failed', email: identity.email };
+      }
+      user = await getUserById(result.user.id, env);
+      created = true;
+    }
+
+    const result = await linkIdentity(env, user, identity, request, { method: created ? 'signup' : 'email_match' });
+    if (!result.success) {
+      return { success: false, reason: result.reason, email: user.email, userId: user.id };
+    }
+    linked = true;
+  }
+
+  if (user.locked) {
+    return { success: false, reason: 'account_locked', email: user.email, userId: user.id };
+  }
+
+  // Linked while unverified: the provider can vouch for the address if it's the same one
+  if (!user.verified) {
+    if (identity.emailVerified && identity.email === user.email) {
+      await updateUser(user.id, { verified: true }, env);
+      await auditLog(env, {
+        action: 'email_verified',
+        userId: user.id,
+        email: user.email,
+        request,
+        method: 'oauth',
+        provider: identity.provider
+      });
+      user = { ...user, verified: true };
+    } else if (getConfig(env).auth.requireEmailVerification) {
+      return { success: false, reason: 'user_not_verified', email: user.email, userId: user.id };
+    }
+  }
+
+  await touchIdentity(env, user.id, identity);
+  return { success: true, user, created, linked };
+}
@@ -0,0 +1,204 @@
+/**
+ * OpenID Connect building blocks: provider discovery, cached signing keys (JWKS)
+ * and ID token verification with crypto.subtle (RS256 and ES256)
+ * Discovery documents and key sets are cached in memory and in KV (SESSIONS
+ * oidc_cache:${url}); a token signed with an unknown key ID refreshes the key set
+ * once, so providers can rotate keys without waiting for the cache to expire.
+ */
+
+import { getConfig } from './config.js';
+import { arrayToBase64Url, base64UrlToArray } from './utils.js';
+
+const CACHE_PREFIX = 'oidc_cache:';
+
+// An unknown key ID refetches the key set at most this often (milliseconds)
+const MIN_REFRESH_INTERVAL = 60000;
+
+// Allowed clock difference between us and the provider (seconds)
+const CLOCK_SKEW = 60;
+
+// JWS algorithm -> crypto.subtle parameters and the JWK key type it needs
+const ALGORITHMS = {
+  RS256: {
+    kty: 'RSA',
+    importParams: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+    verifyParams: { name: 'RSASSA-PKCS1-v1_5' }
+  },
+  ES256: {
+    kty: 'EC',
+    importParams: { name: 'ECDSA', namedCurve: 'P-256' },
+    verifyParams: { name: 'ECDSA', hash: 'SHA-256' }
+  }
+};
+
+// url -> { value, fetchedAt, expiresAt }
+const memoryCache = new Map();
+
+async function fetchJson(url) {
+  const response = await fetch(url, { headers: { Accept: 'application/json' } });
+  if (!response.ok) {
+    throw new Error(`OIDC: ${url} answered ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * Fetch a JSON document through the memory and KV caches
+ * @param {object} env - Environment object
+ * @param {string} url - Document URL
+ * @param {object} options - { refresh: bypass the caches if the cached copy is old enough }
+ * @returns {Promise<object>} - { value, fetchedAt }
+ */
+async function getCachedJson(env, url, { refresh = false } = {}) {
+  const now = Date.now();
+  let cached = memoryCache.get(url);
+  if (!cached || cached.expiresAt <= now) {
+    const stored = await env.SESSIONS.get(`${CACHE_PREFIX}${url}`);
+    cached = stored ? JSON.parse(stored) : null;
+  }
+
+  const fresh = cached && cached.expiresAt > now;
+  if (fresh && !(refresh && now - cached.fetchedAt >= MIN_REFRESH_INTERVAL)) {
+    memoryCache.set(url, cached);
+    return cached;
+  }
+
+  const { jwksCacheTtl } = getConfig(env).oauth;
+  const entry = { value: await fetchJson(url), fetchedAt: now, expiresAt: now + jwksCacheTtl * 1000 };
+  memoryCache.set(url, entry);
+  await env.SESSIONS.put(`${CACHE_PREFIX}${url}`, JSON.stringify(entry), { expirationTtl: Math.max(60, jwksCacheTtl) });
+  return entry;
+}
+
+/**
+ * Provider metadata from <issuer>/.well-known/openid-configuration
+ * @param {object} env - Environment object
+ * @param {string} issuer - Issuer identifier
+ * @returns {Promise<object>} - Discovery document
+ * @throws {Error} - If it can't be fetched or names a different issuer
+ */
+export async function getDiscoveryDocument(env, issuer) {
+  const { value } = await getCachedJson(env, `${issuer.replace(/\/+$/, '')}/.well-known/openid-configuration`);
+  if (value.issuer !== issuer) {
+    throw new Error('OIDC: discovery document is for a different issuer');
+  }
+  if (!value.authorization_endpoint || !value.token_endpoint || !value.jwks_uri) {
+    throw new Error('OIDC: discovery document is missing endpoints');
+  }
+  return value;
+}
+
+/**
+ * Decode a compact JWS without checking it
+ * @param {string} token - header.payload.signature
+ * @returns {object} - { header, payload, signingInput, signature }
+ * @throws {Error} - If the token is malformed
+ */
+export function decodeJwt(token) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) {
+    throw new Error('JWT: expected three parts');
+  }
+  const decoder = new TextDecoder();
+  const [header, payload] = parts.slice(0, 2).map(part => JSON.parse(decoder.decode(base64UrlToArray(part))));
+  if (!header || typeof header !== 'object' || !payload || typeof payload !== 'object') {
+    throw new Error('JWT: header and payload must be objects');
+  }
+  return {
+    header,
+    payload,
+    signingInput: new TextEncoder().encode(`${parts[0]}.${parts[1]}`),
+    signature: base64UrlToArray(parts[2])
+  };
+}
+
+/**
+ * Sign a JWT (used by the mock identity provider)
+ * @param {object} payload - Claims
+ * @param {CryptoKey} privateKey - ES256 or RS256 private key
+ * @param {object} header - { alg, kid }
+ * @returns {Promise<string>} - Compact JWS
+ */
+export async function signJwt(payload, privateKey, header) {
+  const algorithm = ALGORITHMS[header.alg];
+  if (!algorithm) {
+    throw new Error(`JWT: unsupported algorithm ${header.alg}`);
+  }
+  const encoder = new TextEncoder();
+  const signingInput = [{ ...header, typ: 'JWT' }, payload]
+    .map(part => arrayToBase64Url(encoder.encode(JSON.stringify(part))))
+    .join('.');
+  const signature = await crypto.subtle.sign(algorithm.verifyParams, privateKey, encoder.encode(signingInput));
+  return `${signingInput}.${arrayToBase64Url(signature)}`;
+}
+
+// Signing key for a token header, refreshing the key set once for an unknown kid
+async function findSigningKey(env, jwksUri, header) {
+  const algorithm = ALGORITHMS[header.alg];
+  const matches = jwk => jwk.kty === algorithm.kty &&
+    (!jwk.use || jwk.use === 'sig') &&
+    (!jwk.alg || jwk.alg === header.alg) &&
+    (!header.kid || jwk.kid === header.kid);
+
+  for (const refresh of [false, true]) {
+    const { value } = await getCachedJson(env, jwksUri, { refresh });
+    const jwk = Array.isArray(value.keys) ? value.keys.find(matches) : null;
+    if (jwk) return jwk;
+  }
+  return null;
+}
+
+/**
+ * Verify an ID token: signature against the provider's JWKS, then the claims
+ * (issuer, audience, expiry and the nonce sent with the authorization request)
+ * @param {object} env - Environment object
+ * @param {string} idToken - Compact JWS from the token endpoint
+ * @param {object} expected - { issuers: accepted iss values, jwksUri, clientId, nonce }
+ * @returns {Promise<object>} - Verified claims
+ * @throws {Error} - Describing the first check that failed
+ */
+export async function verifyIdToken(env, idToken, { issuers, jwksUri, clientId, nonce }) {
+  const { header, payload, signingInput, signature } = decodeJwt(idToken);
+  const algorithm = ALGORITHMS[header.alg];
+  if (!algorithm) {
+    throw new Error(`JWT: unsupported algorithm ${header.alg}`);
+  }
+
+  const jwk = await findSigningKey(env, jwksUri, header);
+  if (!jwk) {
+    throw new Error('JWT: no matching signing key');
+  }
+  const { kty, n, e, crv, x, y } = jwk;
+  const key = await crypto.subtle.importKey(
+    'jwk',
+    kty === 'RSA' ? { kty, n, e } : { kty, crv, x, y },
+    algorithm.importParams,
+    false,
+    ['verify']
+  );
+  if (!await crypto.subtle.verify(algorithm.verifyParams, key, signature, signingInput)) {
+    throw new Error('JWT: invalid signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+  if (!issuers.includes(payload.iss)) {
+    throw new Error('JWT: unexpected issuer');
+  }
+  if (!audiences.includes(clientId) || (audiences.length > 1 && payload.azp !== clientId)) {
+    throw new Error('JWT: not issued for this client');
+  }
+  if (typeof payload.exp !== 'number' || payload.exp + CLOCK_SKEW < now) {
+    throw new Error('JWT: expired');
+  }
+  if (typeof payload.iat === 'number' && payload.iat - CLOCK_SKEW > now) {
+    throw new Error('JWT: issued in the future');
+  }
+  if (payload.nonce !== nonce) {
+    throw new Error('JWT: nonce mismatch');
+  }
+  if (typeof payload.sub !== 'string' || !payload.sub) {
+    throw new Error('JWT: missing subject');
+  }
+  return payload;
+}
@@ -0,0 +1,125 @@
+/**
+ * Password reset (forgot password) flow
+ * Emails short-lived single-use reset links; responses never reveal whether an account exists
+ */
+
+import { createToken, consumeToken, peekToken } from './tokens.js';
+import { sendEmail } from './email.js';
+import { getUserByEmail, getUserById, resetPassword } from './auth.js';
+import { destroyAllUserSessions } from './session.js';
+import { auditLog } from './audit.js';
+import { validateEmailLegitimacy, logEmailValidation } from './email-validation.js';
+import { getExecutionContext } from './background.js';
+import { getConfig } from './config.js';
+import { getBaseUrl } from './utils.js';
+
+const TOKEN_PURPOSE = 'password_reset';
+
+/**
+ * Start a password reset: emails a reset link if the account exists
+ * @param {object} env - Environment object
+ * @param {string} email - Email address entered by the user
+ * @param {Request} request - Request object (for base URL and audit logging)
+ * @returns {Promise<object>} - { success, reason } — success is true whether or not the account exists
+ */
+export async function requestPasswordReset(env, email, request) {
+  const ip = request.headers.get('CF-Connecting-IP');
+  email = String(email || '').trim().toLowerCase();
+
+  const ctx = getExecutionContext(request);
+  const emailValidation = await validateEmailLegitimacy(email, env, ctx);
+  if (!emailValidation.isValid) {
+    await logEmailValidation(env, email, emailValidation, ip, 'forgot_password', ctx);
+    return { success: false, reason: emailValidation.reason };
+  }
+
+  const user = await getUserByEmail(email, env);
+  if (!user) {
+    await auditLog(env, {
+      action: 'password_reset_requested',
+      email,
+      reason: 'user_not_found',
+      request
+    });
+    return { success: true };
+  }
+
+  const { passwordResetTokenTtl } = getConfig(env).auth;
+  const token = await createToken(env, TOKEN_PURPOSE, {
+    userId: user.id,
+    email: user.email,
+    issuedAt: new Date().toISOString()
+  }, passwordResetTokenTtl);
+
+  const link = `${getBaseUrl(env, request)}/reset-password?token=${encodeURIComponent(token)}`;
+  const minutes = Math.round(passwordResetTokenTtl / 60);
+
+  const sent = await sendEmail(
+    env,
+    user.email,
+    'Reset your password',
+    `We received a request to reset the password for your account.\n\n` +
+    `Choose a new password here:\n\n${link}\n\n` +
+    `The link expires in ${minutes} minutes and can only be used once.\n\n` +
+    `If you didn't ask for this, you can ignore this email; your password won't change.`,
+    undefined,
+    'password-reset'
+  );
+
+  await auditLog(env, {
+    action: 'password_reset_requested',
+    userId: user.id,
+    email: user.email,
+    reason: sent ? null : 'email_failed',
+    request
+  });
+
+  return { success: true };
+}
+
+/**
+ * Check whether a reset link is still usable (does not consume it)
+ * @param {object} env - Environment object
+ * @param {string} token - Token from the reset link
+ * @returns {Promise<boolean>} - True if the token can be used
+ */
+export async function isResetTokenValid(env, token) {
+  return (await peekToken(env, TOKEN_PURPOSE, token)) !== null;
+}
+
+/**
+ * Finish a password reset: sets the new password and logs out every session
+ * @param {object} env - Environment object
+ * @param {string} token - Token from the reset link
+ * @param {string} newPassword - New password
+ * @param {Request} request - Request object for audit logging
+ * @returns {Promise<object>} - Result object with success status
+ */
+export async function completePasswordReset(env, token, newPassword, request) {
+  // Check the password before burning the token so a typo doesn't cost the link
+  const { minPasswordLength } = getConfig(env).security;
+  if (typeof newPassword !== 'string' || newPassword.length < minPasswordLength) {
+    return { success: false, error: `Password must be at least ${minPasswordLength} characters` };
+  }
+
+  const data = await consumeToken(env, TOKEN_PURPOSE, token);
+  if (!data) {
+    return { success: false, error: 'Invalid or expired reset link' };
+  }
+
+  // Links issued before the last password change are void
+  const user = await getUserById(data.userId, env);
+  if (!user || user.email !== data.email ||
+      (user.passwordChangedAt && user.passwordChangedAt > data.issuedAt)) {
+    return { success: false, error: 'Invalid or expired reset link' };
+  }
+
+  const result = await resetPassword(user.id, newPassword, env, request);
+  if (!result.success) {
+    return result;
+  }
+
+  await destroyAllUserSessions(env, user.email);
+
+  return { success: true, email: user.email };
+}
@@ -0,0 +1,109 @@
+/**
+ * Password hashing utilities
+ * PBKDF2-SHA256 via crypto.subtle with a self-describing storage format
+ *
+ * Stored format: pbkdf2_sha256$<iterations>$<salt>$<hash> (salt and hash are base64url)
+ */
+
+import { arrayToBase64Url, base64UrlToArray, timingSafeEqual } from './utils.js';
+
+const ALGORITHM = 'pbkdf2_sha256';
+
+// Cloudflare Workers reject PBKDF2 above 100,000 iterations, so this is the ceiling for now.
+// Raise it here once the runtime allows; existing hashes are upgraded on next login.
+const ITERATIONS = 100000;
+const SALT_BYTES = 16;
+const HASH_BYTES = 32;
+
+/**
+ * Derive a PBKDF2-SHA256 key from a password
+ * @param {string} password - Plaintext password
+ * @param {Uint8Array} salt - Per-user salt
+ * @param {number} iterations - Iteration count
+ * @param {number} length - Output length in bytes
+ * @returns {Promise<ArrayBuffer>} - Derived bytes
+ */
+async function deriveKey(password, salt, iterations, length) {
+  const keyMaterial = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(password),
+    'PBKDF2',
+    false,
+    ['deriveBits']
+  );
+
+  return crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    keyMaterial,
+    length * 8
+  );
+}
+
+/**
+ * Parse a stored password hash
+ * @param {string} stored - Stored hash string
+ * @returns {object|null} - { algorithm, iterations, salt, hash } or null if malformed
+ */
+function parseHash(stored) {
+  if (typeof stored !== 'string') return null;
+
+  const parts = stored.split('$');
+  if (parts.length !== 4) return null;
+
+  const [algorithm, iterationsText, saltText, hashText] = parts;
+  const iterations = parseInt(iterationsText, 10);
+  if (algorithm !== ALGORITHM || !Number.isInteger(iterations) || iterations < 1) return null;
+
+  try {
+    const salt = base64UrlToArray(saltText);
+    const hash = base64UrlToArray(hashText);
+    if (salt.length === 0 || hash.length === 0) return null;
+    return { algorithm, iterations, salt, hash };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Hash a password for storage
+ * @param {string} password - Plaintext password
+ * @returns {Promise<string>} - Self-describing hash string
+ */
+export async function hashPassword(password) {
+  if (typeof password !== 'string' || password.length === 0) {
+    throw new Error('Password must be a non-empty string');
+  }
+
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const hash = await deriveKey(password, salt, ITERATIONS, HASH_BYTES);
+
+  return `${ALGORITHM}$${ITERATIONS}$${arrayToBase64Url(salt)}$${arrayToBase64Url(hash)}`;
+}
+
+/**
+ * Verify a password against a stored hash
+ * @param {string} password - Plaintext password
+ * @param {string} stored - Stored hash string
+ * @returns {Promise<boolean>} - True if the password matches
+ */
+export async function verifyPassword(password, stored) {
+  const parsed = parseHash(stored);
+  if (!parsed || typeof password !== 'string') return false;
+
+  const candidate = await deriveKey(password, parsed.salt, parsed.iterations, parsed.hash.length);
+  return timingSafeEqual(candidate, parsed.hash);
+}
+
+/**
+ * Check whether a stored hash was created with outdated parameters
+ * @param {string} stored - Stored hash string
+ * @returns {boolean} - True if the hash should be regenerated
+ */
+export function needsRehash(stored) {
+  const parsed = parseHash(stored);
+  if (!parsed) return true;
+
+  return parsed.iterations < ITERATIONS ||
+         parsed.salt.length < SALT_BYTES ||
+         parsed.hash.length !== HASH_BYTES;
+}
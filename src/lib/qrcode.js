@@ -0,0 +1,365 @@
+/**
+ * Minimal QR code encoder (ISO/IEC 18004) rendering to SVG
+ * Byte mode only, versions 1-40, automatic version and mask selection.
+ * Enough for otpauth:// enrollment URIs without pulling in a dependency.
+ */
+
+// Error correction levels: index into the tables below, and the 2-bit format value
+const ECC_LEVELS = {
+  L: { index: 0, formatBits: 1 },
+  M: { index: 1, formatBits: 0 },
+  Q: { index: 2, formatBits: 3 },
+  H: { index: 3, formatBits: 2 }
+};
+
+// [level][version] (index 0 unused)
+const ECC_CODEWORDS_PER_BLOCK = [
+  [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+const ERROR_CORRECTION_BLOCKS = [
+  [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x, y) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+// Data + ECC modules available in a version (everything but function patterns)
+function rawModuleCount(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const alignments = Math.floor(version / 7) + 2;
+    result -= (25 * alignments - 10) * alignments - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+function dataCodewordCount(version, level) {
+  return Math.floor(rawModuleCount(version) / 8) -
+    ECC_CODEWORDS_PER_BLOCK[level][version] * ERROR_CORRECTION_BLOCKS[level][version];
+}
+
+function alignmentPositions(version) {
+  if (version === 1) return [];
+  const count = Math.floor(version / 7) + 2;
+  const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+  const positions = [6];
+  for (let pos = version * 4 + 10; positions.length < count; pos -= step) {
+    positions.splice(1, 0, pos);
+  }
+  return positions;
+}
+
+// GF(256) multiplication with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function reedSolomonDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < degree) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function reedSolomonRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  for (const byte of data) {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => {
+      result[i] ^= gfMultiply(coefficient, factor);
+    });
+  }
+  return result;
+}
+
+// Split data into blocks, add ECC to each and interleave
+function addEccAndInterleave(data, version, level) {
+  const blockCount = ERROR_CORRECTION_BLOCKS[level][version];
+  const eccLength = ECC_CODEWORDS_PER_BLOCK[level][version];
+  const rawCodewords = Math.floor(rawModuleCount(version) / 8);
+  const shortBlocks = blockCount - rawCodewords % blockCount;
+  const shortBlockLength = Math.floor(rawCodewords / blockCount);
+
+  const divisor = reedSolomonDivisor(eccLength);
+  const blocks = [];
+  for (let i = 0, offset = 0; i < blockCount; i++) {
+    const dataLength = shortBlockLength - eccLength + (i < shortBlocks ? 0 : 1);
+    const blockData = data.slice(offset, offset + dataLength);
+    offset += dataLength;
+    const ecc = reedSolomonRemainder(blockData, divisor);
+    // Short blocks get a placeholder so every block has the same length
+    if (i < shortBlocks) blockData.push(null);
+    blocks.push(blockData.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    for (const block of blocks) {
+      if (block[i] !== null) result.push(block[i]);
+    }
+  }
+  return result;
+}
+
+function encodeData(bytes, version, level) {
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+
+  append(0b0100, 4); // Byte mode
+  append(bytes.length, version <= 9 ? 8 : 16);
+  bytes.forEach(byte => append(byte, 8));
+
+  const capacityBits = dataCodewordCount(version, level) * 8;
+  append(0, Math.min(4, capacityBits - bits.length)); // Terminator
+  append(0, (8 - bits.length % 8) % 8);
+  for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) {
+    append(pad, 8);
+  }
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  return codewords;
+}
+
+class QrMatrix {
+  constructor(version) {
+    this.size = version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this.reserved = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+  }
+
+  set(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.reserved[y][x] = true;
+  }
+
+  drawFunctionPatterns(version, level) {
+    const { size } = this;
+    for (let i = 0; i < size; i++) {
+      this.set(6, i, i % 2 === 0);
+      this.set(i, 6, i % 2 === 0);
+    }
+
+    for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx;
+          const y = cy + dy;
+          if (x < 0 || x >= size || y < 0 || y >= size) continue;
+          const distance = Math.max(Math.abs(dx), Math.abs(dy));
+          this.set(x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    }
+
+    const positions = alignmentPositions(version);
+    const last = positions.length - 1;
+    positions.forEach((cx, i) => {
+      positions.forEach((cy, j) => {
+        // Skip the three corners taken by finder patterns
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            this.set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+          }
+        }
+      });
+    });
+
+    // Reserve the format areas (real bits are drawn once the mask is known)
+    this.drawFormatBits(level, 0);
+
+    if (version >= 7) {
+      let remainder = version;
+      for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+      const bits = (version << 12) | remainder;
+      for (let i = 0; i < 18; i++) {
+        const dark = ((bits >>> i) & 1) === 1;
+        const a = size - 11 + i % 3;
+        const b = Math.floor(i / 3);
+        this.set(a, b, dark);
+        this.set(b, a, dark);
+      }
+    }
+  }
+
+  drawFormatBits(level, mask) {
+    const { size } = this;
+    const data = (ECC_LEVELS[level].formatBits << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const bit = i => ((bits >>> i) & 1) === 1;
+
+    for (let i = 0; i <= 5; i++) this.set(8, i, bit(i));
+    this.set(8, 7, bit(6));
+    this.set(8, 8, bit(7));
+    this.set(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) this.set(14 - i, 8, bit(i));
+
+    for (let i = 0; i < 8; i++) this.set(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) this.set(8, size - 15 + i, bit(i));
+    this.set(8, size - 8, true); // Always dark
+  }
+
+  drawCodewords(codewords) {
+    const { size } = this;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      for (let vertical = 0; vertical < size; vertical++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vertical : vertical;
+          if (!this.reserved[y][x] && i < codewords.length * 8) {
+            this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  applyMask(mask) {
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.reserved[y][x] && MASKS[mask](x, y)) this.modules[y][x] = !this.modules[y][x];
+      }
+    }
+  }
+
+  // Penalty score from the spec; the mask with the lowest score is used
+  penalty() {
+    const { size, modules } = this;
+    let score = 0;
+
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+      lines.push(modules[i]);
+      lines.push(modules.map(row => row[i]));
+    }
+    for (const line of lines) {
+      let runLength = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) {
+          runLength++;
+          continue;
+        }
+        if (runLength >= 5) score += runLength - 2;
+        runLength = 1;
+      }
+      // Finder-like 1:1:3:1:1 patterns with four light modules on one side
+      for (let i = 0; i + 7 <= size; i++) {
+        const pattern = line[i] && !line[i + 1] && line[i + 2] && line[i + 3] && line[i + 4] && !line[i + 5] && line[i + 6];
+        if (!pattern) continue;
+        const lightBefore = [1, 2, 3, 4].every(k => i - k < 0 || !line[i - k]);
+        const lightAfter = [7, 8, 9, 10].every(k => i + k >= size || !line[i + k]);
+        if (lightBefore || lightAfter) score += 40;
+      }
+    }
+
+    for (let y = 0; y < size - 1; y++) {
+      for (let x = 0; x < size - 1; x++) {
+        const dark = modules[y][x];
+        if (dark === modules[y][x + 1] && dark === modules[y + 1][x] && dark === modules[y + 1][x + 1]) score += 3;
+      }
+    }
+
+    const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+    const total = size * size;
+    score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+    return score;
+  }
+}
+
+/**
+ * Encode text as a QR code
+ * @param {string} text - Text to encode (UTF-8, byte mode)
+ * @param {object} options - { level: 'L' | 'M' | 'Q' | 'H' } (default M)
+ * @returns {boolean[][]} - Module matrix, rows of booleans (true = dark), without quiet zone
+ * @throws {Error} - If the text doesn't fit in version 40
+ */
+export function encodeQrCode(text, { level = 'M' } = {}) {
+  if (!ECC_LEVELS[level]) {
+    throw new Error(`Unknown QR error correction level: ${level}`);
+  }
+  const levelIndex = ECC_LEVELS[level].index;
+  const bytes = [...new TextEncoder().encode(text)];
+
+  let version = 1;
+  for (; version <= 40; version++) {
+    const headerBits = 4 + (version <= 9 ? 8 : 16);
+    if (headerBits + bytes.length * 8 <= dataCodewordCount(version, levelIndex) * 8) break;
+  }
+  if (version > 40) {
+    throw new Error('Text too long for a QR code');
+  }
+
+  const codewords = addEccAndInterleave(encodeData(bytes, version, levelIndex), version, levelIndex);
+
+  let best = null;
+  for (let mask = 0; mask < MASKS.length; mask++) {
+    const matrix = new QrMatrix(version);
+    matrix.drawFunctionPatterns(version, level);
+    matrix.drawCodewords(codewords);
+    matrix.applyMask(mask);
+    matrix.drawFormatBits(level, mask);
+    const score = matrix.penalty();
+    if (!best || score < best.score) best = { score, matrix };
+  }
+  return best.matrix.modules;
+}
+
+/**
+ * Render text as an SVG QR code
+ * @param {string} text - Text to encode
+ * @param {object} options - { level, moduleSize (px, default 4), margin (modules, default 4) }
+ * @returns {string} - SVG markup
+ */
+export function renderQrCodeSvg(text, { level = 'M', moduleSize = 4, margin = 4 } = {}) {
+  const modules = encodeQrCode(text, { level });
+  const size = modules.length + margin * 2;
+
+  let path = '';
+  modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (dark) path += `M${x + margin},${y + margin}h1v1h-1z`;
+    });
+  });
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" width="${size * moduleSize}" height="${size * moduleSize}" shape-rendering="crispEdges" role="img" aria-label="QR code">` +
+    `<rect width="${size}" height="${size}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+}
@@ -0,0 +1,66 @@
+/**
+ * Durable Object rate limiter
+ * One object per rate limit key (idFromName(`${action}:${identifier}`)). A Durable
+ * Object handles its requests one at a time and storage operations hold back other
+ * events until they finish, so read-modify-write of the counter is atomic: unlike
+ * KV, concurrent requests from different colos can't all slip under the limit.
+ * Exported from worker.js; bind it as RATE_LIMITER (see wrangler.toml).
+ */
+
+import { getRateLimitAlgorithm } from './ratelimit-algorithms.js';
+import { jsonResponse } from './utils.js';
+
+const STATE_KEY = 'state';
+
+export class RateLimiter {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+  }
+
+  /**
+   * POST { limit, windowMs, algorithm } -> { allowed, remaining, resetTime }
+   * @param {Request} request - Request from checkRateLimit
+   * @returns {Promise<Response>} - JSON decision
+   */
+  async fetch(request) {
+    let options;
+    try {
+      options = await request.json();
+    } catch {
+      return jsonResponse({ error: 'Invalid JSON body' }, 400);
+    }
+
+    const { limit, windowMs, algorithm = 'sliding_window' } = options;
+    if (!(limit > 0) || !(windowMs > 0)) {
+      return jsonResponse({ error: 'limit and windowMs must be positive' }, 400);
+    }
+
+    let run;
+    try {
+      run = getRateLimitAlgorithm(algorithm);
+    } catch (error) {
+      return jsonResponse({ error: error.message }, 400);
+    }
+
+    const now = Date.now();
+    const stored = await this.state.storage.get(STATE_KEY);
+    // State from another algorithm (or an untagged older version) starts over
+    const previous = stored && stored.algorithm === algorithm ? stored.state : null;
+    const result = run(previous, { limit, windowMs, now });
+
+    await this.state.storage.put(STATE_KEY, { algorithm, state: result.state });
+    // Forget the key once its state no longer matters, so idle objects cost no storage
+    await this.state.storage.setAlarm(result.expiresAt);
+
+    return jsonResponse({
+      allowed: result.allowed,
+      remaining: result.remaining,
+      resetTime: result.resetTime
+    });
+  }
+
+  async alarm() {
+    await this.state.storage.deleteAll();
+  }
+}
@@ -0,0 +1,129 @@
+/**
+ * Rate limiting algorithms
+ * Pure functions over a small state object, so any storage (Durable Object, KV)
+ * can run them: (state | null, { limit, windowMs, now }) =>
+ *   { allowed, remaining, resetTime, state, expiresAt }
+ * state is what to store for the next call; expiresAt is when it can be dropped
+ * (after that, starting from null gives the same answer).
+ */
+
+/**
+ * Fixed window counter: at most `limit` requests per aligned window
+ * Cheapest option, but allows up to 2x the limit across a window boundary.
+ * @param {object|null} state - { windowStart, count }
+ * @param {object} options - { limit, windowMs, now }
+ * @returns {object} - Decision and next state
+ */
+export function fixedWindow(state, { limit, windowMs, now }) {
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+  let count = state && state.windowStart === windowStart ? state.count : 0;
+  const resetTime = windowStart + windowMs;
+
+  const allowed = count < limit;
+  if (allowed) count++;
+  return {
+    allowed,
+    remaining: limit - count,
+    resetTime,
+    state: { windowStart, count },
+    expiresAt: resetTime
+  };
+}
+
+/**
+ * Sliding window counter: this window's count plus the previous window's,
+ * weighted by how much of it still overlaps the sliding window
+ * Constant memory, unlike a log of every timestamp.
+ * @param {object|null} state - { windowStart, current, previous }
+ * @param {object} options - { limit, windowMs, now }
+ * @returns {object} - Decision and next state
+ */
+export function slidingWindow(state, { limit, windowMs, now }) {
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+  let current = 0;
+  let previous = 0;
+  if (state && state.windowStart === windowStart) {
+    ({ current, previous } = state);
+  } else if (state && state.windowStart === windowStart - windowMs) {
+    previous = state.current;
+  }
+
+  const weight = 1 - (now - windowStart) / windowMs;
+  const estimate = previous * weight + current;
+  const expiresAt = windowStart + 2 * windowMs;
+
+  if (estimate + 1 > limit) {
+    return {
+      allowed: false,
+      remaining: 0,
+      resetTime: slidingWindowReset({ windowStart, current, previous, limit, windowMs }),
+      state: { windowStart, current, previous },
+      expiresAt
+    };
+  }
+
+  current++;
+  return {
+    allowed: true,
+    remaining: Math.max(0, Math.floor(limit - (estimate + 1))),
+    resetTime: windowStart + windowMs,
+    state: { windowStart, current, previous },
+    expiresAt
+  };
+}
+
+// Earliest time the weighted estimate leaves room for one more request
+function slidingWindowReset({ windowStart, current, previous, limit, windowMs }) {
+  if (current + 1 > limit) {
+    // Not before this window has slid far enough past the next boundary
+    return windowStart + windowMs + Math.ceil(windowMs * Math.max(0, 1 - (limit - 1) / current));
+  }
+  // previous * (1 - elapsed / windowMs) + current <= limit - 1
+  return windowStart + Math.ceil(windowMs * (1 - (limit - 1 - current) / previous));
+}
+
+/**
+ * Token bucket: `limit` tokens, refilled evenly over `windowMs`; each request takes one
+ * Allows short bursts up to the limit while capping the long-run rate.
+ * @param {object|null} state - { tokens, updatedAt }
+ * @param {object} options - { limit, windowMs, now }
+ * @returns {object} - Decision and next state
+ */
+export function tokenBucket(state, { limit, windowMs, now }) {
+  const refillPerMs = limit / windowMs;
+  const elapsed = state ? Math.max(0, now - state.updatedAt) : 0;
+  let tokens = state ? Math.min(limit, state.tokens + elapsed * refillPerMs) : limit;
+
+  const allowed = tokens >= 1;
+  if (allowed) tokens -= 1;
+
+  // Full again (and therefore forgettable) once the missing tokens have refilled
+  const expiresAt = now + Math.ceil((limit - tokens) / refillPerMs);
+  return {
+    allowed,
+    remaining: Math.floor(tokens),
+    resetTime: allowed ? expiresAt : now + Math.ceil((1 - tokens) / refillPerMs),
+    state: { tokens, updatedAt: now },
+    expiresAt
+  };
+}
+
+export const RATE_LIMIT_ALGORITHMS = {
+  fixed_window: fixedWindow,
+  sliding_window: slidingWindow,
+  token_bucket: tokenBucket
+};
+
+/**
+ * Look up an algorithm by name
+ * @param {string} name - Algorithm name (key of RATE_LIMIT_ALGORITHMS)
+ * @returns {Function} - Algorithm
+ * @throws {Error} - For unknown names
+ */
+export function getRateLimitAlgorithm(name) {
+  const algorithm = RATE_LIMIT_ALGORITHMS[name];
+  if (!algorithm) {
+    throw new Error(`Unknown rate limit algorithm: ${name}`);
+  }
+  return algorithm;
+}
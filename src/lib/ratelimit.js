@@ -1,52 +1,102 @@
 /**
  * Rate limiting utilities for Cloudflare Workers
  * Prevents abuse and protects against spam/DoS attacks
+ * RATE_LIMIT_BACKEND picks the store: 'kv' (default) or 'durable_object' (atomic
+ * counters, see rate-limiter-object.js). KV is used whenever the Durable Object
+ * binding is missing or unreachable. Both run the algorithms in ratelimit-algorithms.js.
+ * Rules live in config.rateLimit and are applied with checkRateLimits / the rateLimit() middleware;
+ * withRateLimit applies an explicit per-IP limit.
  */
 
-import { safeKVWrite } from './kv-utils.js';
+import { safeKVWrite, getFromKV, saveToKV } from './kv-utils.js';
+import { getConfig } from './config.js';
+import { runInBackground } from './background.js';
+import { getRateLimitAlgorithm } from './ratelimit-algorithms.js';
+import { hashToken } from './tokens.js';
 
-// Rate limiting using Cloudflare KV
-export async function checkRateLimit(env, identifier, action, limit, windowMs) {
-  const key = `ratelimit_${action}_${identifier}`;
+/**
+ * Check and count one request against a limit
+ * @param {object} env - Environment object
+ * @param {string} identifier - Who is limited (IP, email, ...)
+ * @param {string} action - Limit name
+ * @param {number} limit - Requests allowed per window
+ * @param {number} windowMs - Window length in milliseconds
+ * @param {ExecutionContext|null} ctx - Execution context; KV counter writes run after the response
+ * @param {string|null} algorithm - fixed_window, sliding_window or token_bucket (default RATE_LIMIT_ALGORITHM)
+ * @returns {Promise<object>} - { allowed, remaining, resetTime }
+ */
+export async function checkRateLimit(env, identifier, action, limit, windowMs, ctx = null, algorithm = null) {
+  const config = getConfig(env).rateLimiter;
+  const { backend, binding } = config;
+  const options = { limit, windowMs, algorithm: algorithm || config.algorithm };
+
+  if (backend === 'durable_object') {
+    if (env[binding]) {
+      try {
+        return await checkRateLimitDurable(env[binding], `${action}:${identifier}`, options);
+      } catch (error) {
+        console.error('Durable Object rate limiter failed, falling back to KV:', error);
+      }
+    } else {
+      console.warn(`RATE_LIMIT_BACKEND is durable_object but the ${binding} binding is missing, using KV`);
+    }
+  }
+
+  return checkRateLimitKV(env, `ratelimit_${action}_${identifier}`, options, ctx);
+}
+
+/**
+ * Ask the Durable Object that owns a key for a decision
+ * @param {DurableObjectNamespace} namespace - RATE_LIMITER binding
+ * @param {string} key - Rate limit key
+ * @param {object} options - { limit, windowMs, algorithm }
+ * @returns {Promise<object>} - { allowed, remaining, resetTime }
+ */
+async function checkRateLimitDurable(namespace, key, options) {
+  const stub = namespace.get(namespace.idFromName(key));
+  const response = await stub.fetch('https://rate-limiter/check', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(options)
+  });
+  if (!response.ok) {
+    throw new Error(`Rate limiter answered ${response.status}: ${await response.text()}`);
+  }
+  return response.json();
+}
+
+/**
+ * Run the algorithm on state kept in KV (eventually consistent: concurrent requests
+ * in different colos can overshoot the limit; use the Durable Object backend if that matters)
+ * @param {object} env - Environment object
+ * @param {string} key - KV key
+ * @param {object} options - { limit, windowMs, algorithm }
+ * @param {ExecutionContext|null} ctx - Execution context
+ * @returns {Promise<object>} - { allowed, remaining, resetTime }
+ */
+async function checkRateLimitKV(env, key, { limit, windowMs, algorithm }, ctx) {
+  const run = getRateLimitAlgorithm(algorithm);
   const now = Date.now();
-  const windowStart = now - windowMs;
-  
+
   try {
-    // Get existing rate limit data
-    const rateLimitData = await env.AUDIT.get(key);
-    let requests = [];
-    
-    if (rateLimitData) {
-      const parsed = JSON.parse(rateLimitData);
-      // Filter out requests outside the time window
-      requests = parsed.requests.filter(timestamp => timestamp > windowStart);
-    }
-    
-    // Check if limit exceeded
-    if (requests.length >= limit) {
-      const oldestRequest = Math.min(...requests);
-      const resetTime = oldestRequest + windowMs;
-      return {
-        allowed: false,
-        resetTime,
-        remaining: 0
-      };
+    const stored = await getFromKV(env.AUDIT, key);
+    // State from another algorithm (or the old timestamp log) starts over
+    const state = stored && stored.algorithm === algorithm ? stored.state : null;
+    const result = run(state, { limit, windowMs, now });
+
+    // Denied requests don't change what the next decision needs
+    if (result.allowed) {
+      await runInBackground(ctx, `rate limit update for ${key}`, () => safeKVWrite(async () => {
+        await saveToKV(env.AUDIT, key, { algorithm, state: result.state }, {
+          expirationTtl: Math.max(60, Math.ceil((result.expiresAt - now) / 1000)) // KV minimum is 60 seconds
+        });
+      }, `rate limit update for ${key}`));
     }
-    
-    // Add current request
-    requests.push(now);
-    
-    // Store updated data with TTL using safe KV write
-    await safeKVWrite(async () => {
-      await env.AUDIT.put(key, JSON.stringify({ requests }), {
-        expirationTtl: Math.ceil(windowMs / 1000) + 60 // Add 1 minute buffer
-      });
-    }, `rate limit update for ${action}`);
-    
+
     return {
-      allowed: true,
-      remaining: limit - requests.length,
-      resetTime: now + windowMs
+      allowed: result.allowed,
+      remaining: result.remaining,
+      resetTime: result.resetTime
     };
   } catch (error) {
     console.error('Rate limit check failed:', error);
@@ -63,28 +113,145 @@ export function getClientIP(request) {
          '127.0.0.1';
 }
 
-// Rate limit middleware
-export async function withRateLimit(env, request, action, limit, windowMs) {
-  const clientIP = getClientIP(request);
-  const result = await checkRateLimit(env, clientIP, action, limit, windowMs);
-  
-  if (!result.allowed) {
-    const resetDate = new Date(result.resetTime).toISOString();
-    return new Response(JSON.stringify({
-      error: 'Rate limit exceeded',
-      message: `Too many ${action} attempts. Try again after ${resetDate}`,
-      resetTime: result.resetTime
-    }), {
-      status: 429,
-      headers: {
-        'Content-Type': 'application/json',
-        'Retry-After': Math.ceil((result.resetTime - Date.now()) / 1000).toString(),
-        'X-RateLimit-Limit': limit.toString(),
-        'X-RateLimit-Remaining': '0',
-        'X-RateLimit-Reset': result.resetTime.toString()
-      }
-    });
+/**
+ * IPv6 addresses reduced to their /64 prefix (one subscriber usually gets a whole /64);
+ * IPv4 (and IPv4-mapped IPv6) addresses are returned unchanged
+ * @param {string} ip - Client IP
+ * @returns {string} - e.g. "2001:db8:0:1::/64"
+ */
+export function getIPv6Prefix(ip) {
+  const address = ip.split('%')[0]; // Drop any zone ID
+  if (!address.includes(':')) return address;
+
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return mapped[1];
+
+  let groups = address.split(':');
+  if (address.includes('::')) {
+    const [head, tail] = address.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    groups = [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
   }
-  
-  return null; // No rate limit hit
+  return groups.slice(0, 4).map(group => parseInt(group || '0', 16).toString(16)).join(':') + '::/64';
+}
+
+/**
+ * Fields from a form or JSON body, read from a clone so the handler can still read it
+ * @param {Request} request - Incoming request
+ * @returns {Promise<object>} - Body fields (empty if there is no readable body)
+ */
+async function readBodyFields(request) {
+  if (request.bodyUsed || !['POST', 'PUT', 'PATCH'].includes(request.method)) return {};
+  const contentType = request.headers.get('Content-Type') || '';
+  try {
+    if (contentType.includes('application/json')) {
+      const body = await request.clone().json();
+      return body && typeof body === 'object' ? body : {};
+    }
+    if (contentType.includes('form')) {
+      return Object.fromEntries(await request.clone().formData());
+    }
+  } catch {
+    // Unreadable bodies just have no fields
+  }
+  return {};
+}
+
+/**
+ * What a rule can be keyed on; each returns an identifier or null
+ * user and apiKey fall back to the IP for anonymous requests; email has no
+ * fallback (the rule is skipped when the request carries no email).
+ */
+export const RATE_LIMIT_KEYS = {
+  ip: ({ request }) => `ip:${getClientIP(request)}`,
+  ip64: ({ request }) => `ip64:${getIPv6Prefix(getClientIP(request))}`,
+  user: ({ request, context }) => {
+    const session = context && context.session;
+    return session ? `user:${session.userId || session.email}` : `ip:${getClientIP(request)}`;
+  },
+  email: async ({ request, fields }) => {
+    const email = fields.email !== undefined ? fields.email : (await readBodyFields(request)).email;
+    const normalized = String(email || '').trim().toLowerCase();
+    return normalized ? `email:${normalized}` : null;
+  },
+  apiKey: async ({ request }) => {
+    const authorization = request.headers.get('Authorization') || '';
+    const apiKey = request.headers.get('X-API-Key') || (authorization.startsWith('Bearer ') ? authorization.slice(7) : '');
+    // Keys are secrets: only a hash ends up in storage
+    return apiKey ? `apikey:${(await hashToken(apiKey)).slice(0, 32)}` : `ip:${getClientIP(request)}`;
+  }
+};
+
+/**
+ * Apply one or more configured rules (config.rateLimit.*) in order, stopping at the first that denies
+ * @param {Request} request - Incoming request
+ * @param {object} context - Router context (env, ctx, session)
+ * @param {string[]} names - Rule names, e.g. ['login', 'loginAccount']
+ * @param {object} fields - Values the handler already parsed (e.g. { email }), used instead of the body
+ * @returns {Promise<object>} - { allowed: true } or { allowed: false, name, rule, result }
+ */
+export async function checkRateLimits(request, context, names, fields = {}) {
+  const rules = getConfig(context.env).rateLimit;
+
+  for (const name of names) {
+    const rule = rules[name];
+    if (!rule) {
+      throw new Error(`No rate limit configured for ${name}`);
+    }
+    const resolveKey = RATE_LIMIT_KEYS[rule.key];
+    if (!resolveKey) {
+      throw new Error(`Unknown rate limit key "${rule.key}" for ${name}`);
+    }
+
+    const identifier = await resolveKey({ request, context, fields });
+    if (!identifier) continue;
+
+    const result = await checkRateLimit(context.env, identifier, name, rule.limit, rule.window, context.ctx, rule.algorithm);
+    if (!result.allowed) {
+      return { allowed: false, name, rule, result };
+    }
+  }
+  return { allowed: true };
+}
+
+/**
+ * 429 JSON response for a denied request
+ * @param {string} action - Limit name (shown in the message)
+ * @param {number} limit - Requests allowed per window
+ * @param {object} result - Decision from checkRateLimit
+ * @returns {Response} - 429 response with Retry-After and X-RateLimit-* headers
+ */
+export function rateLimitResponse(action, limit, result) {
+  const resetDate = new Date(result.resetTime).toISOString();
+  return new Response(JSON.stringify({
+    error: 'Rate limit exceeded',
+    message: `Too many ${action} attempts. Try again after ${resetDate}`,
+    resetTime: result.resetTime
+  }), {
+    status: 429,
+    headers: {
+      'Content-Type': 'application/json',
+      'Retry-After': Math.max(1, Math.ceil((result.resetTime - Date.now()) / 1000)).toString(),
+      'X-RateLimit-Limit': limit.toString(),
+      'X-RateLimit-Remaining': '0',
+      'X-RateLimit-Reset': result.resetTime.toString()
+    }
+  });
+}
+
+/**
+ * Rate limit by client IP with an explicit limit; the rateLimit() middleware and
+ * checkRateLimits do the same for the named rules in config
+ * @param {object} env - Environment object
+ * @param {Request} request - Incoming request
+ * @param {string} action - Limit name
+ * @param {number} limit - Requests allowed per window
+ * @param {number} windowMs - Window length in milliseconds
+ * @param {ExecutionContext|null} ctx - Execution context; KV counter writes run after the response
+ * @returns {Promise<Response|null>} - 429 response, or null if the request may proceed
+ */
+export async function withRateLimit(env, request, action, limit, windowMs, ctx = null) {
+  const result = await checkRateLimit(env, getClientIP(request), action, limit, windowMs, ctx);
+  return result.allowed ? null : rateLimitResponse(action, limit, result);
 }
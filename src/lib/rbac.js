@@ -0,0 +1,146 @@
+/**
+ * Role-based access control
+ * Roles are stored on the user record (`roles: ['user']`) and map to permissions.
+ * Permissions are "resource:action" strings; "resource:*" and "*" act as wildcards.
+ */
+
+import { getFromKV, saveToKV } from './kv-utils.js';
+import { logSecurityEvent } from './audit.js';
+import { getConfig } from './config.js';
+
+export const PERMISSIONS = {
+  ACCOUNT_READ: 'account:read',
+  ACCOUNT_WRITE: 'account:write',
+  USERS_READ: 'users:read',
+  USERS_WRITE: 'users:write',
+  AUDIT_READ: 'audit:read'
+};
+
+export const DEFAULT_ROLE = 'user';
+
+// Role name -> { permissions, inherits }
+const ROLE_DEFINITIONS = new Map();
+
+/**
+ * Define (or redefine) a role
+ * Call at module load, e.g. defineRole('support', { permissions: ['users:read'], inherits: ['user'] })
+ * @param {string} name - Role name (lowercase letters, digits, "-" and "_")
+ * @param {object} options - { permissions: string[], inherits: string[] }
+ */
+export function defineRole(name, { permissions = [], inherits = [] } = {}) {
+  if (!/^[a-z0-9_-]+$/.test(name)) {
+    throw new Error(`Invalid role name: ${name}`);
+  }
+  ROLE_DEFINITIONS.set(name, { permissions: [...permissions], inherits: [...inherits] });
+}
+
+defineRole(DEFAULT_ROLE, {
+  permissions: [PERMISSIONS.ACCOUNT_READ, PERMISSIONS.ACCOUNT_WRITE]
+});
+defineRole('admin', {
+  permissions: ['*'],
+  inherits: [DEFAULT_ROLE]
+});
+
+/**
+ * Names of all defined roles
+ * @returns {string[]} - Role names
+ */
+export function getRoleNames() {
+  return [...ROLE_DEFINITIONS.keys()];
+}
+
+/**
+ * Resolve the permissions granted by a role, including inherited roles
+ * @param {string} role - Role name
+ * @param {Set<string>} seen - Roles already visited (guards against inheritance cycles)
+ * @returns {Set<string>} - Permissions (empty for unknown roles)
+ */
+export function getRolePermissions(role, seen = new Set()) {
+  const permissions = new Set();
+  const definition = ROLE_DEFINITIONS.get(role);
+  if (!definition || seen.has(role)) return permissions;
+
+  seen.add(role);
+  definition.permissions.forEach(permission => permissions.add(permission));
+  for (const parent of definition.inherits) {
+    getRolePermissions(parent, seen).forEach(permission => permissions.add(permission));
+  }
+  return permissions;
+}
+
+/**
+ * Roles of a user
+ * Users created before roles existed get the default role; ADMIN_EMAILS grants
+ * admin to those addresses once verified, so a fresh deployment has a way in
+ * (an unverified signup can't claim it).
+ * @param {object|null} user - User record
+ * @param {object} env - Environment object
+ * @returns {string[]} - Known role names
+ */
+export function getUserRoles(user, env) {
+  if (!user) return [];
+
+  const stored = Array.isArray(user.roles) && user.roles.length > 0 ? user.roles : [DEFAULT_ROLE];
+  const roles = new Set(stored.filter(role => ROLE_DEFINITIONS.has(role)));
+  if (user.verified === true && getConfig(env).auth.adminEmails.includes(String(user.email).toLowerCase())) {
+    roles.add('admin');
+  }
+  return [...roles];
+}
+
+/**
+ * Check whether a set of roles grants a permission
+ * @param {string[]} roles - Role names
+ * @param {string} permission - Permission such as "users:read"
+ * @returns {boolean} - True if granted
+ */
+export function hasPermission(roles, permission) {
+  const [resource] = permission.split(':');
+  return roles.some(role => {
+    const granted = getRolePermissions(role);
+    return granted.has('*') || granted.has(`${resource}:*`) || granted.has(permission);
+  });
+}
+
+/**
+ * Replace a user's stored roles
+ * Kept out of updateUser's whitelist so profile updates can never change roles.
+ * @param {object} env - Environment object
+ * @param {string} userId - User ID
+ * @param {string[]} roles - New role names (at least one, all defined)
+ * @param {object} options - { actor: acting admin ({ id, email }), request, ctx } for the audit log
+ * @returns {Promise<object>} - { success, roles } or { success: false, error }
+ */
+export async function setUserRoles(env, userId, roles, { actor = null, request = null, ctx = null } = {}) {
+  const normalized = [...new Set((roles || []).map(role => String(role).trim().toLowerCase()))];
+  if (normalized.length === 0) {
+    return { success: false, error: 'At least one role is required' };
+  }
+  const unknown = normalized.filter(role => !ROLE_DEFINITIONS.has(role));
+  if (unknown.length > 0) {
+    return { success: false, error: `Unknown role: ${unknown.join(', ')}` };
+  }
+
+  const userRef = await getFromKV(env.USERS, `user_by_id:${userId}`);
+  const user = userRef && await getFromKV(env.USERS, `user:${userRef.email}`);
+  if (!user) {
+    return { success: false, error: 'User not found' };
+  }
+
+  const previous = Array.isArray(user.roles) ? user.roles : [DEFAULT_ROLE];
+  await saveToKV(env.USERS, `user:${user.email}`, {
+    ...user,
+    roles: normalized,
+    updatedAt: new Date().toISOString()
+  });
+
+  await logSecurityEvent(env, 'roles_changed', {
+    actor: actor ? { type: 'admin', id: actor.id, email: actor.email } : { type: 'system' },
+    target: { type: 'user', id: userId, email: user.email },
+    request,
+    details: { previous, roles: normalized }
+  }, ctx);
+
+  return { success: true, roles: normalized };
+}
@@ -0,0 +1,184 @@
+/**
+ * Minimal declarative router with a middleware pipeline
+ * Routes are matched on method + path pattern ("/users/:id", "/files/*");
+ * unmatched methods get a 405 with an Allow header and HEAD falls back to GET.
+ *
+ * Middleware signature: async (request, context, next) => Response
+ * Handler signature:    async (request, context) => Response
+ * context: { env, ctx, url, params, route, ...whatever middleware adds (session, csrf, ...) }
+ * (route is the matched pattern, or null for 404/405 responses; ctx is the ExecutionContext)
+ */
+
+import { bindExecutionContext } from './background.js';
+
+/**
+ * Compile a path pattern into a regular expression
+ * @param {string} pattern - Path with :params and an optional trailing *
+ * @returns {object} - { regex, keys }
+ */
+function compilePattern(pattern) {
+  const keys = [];
+  const source = pattern
+    .split('/')
+    .map(segment => {
+      if (segment === '*') {
+        keys.push('wildcard');
+        return '(.*)';
+      }
+      if (segment.startsWith(':')) {
+        keys.push(segment.slice(1));
+        return '([^/]+)';
+      }
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('/');
+
+  return { regex: new RegExp(`^${source}/?$`), keys };
+}
+
+/**
+ * Run middleware in order, ending with the handler
+ * @param {Function[]} middleware - Middleware functions
+ * @param {Function} handler - Final handler
+ * @returns {Function} - (request, context) => Promise<Response>
+ */
+export function compose(middleware, handler) {
+  return (request, context) => {
+    const dispatch = (index) => {
+      if (index === middleware.length) {
+        return handler(request, context);
+      }
+      return middleware[index](request, context, () => dispatch(index + 1));
+    };
+    return dispatch(0);
+  };
+}
+
+export class Router {
+  constructor() {
+    this.routes = [];
+    this.middleware = [];
+    this.notFoundHandler = () => new Response('Not Found', { status: 404 });
+  }
+
+  /**
+   * Add middleware that runs for every request, including 404 and 405 responses
+   * @param {...Function} middleware - Middleware functions
+   * @returns {Router} - this, for chaining
+   */
+  use(...middleware) {
+    this.middleware.push(...middleware);
+    return this;
+  }
+
+  /**
+   * Register a route
+   * @param {string|string[]} methods - HTTP method(s), or "*" for any
+   * @param {string} pattern - Path pattern
+   * @param {...Function} handlers - Route middleware followed by the handler
+   * @returns {Router} - this, for chaining
+   */
+  on(methods, pattern, ...handlers) {
+    const handler = handlers.pop();
+    const { regex, keys } = compilePattern(pattern);
+    this.routes.push({
+      methods: (Array.isArray(methods) ? methods : [methods]).map(method => method.toUpperCase()),
+      pattern,
+      regex,
+      keys,
+      run: compose(handlers, handler)
+    });
+    return this;
+  }
+
+  get(pattern, ...handlers) { return this.on('GET', pattern, ...handlers); }
+  post(pattern, ...handlers) { return this.on('POST', pattern, ...handlers); }
+  put(pattern, ...handlers) { return this.on('PUT', pattern, ...handlers); }
+  patch(pattern, ...handlers) { return this.on('PATCH', pattern, ...handlers); }
+  delete(pattern, ...handlers) { return this.on('DELETE', pattern, ...handlers); }
+  all(pattern, ...handlers) { return this.on('*', pattern, ...handlers); }
+
+  /**
+   * Set the handler used when no route matches the path
+   * @param {Function} handler - (request, context) => Response
+   * @returns {Router} - this, for chaining
+   */
+  notFound(handler) {
+    this.notFoundHandler = handler;
+    return this;
+  }
+
+  /**
+   * Find the route for a request
+   * @param {string} method - Request method
+   * @param {string} pathname - Request path
+   * @returns {object} - { route, params } or { allowed } when only the method didn't match
+   */
+  match(method, pathname) {
+    const allowed = new Set();
+
+    for (const route of this.routes) {
+      const found = route.regex.exec(pathname);
+      if (!found) continue;
+
+      const accepts = (candidate) => route.methods.includes('*') || route.methods.includes(candidate);
+      if (accepts(method) || (method === 'HEAD' && accepts('GET'))) {
+        const params = {};
+        route.keys.forEach((key, i) => {
+          try {
+            params[key] = decodeURIComponent(found[i + 1]);
+          } catch {
+            params[key] = found[i + 1];
+          }
+        });
+        return { route, params };
+      }
+
+      route.methods.forEach(routeMethod => allowed.add(routeMethod));
+      if (route.methods.includes('GET')) allowed.add('HEAD');
+    }
+
+    return { route: null, params: {}, allowed: [...allowed] };
+  }
+
+  /**
+   * Handle a request
+   * @param {Request} request - Incoming request
+   * @param {object} env - Environment object
+   * @param {ExecutionContext|null} ctx - Execution context (for ctx.waitUntil)
+   * @returns {Promise<Response>} - Response
+   */
+  async handle(request, env, ctx = null) {
+    const url = new URL(request.url);
+    const { route, params, allowed } = this.match(request.method, url.pathname);
+    const context = { env, ctx, url, params, route: route ? route.pattern : null };
+    bindExecutionContext(request, ctx);
+
+    let handler;
+    if (route) {
+      // Handlers only need to know about GET; HEAD gets the same response minus the body
+      handler = request.method === 'HEAD' && !route.methods.includes('HEAD')
+        ? (req, context) => {
+          const getRequest = new Request(req, { method: 'GET' });
+          bindExecutionContext(getRequest, ctx);
+          return route.run(getRequest, context);
+        }
+        : route.run;
+    } else if (allowed.length > 0) {
+      handler = () => new Response('Method Not Allowed', {
+        status: 405,
+        headers: { 'Allow': allowed.join(', ') }
+      });
+    } else {
+      handler = this.notFoundHandler;
+    }
+
+    const response = await compose(this.middleware, handler)(request, context);
+
+    // HEAD is answered by the GET route; drop the body but keep the headers
+    if (request.method === 'HEAD' && response.body) {
+      return new Response(null, response);
+    }
+    return response;
+  }
+}
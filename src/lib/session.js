@@ -4,15 +4,39 @@
  */
 
 import { getConfig } from './config.js';
+import { hashToken } from './tokens.js';
+import { signValue, verifySignedValue } from './signing.js';
+import { parseCookies, serializeCookie } from './cookies.js';
+import { isKVLimitError } from './kv-utils.js';
+import { runInBackground } from './background.js';
 
-export async function getSession(request, env) {
-  const cookie = request.headers.get("Cookie");
-  if (!cookie) return null;
+const LEGACY_COOKIE_NAME = "session";
+
+// Pending 2FA logins: password checked, second factor not yet
+const PENDING_PREFIX = "pending_2fa:";
+const PENDING_COOKIE_NAME = "pending_2fa";
+const PENDING_COOKIE_ATTRIBUTES = { httpOnly: true, secure: true, sameSite: "Strict", path: "/" };
+
+/**
+ * Load the session a request's cookie points to
+ * @param {Request} request - Incoming request
+ * @param {object} env - Environment object
+ * @param {ExecutionContext|null} ctx - Execution context; the lastActivity refresh runs after the response
+ * @returns {Promise<object|null>} - Session with its id, or null
+ */
+export async function getSession(request, env, ctx = null) {
+  const cookies = parseCookies(request.headers.get("Cookie"));
+  const { cookieName, secrets } = getConfig(env).session;
   
-  const sessionCookie = cookie.split("; ").find(row => row.startsWith("session="));
+  // Fall back to the plain name so switching to __Host- doesn't log everyone out
+  const sessionCookie = cookies.get(cookieName) ?? cookies.get(LEGACY_COOKIE_NAME);
   if (!sessionCookie) return null;
   
-  const id = sessionCookie.split("=")[1];
+  // Reject tampered or forged cookies before touching KV
+  const verified = await verifySignedValue(secrets, sessionCookie);
+  if (!verified) return null;
+  
+  const id = verified.value;
   const sessionData = await env.SESSIONS.get(id);
   if (!sessionData) return null;
   
@@ -37,18 +61,16 @@ export async function getSession(request, env) {
   
   if (shouldUpdateActivity) {
     session.lastActivity = Date.now();
-    try {
-      await env.SESSIONS.put(id, JSON.stringify(session), {
-        expirationTtl: getConfig(env).session.expirationTtl
-      });
-    } catch (error) {
-      if (error.message && error.message.includes('KV put() limit exceeded')) {
+    const value = JSON.stringify(session);
+    await runInBackground(ctx, 'session activity refresh', async () => {
+      try {
+        await env.SESSIONS.put(id, value, { expirationTtl: config.session.expirationTtl });
+      } catch (error) {
+        if (!isKVLimitError(error)) throw error;
         // Continue without updating session activity
         console.warn('KV write limit exceeded, skipping session update');
-      } else {
-        throw error;
       }
-    }
+    });
   }
   
   session.id = id;
@@ -62,6 +84,7 @@ export async function createSession(env, email, options = {}) {
   
   const sessionData = {
     email,
+    userId: options.userId || null,
     createdAt: now,
     lastActivity: now,
     expiresAt: now + (options.maxAge || config.session.maxAge),
@@ -72,45 +95,276 @@ export async function createSession(env, email, options = {}) {
   await env.SESSIONS.put(sessionId, JSON.stringify(sessionData), {
     expirationTtl: config.session.expirationTtl
   });
+  await addToSessionIndex(env, email, sessionId);
   
   return sessionId;
 }
 
 export async function destroySession(env, sessionId) {
+  const sessionData = await env.SESSIONS.get(sessionId);
   await env.SESSIONS.delete(sessionId);
+  
+  if (sessionData) {
+    const { email } = JSON.parse(sessionData);
+    if (email) await removeFromSessionIndex(env, email, [sessionId]);
+  }
 }
 
-export async function destroyAllUserSessions(env, email) {
-  const allSessions = await env.SESSIONS.list();
+/**
+ * List a user's active sessions (newest first), pruning stale index entries
+ * @param {object} env - Environment object
+ * @param {string} email - User email
+ * @returns {Promise<Array>} - Session objects with their id
+ */
+export async function listUserSessions(env, email) {
+  const ids = await getSessionIndex(env, email);
+  const now = Date.now();
+  const sessions = [];
+  const stale = [];
   
-  for (const session of allSessions.keys) {
-    const sessionData = await env.SESSIONS.get(session.name);
-    if (sessionData) {
-      const parsed = JSON.parse(sessionData);
-      if (parsed.email === email) {
-        await env.SESSIONS.delete(session.name);
-      }
+  for (const id of ids) {
+    const sessionData = await env.SESSIONS.get(id);
+    const session = sessionData ? JSON.parse(sessionData) : null;
+    if (!session || session.email !== email || (session.expiresAt && session.expiresAt < now)) {
+      stale.push(id);
+      continue;
+    }
+    sessions.push({ ...session, id });
+  }
+  
+  if (stale.length > 0) {
+    await removeFromSessionIndex(env, email, stale);
+  }
+  
+  return sessions.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Get a non-secret handle for a session, safe to show in pages and APIs
+ * (the session ID itself is a bearer credential and must never be exposed)
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<string>} - Short opaque handle
+ */
+export async function getSessionHandle(sessionId) {
+  return (await hashToken(`session:${sessionId}`)).slice(0, 16);
+}
+
+/**
+ * Destroy one of a user's sessions identified by its handle
+ * @param {object} env - Environment object
+ * @param {string} email - User email (the session must belong to this user)
+ * @param {string} handle - Handle from getSessionHandle
+ * @returns {Promise<object|null>} - The destroyed session, or null if not found
+ */
+export async function destroyUserSessionByHandle(env, email, handle) {
+  for (const session of await listUserSessions(env, email)) {
+    if (await getSessionHandle(session.id) === handle) {
+      await destroySession(env, session.id);
+      return session;
     }
   }
+  return null;
+}
+
+/**
+ * Destroy every session of a user ("log out everywhere")
+ * Sessions created before the per-user index existed are not covered; they expire on their own
+ * @param {object} env - Environment object
+ * @param {string} email - User email
+ * @param {object} options - { exceptSessionId } to keep the current session
+ * @returns {Promise<number>} - Number of sessions destroyed
+ */
+export async function destroyAllUserSessions(env, email, options = {}) {
+  const { exceptSessionId = null } = options;
+  const ids = await getSessionIndex(env, email);
+  const toDestroy = ids.filter(id => id !== exceptSessionId);
+  
+  for (const id of toDestroy) {
+    await env.SESSIONS.delete(id);
+  }
+  
+  await removeFromSessionIndex(env, email, toDestroy);
+  return toDestroy.length;
+}
+
+// Per-user session index: user_sessions:${email} -> { ids: [...] } (oldest first)
+function sessionIndexKey(email) {
+  return `user_sessions:${email}`;
+}
+
+async function getSessionIndex(env, email) {
+  const indexData = await env.SESSIONS.get(sessionIndexKey(email));
+  return indexData ? JSON.parse(indexData).ids || [] : [];
+}
+
+async function saveSessionIndex(env, email, ids) {
+  if (ids.length === 0) {
+    await env.SESSIONS.delete(sessionIndexKey(email));
+    return;
+  }
+  
+  // Outlive the newest session it points to
+  await env.SESSIONS.put(sessionIndexKey(email), JSON.stringify({ ids }), {
+    expirationTtl: getConfig(env).session.expirationTtl
+  });
+}
+
+async function addToSessionIndex(env, email, sessionId) {
+  const ids = (await getSessionIndex(env, email)).filter(id => id !== sessionId);
+  ids.push(sessionId);
+  
+  // Cap sessions per user; the oldest ones are logged out rather than silently unindexed
+  const { maxPerUser } = getConfig(env).session;
+  while (ids.length > maxPerUser) {
+    await env.SESSIONS.delete(ids.shift());
+  }
+  
+  await saveSessionIndex(env, email, ids);
 }
 
-export function createSessionCookie(sessionId, options = {}) {
+async function removeFromSessionIndex(env, email, sessionIds) {
+  const ids = await getSessionIndex(env, email);
+  const remaining = ids.filter(id => !sessionIds.includes(id));
+  if (remaining.length !== ids.length) {
+    await saveSessionIndex(env, email, remaining);
+  }
+}
+
+// Cookie attributes shared by createSessionCookie and clearSessionCookie, so clearing
+// always matches what was set (browsers only drop a cookie on an exact name/Path/Domain match)
+function sessionCookieAttributes(env, options, cookieName = getConfig(env).session.cookieName) {
   const {
     httpOnly = true,
     secure = true,
     sameSite = "Strict",
-    maxAge = 604800, // 7 days
     domain = null,
     path = "/"
   } = options;
   
-  let cookie = `session=${sessionId}`;
-  if (httpOnly) cookie += "; HttpOnly";
-  if (secure) cookie += "; Secure";
-  if (sameSite) cookie += `; SameSite=${sameSite}`;
-  if (maxAge) cookie += `; Max-Age=${maxAge}`;
-  if (domain) cookie += `; Domain=${domain}`;
-  if (path) cookie += `; Path=${path}`;
+  // __Host- cookies must be Secure, Path=/ and host-only
+  if (cookieName.startsWith("__Host-")) {
+    return { name: cookieName, httpOnly, secure: true, sameSite, domain: null, path: "/" };
+  }
+  return { name: cookieName, httpOnly, secure, sameSite, domain, path };
+}
+
+/**
+ * Build the Set-Cookie header for a session, signing the ID with SESSION_SECRET
+ * Uses the __Host-session name when SESSION_COOKIE_HOST_PREFIX is enabled
+ * @param {object} env - Environment object
+ * @param {string} sessionId - Session ID
+ * @param {object} options - Cookie attributes (maxAge, httpOnly, secure, sameSite, domain, path)
+ * @returns {Promise<string>} - Set-Cookie header value
+ */
+export async function createSessionCookie(env, sessionId, options = {}) {
+  const { name, ...attributes } = sessionCookieAttributes(env, options);
+  const { maxAge = 604800 } = options; // 7 days
+  const value = await signValue(getConfig(env).session.secrets, sessionId);
+  
+  return serializeCookie(name, value, { ...attributes, maxAge });
+}
+
+/**
+ * Build the Set-Cookie headers that remove the session cookie. With __Host- on, the plain
+ * "session" cookie is cleared too, since getSession still accepts it
+ * @param {object} env - Environment object
+ * @param {object} options - The same attributes passed to createSessionCookie
+ * @returns {string[]} - Set-Cookie header values, one per cookie
+ */
+export function clearSessionCookie(env, options = {}) {
+  const { cookieName } = getConfig(env).session;
+  const names = cookieName === LEGACY_COOKIE_NAME ? [cookieName] : [cookieName, LEGACY_COOKIE_NAME];
+  
+  return names.map(cookie => {
+    const { name, ...attributes } = sessionCookieAttributes(env, options, cookie);
+    return serializeCookie(name, "", { ...attributes, maxAge: 0, expires: 0 });
+  });
+}
+
+/**
+ * Start a pending two-factor login: the password checked out, but no real session
+ * exists until the second factor does too (see createSession)
+ * @param {object} env - Environment object
+ * @param {object} data - { userId, email, next, userAgent, ip }
+ * @returns {Promise<string>} - Pending login ID
+ */
+export async function createPendingLogin(env, data) {
+  const id = crypto.randomUUID();
+  const { pendingTtl } = getConfig(env).twoFactor;
+  const now = Date.now();
+  
+  await env.SESSIONS.put(`${PENDING_PREFIX}${id}`, JSON.stringify({
+    ...data,
+    attempts: 0,
+    createdAt: now,
+    expiresAt: now + pendingTtl * 1000
+  }), { expirationTtl: Math.max(60, pendingTtl) });
   
-  return cookie;
+  return id;
+}
+
+/**
+ * Load the pending login a request's cookie points to
+ * @param {Request} request - Incoming request
+ * @param {object} env - Environment object
+ * @returns {Promise<object|null>} - Pending login with its id, or null
+ */
+export async function getPendingLogin(request, env) {
+  const cookie = parseCookies(request.headers.get("Cookie")).get(PENDING_COOKIE_NAME);
+  if (!cookie) return null;
+  
+  const verified = await verifySignedValue(getConfig(env).session.secrets, cookie);
+  if (!verified) return null;
+  
+  const data = await env.SESSIONS.get(`${PENDING_PREFIX}${verified.value}`);
+  if (!data) return null;
+  
+  const pending = JSON.parse(data);
+  if (pending.expiresAt < Date.now()) {
+    await destroyPendingLogin(env, verified.value);
+    return null;
+  }
+  
+  pending.id = verified.value;
+  return pending;
+}
+
+/**
+ * Count a wrong code against a pending login
+ * @param {object} env - Environment object
+ * @param {object} pending - Pending login from getPendingLogin
+ * @returns {Promise<number>} - Attempts so far
+ */
+export async function recordPendingLoginAttempt(env, pending) {
+  const { id, ...data } = pending;
+  const attempts = (data.attempts || 0) + 1;
+  const ttl = Math.max(60, Math.ceil((data.expiresAt - Date.now()) / 1000));
+  await env.SESSIONS.put(`${PENDING_PREFIX}${id}`, JSON.stringify({ ...data, attempts }), { expirationTtl: ttl });
+  return attempts;
+}
+
+export async function destroyPendingLogin(env, id) {
+  await env.SESSIONS.delete(`${PENDING_PREFIX}${id}`);
+}
+
+/**
+ * Build the Set-Cookie header for a pending login (same attributes as the session cookie)
+ * @param {object} env - Environment object
+ * @param {string} id - Pending login ID
+ * @returns {Promise<string>} - Set-Cookie header value
+ */
+export async function createPendingLoginCookie(env, id) {
+  const { secrets } = getConfig(env).session;
+  return serializeCookie(PENDING_COOKIE_NAME, await signValue(secrets, id), {
+    ...PENDING_COOKIE_ATTRIBUTES,
+    maxAge: getConfig(env).twoFactor.pendingTtl
+  });
+}
+
+/**
+ * Build the Set-Cookie header that removes the pending login cookie
+ * @returns {string} - Set-Cookie header value
+ */
+export function clearPendingLoginCookie() {
+  return serializeCookie(PENDING_COOKIE_NAME, "", { ...PENDING_COOKIE_ATTRIBUTES, maxAge: 0, expires: 0 });
 }
@@ -0,0 +1,83 @@
+/**
+ * HMAC-SHA256 signing for values handed to the client (cookies, form tokens)
+ * Supports several secrets so keys can be rotated: sign with the first, accept any
+ */
+
+import { arrayToBase64Url, base64UrlToArray } from './utils.js';
+
+// Imported CryptoKeys, cached per isolate
+const KEY_CACHE = new Map();
+
+/**
+ * Import an HMAC key for a secret
+ * @param {string} secret - Shared secret
+ * @returns {Promise<CryptoKey>} - HMAC-SHA256 key
+ */
+async function getHmacKey(secret) {
+  let key = KEY_CACHE.get(secret);
+  if (!key) {
+    key = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(secret),
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['sign', 'verify']
+    );
+    KEY_CACHE.set(secret, key);
+  }
+  return key;
+}
+
+/**
+ * Compute a base64url HMAC-SHA256 signature
+ * @param {string} secret - Shared secret
+ * @param {string} value - Value to sign
+ * @returns {Promise<string>} - Signature
+ */
+export async function hmacSign(secret, value) {
+  const signature = await crypto.subtle.sign('HMAC', await getHmacKey(secret), new TextEncoder().encode(value));
+  return arrayToBase64Url(signature);
+}
+
+/**
+ * Sign a value as "value.signature"
+ * @param {string[]} secrets - Secrets, current first
+ * @param {string} value - Value to sign (must not contain ".")
+ * @returns {Promise<string>} - Signed value
+ */
+export async function signValue(secrets, value) {
+  if (!secrets || secrets.length === 0) {
+    throw new Error('No signing secret configured');
+  }
+  return `${value}.${await hmacSign(secrets[0], value)}`;
+}
+
+/**
+ * Verify a "value.signature" string against any of the secrets
+ * Verification runs through crypto.subtle.verify, which compares in constant time
+ * @param {string[]} secrets - Secrets, current first
+ * @param {string} signed - Signed value from the client
+ * @returns {Promise<object|null>} - { value, secretIndex } or null if the signature is invalid
+ */
+export async function verifySignedValue(secrets, signed) {
+  if (!secrets || secrets.length === 0 || typeof signed !== 'string') return null;
+
+  const separator = signed.lastIndexOf('.');
+  if (separator <= 0 || separator === signed.length - 1) return null;
+
+  const value = signed.slice(0, separator);
+  let signature;
+  try {
+    signature = base64UrlToArray(signed.slice(separator + 1));
+  } catch {
+    return null;
+  }
+
+  const data = new TextEncoder().encode(value);
+  for (let i = 0; i < secrets.length; i++) {
+    if (await crypto.subtle.verify('HMAC', await getHmacKey(secrets[i]), signature, data)) {
+      return { value, secretIndex: i };
+    }
+  }
+  return null;
+}
@@ -71,8 +71,117 @@ function getBaseStyles() {
   `;
 }
 
+// Hidden CSRF field for forms (tokens are base64url, so no escaping is needed)
+function csrfInput(csrfToken) {
+  return csrfToken ? `<input type="hidden" name="csrf_token" value="${csrfToken}">` : '';
+}
+
+// Logout button (logout is a POST so other sites can't trigger it)
+function logoutForm(csrfToken, style = '') {
+  return `
+    <form method="POST" action="/logout" style="display: inline; margin: 0;">
+      ${csrfInput(csrfToken)}
+      <button type="submit" class="btn-primary" style="border: none; cursor: pointer; ${style}">Logout</button>
+    </form>
+  `;
+}
+
+// Passkey button; the click handler comes from getPasskeyScript() (next must already be sanitized)
+function passkeyButton(ceremony, label, { next = '', fullWidth = true } = {}) {
+  return `
+    <button type="button" class="btn-primary" data-passkey="${ceremony}"${next ? ` data-next="${next}"` : ''} style="${fullWidth ? 'width: 100%; ' : ''}border: none; cursor: pointer;">
+      ${label}
+    </button>
+    <p id="passkey-status" role="alert" style="color: #dc2626; min-height: 1.6em; margin: 8px 0;"></p>
+  `;
+}
+
+// WebAuthn glue for [data-passkey] buttons: fetch options from /api/webauthn/<ceremony>,
+// run the browser prompt, post the (base64url-encoded) result back and follow its redirect
+function getPasskeyScript() {
+  return `
+    (function () {
+      const toBytes = value => Uint8Array.from(atob(value.replace(/-/g, '+').replace(/_/g, '/')), char => char.charCodeAt(0));
+      const toBase64Url = buffer => btoa(String.fromCharCode(...new Uint8Array(buffer)))
+        .replace(/\\+/g, '-').replace(/\\//g, '_').replace(/=+$/, '');
+      const decodeList = list => (list || []).map(item => ({ ...item, id: toBytes(item.id) }));
+
+      async function postJson(url, body) {
+        const response = await fetch(url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body || {})
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          if (data.redirect) window.location.href = data.redirect;
+          throw new Error(data.error || data.message || 'Something went wrong. Please try again.');
+        }
+        return data;
+      }
+
+      function encodeCredential(credential) {
+        const response = credential.response;
+        const encoded = { clientDataJSON: toBase64Url(response.clientDataJSON) };
+        if (response.attestationObject) {
+          encoded.attestationObject = toBase64Url(response.attestationObject);
+          encoded.transports = response.getTransports ? response.getTransports() : [];
+        } else {
+          encoded.authenticatorData = toBase64Url(response.authenticatorData);
+          encoded.signature = toBase64Url(response.signature);
+          encoded.userHandle = response.userHandle ? toBase64Url(response.userHandle) : null;
+        }
+        return { id: credential.id, rawId: toBase64Url(credential.rawId), type: credential.type, response: encoded };
+      }
+
+      async function authenticate(path, extra) {
+        const options = await postJson(path + '/options');
+        options.challenge = toBytes(options.challenge);
+        options.allowCredentials = decodeList(options.allowCredentials);
+        const credential = await navigator.credentials.get({ publicKey: options });
+        return postJson(path + '/verify', { ...extra, credential: encodeCredential(credential) });
+      }
+
+      const ceremonies = {
+        async register() {
+          const options = await postJson('/api/webauthn/register/options');
+          options.challenge = toBytes(options.challenge);
+          options.user.id = toBytes(options.user.id);
+          options.excludeCredentials = decodeList(options.excludeCredentials);
+          const credential = await navigator.credentials.create({ publicKey: options });
+          const name = document.getElementById('passkey-name');
+          return postJson('/api/webauthn/register/verify', { name: name ? name.value : '', credential: encodeCredential(credential) });
+        },
+        login: button => authenticate('/api/webauthn/login', { next: button.dataset.next || '' }),
+        'two-factor': () => authenticate('/api/webauthn/2fa', {})
+      };
+
+      document.querySelectorAll('[data-passkey]').forEach(button => {
+        const status = document.getElementById('passkey-status');
+        if (!window.PublicKeyCredential) {
+          button.disabled = true;
+          status.textContent = "This browser doesn't support passkeys.";
+          return;
+        }
+        button.addEventListener('click', async () => {
+          button.disabled = true;
+          status.textContent = '';
+          try {
+            const result = await ceremonies[button.dataset.passkey](button);
+            window.location.href = result.redirect;
+          } catch (error) {
+            // NotAllowedError covers both a cancelled and a timed-out prompt
+            status.textContent = error.name === 'NotAllowedError' ? 'The passkey prompt was cancelled or timed out.' : error.message;
+            button.disabled = false;
+          }
+        });
+      });
+    })();
+  `;
+}
+
 // Home page template
-export function renderHomePage(session = null) {
+export function renderHomePage(session = null, csrfToken = '') {
   const content = `
     <div class="container">
       <div class="card">
@@ -83,7 +192,7 @@ export function renderHomePage(session = null) {
           <p>Welcome back, <strong>${session.email}</strong>!</p>
           <div style="margin: 20px 0;">
             <a href="/dashboard" class="btn-primary">Dashboard</a>
-            <a href="/logout" class="btn-primary" style="margin-left: 10px;">Logout</a>
+            ${logoutForm(csrfToken, 'margin-left: 10px;')}
           </div>
         ` : `
           <p>Get started by signing up or logging in.</p>
@@ -121,7 +230,14 @@ export function renderAuthForm({
   submitText, 
   extraFields = '', 
   message = '',
-  alternateLink = null 
+  alternateLink = null,
+  csrfToken = '',
+  showEmail = true,
+  showPassword = true,
+  email = '',
+  intro = '',
+  passkey = null,
+  oauthLinks = []
 }) {
   const content = `
     <div class="container">
@@ -140,14 +256,27 @@ export function renderAuthForm({
           </div>
         ` : ''}
         
-        <form method="POST" action="${action}">
-          <input type="email" name="email" placeholder="Email" required>
-          <input type="password" name="password" placeholder="Password" required>
-          ${extraFields}
-          <button type="submit" class="btn-primary" style="width: 100%; border: none; cursor: pointer;">
-            ${submitText}
-          </button>
-        </form>
+        ${intro ? `<p>${intro}</p>` : ''}
+        
+        ${action ? `
+          <form method="POST" action="${action}">
+            ${csrfInput(csrfToken)}
+            ${showEmail ? `<input type="email" name="email" placeholder="Email" value="${email}" required>` : ''}
+            ${showPassword ? '<input type="password" name="password" placeholder="Password" required>' : ''}
+            ${extraFields}
+            <button type="submit" class="btn-primary" style="width: 100%; border: none; cursor: pointer;">
+              ${submitText}
+            </button>
+          </form>
+        ` : ''}
+        
+        ${action && (passkey || oauthLinks.length) ? `
+          <p style="text-align: center; margin: 16px 0 8px; color: var(--text-secondary);">or</p>
+        ` : ''}
+        ${passkey ? passkeyButton(passkey.ceremony, passkey.label, { next: passkey.next }) : ''}
+        ${oauthLinks.map(link => `
+          <a href="${link.href}" class="btn-primary" style="display: block; text-align: center; margin: 8px 0;">Continue with ${link.name}</a>
+        `).join('')}
         
         ${alternateLink ? `
           <p style="text-align: center; margin-top: 20px;">
@@ -160,17 +289,48 @@ export function renderAuthForm({
   
   return renderPage({
     title,
-    content
+    content,
+    scripts: passkey ? getPasskeyScript() : ''
   });
 }
 
-// Dashboard template
-export function renderDashboard(session) {
+// Linked accounts section of the dashboard: one row per enabled provider
+function linkedAccountsSection(providers, csrfToken) {
+  const rows = providers.map(({ id, name, identity }) => `
+    <li style="padding: 12px 0; border-bottom: 1px solid var(--border-color); display: flex; justify-content: space-between; align-items: center; gap: 16px;">
+      <div>
+        <strong>${name}</strong>
+        <div style="color: var(--text-secondary); font-size: 0.9rem;">
+          ${identity
+            ? `${identity.email || 'Linked'} • Linked ${new Date(identity.linkedAt).toLocaleString()}${identity.lastUsedAt ? ` • Last used ${new Date(identity.lastUsedAt).toLocaleString()}` : ''}`
+            : 'Not linked'}
+        </div>
+      </div>
+      <form method="POST" action="/account/identities/${identity ? 'unlink' : 'link'}" style="margin: 0;"${identity ? ` onsubmit="return confirm('Unlink ${name}? You won\\'t be able to sign in with it any more.')"` : ''}>
+        ${csrfInput(csrfToken)}
+        <input type="hidden" name="provider" value="${id}">
+        <button type="submit" class="btn-primary" style="border: none; cursor: pointer;${identity ? ' background: #dc2626;' : ''}">${identity ? 'Unlink' : 'Link'}</button>
+      </form>
+    </li>
+  `).join('');
+
+  return `
+    <div style="margin: 24px 0;">
+      <h3>Linked Accounts</h3>
+      <p style="color: var(--text-secondary);">Sign in with these accounts instead of your password.</p>
+      <ul style="list-style: none; padding: 0; margin: 0;">${rows}</ul>
+    </div>
+  `;
+}
+
+// Dashboard template (linkedAccounts: enabled providers with the identity linked to each, values sanitized)
+export function renderDashboard(session, csrfToken = '', { showAdminLink = false, linkedAccounts = [], message = '' } = {}) {
   const content = `
     <div class="container">
       <div class="card">
         <h1>📊 Dashboard</h1>
         <p>Welcome to your dashboard, <strong>${session.email}</strong>!</p>
+        ${flashMessage(message)}
         
         <div style="margin: 24px 0;">
           <h3>Account Information</h3>
@@ -179,10 +339,17 @@ export function renderDashboard(session) {
           <p><strong>Session Created:</strong> ${new Date(session.createdAt).toLocaleString()}</p>
         </div>
         
+        ${linkedAccounts.length ? linkedAccountsSection(linkedAccounts, csrfToken) : ''}
+        
         <div style="margin: 24px 0;">
           <h3>Quick Actions</h3>
           <a href="/" class="btn-primary" style="margin: 4px;">Home</a>
-          <a href="/logout" class="btn-primary" style="margin: 4px; background: #dc2626;">Logout</a>
+          <a href="/account/sessions" class="btn-primary" style="margin: 4px;">Active Sessions</a>
+          <a href="/account/activity" class="btn-primary" style="margin: 4px;">Account Activity</a>
+          <a href="/account/2fa" class="btn-primary" style="margin: 4px;">Two-Factor Auth</a>
+          <a href="/account/passkeys" class="btn-primary" style="margin: 4px;">Passkeys</a>
+          ${showAdminLink ? '<a href="/admin" class="btn-primary" style="margin: 4px;">Admin</a>' : ''}
+          ${logoutForm(csrfToken, 'margin: 4px; background: #dc2626;')}
         </div>
       </div>
     </div>
@@ -193,3 +360,431 @@ export function renderDashboard(session) {
     content
   });
 }
+
+// Active sessions template (values must already be sanitized)
+export function renderSessionsPage({ sessions, message = '', csrfToken = '' }) {
+  const rows = sessions.map(session => `
+    <li style="padding: 16px 0; border-bottom: 1px solid var(--border-color); display: flex; justify-content: space-between; align-items: center; gap: 16px;">
+      <div>
+        <strong>${session.label}</strong>
+        ${session.current ? '<span style="margin-left: 8px; padding: 2px 8px; border-radius: 12px; background: var(--success-bg); color: var(--success); font-size: 0.8rem;">This device</span>' : ''}
+        <div style="color: var(--text-secondary); font-size: 0.9rem;">
+          ${session.device} • ${session.ip || 'Unknown IP'}<br>
+          Signed in ${new Date(session.createdAt).toLocaleString()} • Last active ${new Date(session.lastActivity).toLocaleString()}
+        </div>
+      </div>
+      <form method="POST" action="/account/sessions/revoke" style="margin: 0;">
+        ${csrfInput(csrfToken)}
+        <input type="hidden" name="session" value="${session.handle}">
+        <button type="submit" class="btn-primary" style="border: none; cursor: pointer; background: #dc2626;">
+          ${session.current ? 'Log out' : 'Revoke'}
+        </button>
+      </form>
+    </li>
+  `).join('');
+
+  const content = `
+    <div class="container">
+      <div class="card">
+        <h1>🔐 Active Sessions</h1>
+        <p>These devices are currently signed in to your account. Revoke any you don't recognize.</p>
+        
+        ${flashMessage(message)}
+        
+        <ul style="list-style: none; padding: 0; margin: 24px 0;">
+          ${rows || '<li>No active sessions.</li>'}
+        </ul>
+        
+        ${sessions.length > 1 ? `
+          <form method="POST" action="/account/sessions/revoke-others">
+            ${csrfInput(csrfToken)}
+            <button type="submit" class="btn-primary" style="border: none; cursor: pointer; background: #dc2626;">
+              Log out all other sessions
+            </button>
+          </form>
+        ` : ''}
+        
+        <p style="margin-top: 24px;"><a href="/dashboard">← Back to dashboard</a></p>
+      </div>
+    </div>
+  `;
+
+  return renderPage({
+    title: 'Active Sessions',
+    content
+  });
+}
+
+// Account activity template (values must already be sanitized)
+export function renderActivityPage({ entries, message = '', csrfToken = '' }) {
+  const rows = entries.map(entry => `
+    <li style="padding: 12px 0; border-bottom: 1px solid var(--border-color);">
+      <strong${entry.failed ? ' style="color: #dc2626;"' : ''}>${entry.label}</strong>
+      <div style="color: var(--text-secondary); font-size: 0.9rem;">
+        ${new Date(entry.time).toLocaleString()} • ${entry.device || 'Unknown device'} • ${entry.ip || 'Unknown IP'}
+      </div>
+    </li>
+  `).join('');
+
+  const content = `
+    <div class="container">
+      <div class="card">
+        <h1>🕑 Account Activity</h1>
+        <p>Recent sign-ins, password changes and session activity on your account.</p>
+        
+        ${flashMessage(message)}
+        
+        <ul style="list-style: none; padding: 0; margin: 24px 0;">
+          ${rows || '<li>No recent activity.</li>'}
+        </ul>
+        
+        <div style="margin: 24px 0; padding: 16px; border: 1px solid #dc2626; border-radius: 8px;">
+          <h3 style="margin-top: 0;">Don't recognize something?</h3>
+          <p>We'll sign out every device, including this one, and email you a link to choose a new password.</p>
+          <form method="POST" action="/account/activity/not-me" onsubmit="return confirm('Sign out everywhere and reset your password?')">
+            ${csrfInput(csrfToken)}
+            <button type="submit" class="btn-primary" style="border: none; cursor: pointer; background: #dc2626;">
+              This wasn't me
+            </button>
+          </form>
+        </div>
+        
+        <p style="margin-top: 24px;"><a href="/dashboard">← Back to dashboard</a></p>
+      </div>
+    </div>
+  `;
+
+  return renderPage({
+    title: 'Account Activity',
+    content
+  });
+}
+
+// Two-factor settings template (values must already be sanitized; qrSvg is generated markup)
+export function renderTwoFactorPage({ enabled, enabledAt = null, remainingRecoveryCodes = 0, qrSvg = '', secret = '', uri = '', recoveryCodes = null, message = '', csrfToken = '' }) {
+  const codeInput = `<input type="text" name="code" placeholder="6-digit code or recovery code" inputmode="numeric" autocomplete="one-time-code" required>`;
+
+  let body;
+  if (recoveryCodes) {
+    body = `
+      <h3>Save your recovery codes</h3>
+      <p>Each code signs you in once if you lose your authenticator. They won't be shown again, so store them somewhere safe.</p>
+      <ul style="list-style: none; padding: 16px; font-family: monospace; font-size: 1.1rem; columns: 2; border: 1px solid var(--border-color); border-radius: 8px;">
+        ${recoveryCodes.map(code => `<li>${code}</li>`).join('')}
+      </ul>
+      <a href="/account/2fa" class="btn-primary">I've saved them</a>
+    `;
+  } else if (enabled) {
+    body = `
+      <p>Two-factor authentication is <strong>on</strong>${enabledAt ? ` since ${new Date(enabledAt).toLocaleString()}` : ''}.
+        You have <strong>${remainingRecoveryCodes}</strong> recovery code${remainingRecoveryCodes === 1 ? '' : 's'} left.</p>
+      
+      <div style="margin: 24px 0;">
+        <h3>New recovery codes</h3>
+        <p>Replaces all of your current recovery codes.</p>
+        <form method="POST" action="/account/2fa/recovery-codes">
+          ${csrfInput(csrfToken)}
+          ${codeInput}
+          <button type="submit" class="btn-primary" style="border: none; cursor: pointer;">Generate new codes</button>
+        </form>
+      </div>
+      
+      <div style="margin: 24px 0; padding: 16px; border: 1px solid #dc2626; border-radius: 8px;">
+        <h3 style="margin-top: 0;">Turn off two-factor authentication</h3>
+        <form method="POST" action="/account/2fa/disable" onsubmit="return confirm('Turn off two-factor authentication?')">
+          ${csrfInput(csrfToken)}
+          ${codeInput}
+          <button type="submit" class="btn-primary" style="border: none; cursor: pointer; background: #dc2626;">Turn off</button>
+        </form>
+      </div>
+    `;
+  } else {
+    body = `
+      <p>Scan this QR code with an authenticator app (Google Authenticator, 1Password, Authy, ...), then enter the code it shows.</p>
+      <div style="text-align: center; margin: 24px 0;">${qrSvg}</div>
+      <p style="font-size: 0.9rem; color: var(--text-secondary);">
+        Can't scan it? Enter this key instead: <code style="word-break: break-all;">${secret}</code><br>
+        <a href="${uri}">Open in an authenticator app on this device</a>
+      </p>
+      <form method="POST" action="/account/2fa/enable">
+        ${csrfInput(csrfToken)}
+        <input type="text" name="code" placeholder="6-digit code" inputmode="numeric" autocomplete="one-time-code" pattern="[0-9 ]*" required>
+        <button type="submit" class="btn-primary" style="width: 100%; border: none; cursor: pointer;">Turn on</button>
+      </form>
+    `;
+  }
+
+  const content = `
+    <div class="container">
+      <div class="card">
+        <h1>🔑 Two-Factor Authentication</h1>
+        ${flashMessage(message)}
+        ${body}
+        <p style="margin-top: 24px;"><a href="/dashboard">← Back to dashboard</a></p>
+      </div>
+    </div>
+  `;
+
+  return renderPage({
+    title: 'Two-Factor Authentication',
+    content
+  });
+}
+
+// Passkeys template (values must already be sanitized)
+export function renderPasskeysPage({ passkeys, maxPasskeys, message = '', csrfToken = '' }) {
+  const rows = passkeys.map(passkey => `
+    <li style="padding: 16px 0; border-bottom: 1px solid var(--border-color); display: flex; justify-content: space-between; align-items: center; gap: 16px;">
+      <div>
+        <strong>${passkey.name}</strong>
+        ${passkey.backedUp ? '<span style="margin-left: 8px; padding: 2px 8px; border-radius: 12px; background: var(--success-bg); color: var(--success); font-size: 0.8rem;">Synced</span>' : ''}
+        <div style="color: var(--text-secondary); font-size: 0.9rem;">
+          Added ${new Date(passkey.createdAt).toLocaleString()} • ${passkey.lastUsedAt ? `Last used ${new Date(passkey.lastUsedAt).toLocaleString()}` : 'Never used'}
+        </div>
+      </div>
+      <form method="POST" action="/account/passkeys/revoke" style="margin: 0;" onsubmit="return confirm('Remove this passkey? You won\\'t be able to sign in with it any more.')">
+        ${csrfInput(csrfToken)}
+        <input type="hidden" name="passkey" value="${passkey.id}">
+        <button type="submit" class="btn-primary" style="border: none; cursor: pointer; background: #dc2626;">Remove</button>
+      </form>
+    </li>
+  `).join('');
+
+  const content = `
+    <div class="container">
+      <div class="card">
+        <h1>🗝️ Passkeys</h1>
+        <p>Passkeys let you sign in with your fingerprint, face, screen lock or a security key instead of your password.
+          Once you have one, signing in with a password, email link or another provider also asks for a passkey (or your authenticator code) as a second step.</p>
+        ${flashMessage(message)}
+        
+        <ul style="list-style: none; padding: 0; margin: 24px 0;">
+          ${rows || '<li>No passkeys yet.</li>'}
+        </ul>
+        
+        ${passkeys.length < maxPasskeys ? `
+          <h3>Add a passkey</h3>
+          <input type="text" id="passkey-name" placeholder="Name, e.g. Work laptop" maxlength="64" autocomplete="off">
+          ${passkeyButton('register', 'Add a passkey', { fullWidth: false })}
+        ` : `<p>You have the maximum of ${maxPasskeys} passkeys. Remove one to add another.</p>`}
+        
+        <p style="margin-top: 24px;"><a href="/dashboard">← Back to dashboard</a></p>
+      </div>
+    </div>
+  `;
+
+  return renderPage({
+    title: 'Passkeys',
+    content,
+    scripts: getPasskeyScript()
+  });
+}
+
+// Flash message box used by the admin pages (text must already be sanitized)
+function flashMessage(message) {
+  if (!message) return '';
+  return `
+    <div class="message ${message.type || 'info'}" style="
+      padding: 12px; 
+      margin: 16px 0; 
+      border-radius: 6px;
+      background: ${message.type === 'error' ? '#fee2e2' : '#dbeafe'};
+      color: ${message.type === 'error' ? '#dc2626' : '#1e40af'};
+    ">
+      ${message.text}
+    </div>
+  `;
+}
+
+// Small POST button for admin actions
+function adminActionForm(action, label, csrfToken, { danger = false, fields = '', confirm = '' } = {}) {
+  return `
+    <form method="POST" action="${action}" style="display: inline-block; margin: 4px;"${confirm ? ` onsubmit="return confirm('${confirm}')"` : ''}>
+      ${csrfInput(csrfToken)}
+      ${fields}
+      <button type="submit" class="btn-primary" style="border: none; cursor: pointer;${danger ? ' background: #dc2626;' : ''}">${label}</button>
+    </form>
+  `;
+}
+
+// Admin user list template (values must already be sanitized)
+export function renderAdminUsersPage({ users, query = '', nextPageUrl = '', message = '' }) {
+  const rows = users.map(user => `
+    <tr style="border-bottom: 1px solid var(--border-color);">
+      <td style="padding: 8px;"><a href="/admin/users/${encodeURIComponent(user.id)}">${user.email}</a></td>
+      <td style="padding: 8px;">${user.plan || 'free'}</td>
+      <td style="padding: 8px;">${user.roles}</td>
+      <td style="padding: 8px;">${user.verified ? '✅' : '—'}</td>
+      <td style="padding: 8px;">${user.locked ? '🔒 Locked' : 'Active'}</td>
+      <td style="padding: 8px;">${user.createdAt ? new Date(user.createdAt).toLocaleDateString() : ''}</td>
+    </tr>
+  `).join('');
+
+  const content = `
+    <div class="container">
+      <div class="card">
+        <h1>🛠️ Users</h1>
+        ${flashMessage(message)}
+        
+        <form method="GET" action="/admin/users" style="display: flex; gap: 8px; align-items: center;">
+          <input type="text" name="q" value="${query}" placeholder="Email starts with…">
+          <button type="submit" class="btn-primary" style="border: none; cursor: pointer;">Search</button>
+        </form>
+        
+        <table style="width: 100%; border-collapse: collapse; margin: 24px 0;">
+          <thead>
+            <tr style="text-align: left; border-bottom: 2px solid var(--border-color);">
+              <th style="padding: 8px;">Email</th>
+              <th style="padding: 8px;">Plan</th>
+              <th style="padding: 8px;">Roles</th>
+              <th style="padding: 8px;">Verified</th>
+              <th style="padding: 8px;">Status</th>
+              <th style="padding: 8px;">Created</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${rows || '<tr><td colspan="6" style="padding: 8px;">No users found.</td></tr>'}
+          </tbody>
+        </table>
+        
+        ${nextPageUrl ? `<p><a href="${nextPageUrl}" class="btn-primary">Next page →</a></p>` : ''}
+        <p style="margin-top: 24px;"><a href="/admin/audit">Audit log</a> • <a href="/dashboard">← Back to dashboard</a></p>
+      </div>
+    </div>
+  `;
+
+  return renderPage({
+    title: 'Admin – Users',
+    content
+  });
+}
+
+// Admin user detail template (values must already be sanitized)
+export function renderAdminUserPage({ user, record, sessions, plans, roles = null, csrfToken = '', message = '' }) {
+  const base = `/admin/users/${encodeURIComponent(user.id)}`;
+  const recordRows = Object.entries(record).map(([key, value]) => `
+    <tr style="border-bottom: 1px solid var(--border-color);">
+      <th style="padding: 8px; text-align: left; width: 30%;">${key}</th>
+      <td style="padding: 8px;">${value}</td>
+    </tr>
+  `).join('');
+
+  const sessionRows = sessions.map(session => `
+    <li style="padding: 8px 0; border-bottom: 1px solid var(--border-color);">
+      <strong>${session.label}</strong>
+      <div style="color: var(--text-secondary); font-size: 0.9rem;">
+        ${session.ip || 'Unknown IP'} • Signed in ${new Date(session.createdAt).toLocaleString()} • Last active ${new Date(session.lastActivity).toLocaleString()}
+      </div>
+    </li>
+  `).join('');
+
+  const planOptions = plans.map(plan => `<option value="${plan}"${plan === user.plan ? ' selected' : ''}>${plan}</option>`).join('');
+  const roleBoxes = (roles || []).map(role => `
+    <label style="margin-right: 8px;"><input type="checkbox" name="roles" value="${role.name}"${role.checked ? ' checked' : ''}> ${role.name}</label>
+  `).join('');
+
+  const content = `
+    <div class="container">
+      <div class="card">
+        <h1>👤 ${user.email}</h1>
+        ${flashMessage(message)}
+        
+        <table style="width: 100%; border-collapse: collapse; margin: 16px 0;">
+          ${recordRows}
+        </table>
+        
+        <h3>Actions</h3>
+        <div style="margin: 16px 0;">
+          ${user.verified === true ? '' : adminActionForm(`${base}/verify`, 'Mark verified', csrfToken)}
+          ${adminActionForm(`${base}/plan`, 'Change plan', csrfToken, {
+            fields: `<select name="plan" style="padding: 10px; margin-right: 4px;">${planOptions}</select>`
+          })}
+          ${roles ? adminActionForm(`${base}/roles`, 'Change roles', csrfToken, { fields: roleBoxes }) : ''}
+          ${adminActionForm(`${base}/logout`, 'Force logout', csrfToken)}
+          ${user.locked === true
+            ? adminActionForm(`${base}/unlock`, 'Unlock', csrfToken)
+            : adminActionForm(`${base}/lock`, 'Lock', csrfToken, { danger: true })}
+          ${adminActionForm(`${base}/delete`, 'Delete user', csrfToken, { danger: true, confirm: 'Delete this user permanently?' })}
+        </div>
+        
+        <h3>Active Sessions (${sessions.length})</h3>
+        <ul style="list-style: none; padding: 0;">
+          ${sessionRows || '<li>No active sessions.</li>'}
+        </ul>
+        
+        <p style="margin-top: 24px;"><a href="/admin/users">← Back to users</a></p>
+      </div>
+    </div>
+  `;
+
+  return renderPage({
+    title: `Admin – ${user.email}`,
+    content
+  });
+}
+
+// Admin audit log template (values must already be sanitized)
+export function renderAdminAuditPage({ entries, filters, sources, nextPageUrl = '', exportUrl = '', message = '' }) {
+  const rows = entries.map(entry => `
+    <tr style="border-bottom: 1px solid var(--border-color); vertical-align: top;">
+      <td style="padding: 8px; white-space: nowrap;">${entry.time}</td>
+      <td style="padding: 8px;">${entry.action}<div style="color: var(--text-secondary); font-size: 0.8rem;">${entry.outcome} · ${entry.source}</div></td>
+      <td style="padding: 8px;">${entry.actor}</td>
+      <td style="padding: 8px;">${entry.target}</td>
+      <td style="padding: 8px;">${entry.ip}</td>
+      <td style="padding: 8px; font-family: monospace; font-size: 0.8rem; word-break: break-all;">${entry.details}</td>
+    </tr>
+  `).join('');
+
+  const sourceBoxes = sources.map(source => `
+    <label style="margin-right: 12px;">
+      <input type="checkbox" name="source" value="${source}"${filters.sources.includes(source) ? ' checked' : ''}> ${source}
+    </label>
+  `).join('');
+
+  const content = `
+    <div class="container" style="max-width: 1100px;">
+      <div class="card">
+        <h1>📜 Audit Log</h1>
+        ${flashMessage(message)}
+        
+        <form method="GET" action="/admin/audit" style="display: grid; grid-template-columns: repeat(auto-fit, minmax(180px, 1fr)); gap: 8px;">
+          <input type="text" name="from" value="${filters.from}" placeholder="From (ISO date/time)">
+          <input type="text" name="to" value="${filters.to}" placeholder="To (ISO date/time)">
+          <input type="text" name="event" value="${filters.event}" placeholder="Action">
+          <input type="text" name="userId" value="${filters.userId}" placeholder="User ID">
+          <input type="text" name="ip" value="${filters.ip}" placeholder="IP address">
+          <div style="grid-column: 1 / -1;">${sourceBoxes}</div>
+          <div style="grid-column: 1 / -1;">
+            <button type="submit" class="btn-primary" style="border: none; cursor: pointer;">Filter</button>
+            <a href="${exportUrl}" class="btn-primary" style="margin-left: 8px;">Export NDJSON</a>
+          </div>
+        </form>
+        
+        <table style="width: 100%; border-collapse: collapse; margin: 24px 0;">
+          <thead>
+            <tr style="text-align: left; border-bottom: 2px solid var(--border-color);">
+              <th style="padding: 8px;">Time</th>
+              <th style="padding: 8px;">Action</th>
+              <th style="padding: 8px;">Actor</th>
+              <th style="padding: 8px;">Target</th>
+              <th style="padding: 8px;">IP</th>
+              <th style="padding: 8px;">Details</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${rows || '<tr><td colspan="6" style="padding: 8px;">No matching entries.</td></tr>'}
+          </tbody>
+        </table>
+        
+        ${nextPageUrl ? `<p><a href="${nextPageUrl}" class="btn-primary">Next page →</a></p>` : ''}
+        <p style="margin-top: 24px;"><a href="/admin/users">← Back to users</a></p>
+      </div>
+    </div>
+  `;
+
+  return renderPage({
+    title: 'Admin – Audit Log',
+    content
+  });
+}
@@ -0,0 +1,88 @@
+/**
+ * Single-use, expiring tokens for email links (verification, password reset, ...)
+ * Only a SHA-256 hash of each token is stored, so a KV dump can't be replayed
+ */
+
+import { arrayToHex, arrayToBase64Url } from './utils.js';
+import { saveToKV, getFromKV } from './kv-utils.js';
+
+// KV rejects expirationTtl values below 60 seconds
+const MIN_KV_TTL = 60;
+
+/**
+ * Generate a URL-safe random token
+ * @param {number} bytes - Amount of randomness in bytes
+ * @returns {string} - Base64url token
+ */
+export function generateToken(bytes = 32) {
+  return arrayToBase64Url(crypto.getRandomValues(new Uint8Array(bytes)));
+}
+
+/**
+ * Hash a token for storage or lookup
+ * @param {string} token - Raw token
+ * @returns {Promise<string>} - Hex SHA-256 digest
+ */
+export async function hashToken(token) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+  return arrayToHex(digest);
+}
+
+/**
+ * Create and store a single-use token
+ * @param {object} env - Environment object
+ * @param {string} purpose - Token purpose, used as key namespace (e.g. 'verify_email')
+ * @param {object} data - Data returned when the token is consumed
+ * @param {number} ttlSeconds - Lifetime in seconds
+ * @returns {Promise<string>} - Raw token to send to the user
+ */
+export async function createToken(env, purpose, data, ttlSeconds) {
+  const token = generateToken();
+  const now = Date.now();
+
+  await saveToKV(env.USERS, `token:${purpose}:${await hashToken(token)}`, {
+    data,
+    createdAt: now,
+    expiresAt: now + ttlSeconds * 1000
+  }, { expirationTtl: Math.max(MIN_KV_TTL, ttlSeconds) });
+
+  return token;
+}
+
+/**
+ * Look up a token without consuming it (e.g. to show a form before the real submit)
+ * @param {object} env - Environment object
+ * @param {string} purpose - Token purpose used when it was created
+ * @param {string} token - Raw token from the user
+ * @returns {Promise<object|null>} - Stored data, or null if unknown or expired
+ */
+export async function peekToken(env, purpose, token) {
+  if (!token || typeof token !== 'string' || token.length > 256) return null;
+
+  const record = await getFromKV(env.USERS, `token:${purpose}:${await hashToken(token)}`);
+  if (!record || (record.expiresAt && record.expiresAt < Date.now())) return null;
+
+  return record.data;
+}
+
+/**
+ * Consume a token: returns its data once and deletes it
+ * @param {object} env - Environment object
+ * @param {string} purpose - Token purpose used when it was created
+ * @param {string} token - Raw token from the user
+ * @returns {Promise<object|null>} - Stored data, or null if unknown, used or expired
+ */
+export async function consumeToken(env, purpose, token) {
+  if (!token || typeof token !== 'string' || token.length > 256) return null;
+
+  const key = `token:${purpose}:${await hashToken(token)}`;
+  const record = await getFromKV(env.USERS, key);
+  if (!record) return null;
+
+  await env.USERS.delete(key);
+
+  // KV expiry is lazy and has a 60s floor, so check the real deadline too
+  if (record.expiresAt && record.expiresAt < Date.now()) return null;
+
+  return record.data;
+}
@@ -0,0 +1,147 @@
+/**
+ * TOTP one-time passwords (RFC 6238 / RFC 4226) on crypto.subtle HMAC-SHA1
+ * Defaults match what authenticator apps expect: SHA-1, 6 digits, 30-second steps.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+
+/**
+ * Base32-encode bytes (RFC 4648, no padding, as used in otpauth:// URIs)
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} - Base32 string
+ */
+export function base32Encode(bytes) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * Decode a base32 string (case, spaces and padding are ignored)
+ * @param {string} input - Base32 string
+ * @returns {Uint8Array} - Decoded bytes
+ * @throws {Error} - On characters outside the base32 alphabet
+ */
+export function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/[\s=]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return new Uint8Array(bytes);
+}
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} - 160-bit secret, base32-encoded
+ */
+export function generateTotpSecret() {
+  return base32Encode(crypto.getRandomValues(new Uint8Array(20)));
+}
+
+/**
+ * Time step a timestamp falls in
+ * @param {number} time - Time in milliseconds
+ * @returns {number} - Step counter
+ */
+export function getTotpStep(time = Date.now()) {
+  return Math.floor(time / 1000 / STEP_SECONDS);
+}
+
+/**
+ * HOTP value for one counter (RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Counter (the time step for TOTP)
+ * @returns {Promise<string>} - Zero-padded code
+ */
+export async function generateHotp(secret, counter) {
+  const key = await crypto.subtle.importKey('raw', base32Decode(secret), { name: 'HMAC', hash: 'SHA-1' }, false, ['sign']);
+
+  const message = new Uint8Array(8);
+  let rest = counter;
+  for (let i = 7; i >= 0; i--) {
+    message[i] = rest % 256;
+    rest = Math.floor(rest / 256);
+  }
+
+  const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', key, message));
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) | (hmac[offset + 1] << 16) | (hmac[offset + 2] << 8) | hmac[offset + 3];
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Current TOTP code
+ * @param {string} secret - Base32 secret
+ * @param {number} time - Time in milliseconds
+ * @returns {Promise<string>} - Code
+ */
+export async function generateTotp(secret, time = Date.now()) {
+  return generateHotp(secret, getTotpStep(time));
+}
+
+/**
+ * Check a code against the current step and `window` steps either side (clock drift)
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {object} options - { time, window (default 1), afterStep: reject steps up to and including this one (replay protection) }
+ * @returns {Promise<number|null>} - The matching step (store it as afterStep), or null
+ */
+export async function verifyTotp(secret, code, { time = Date.now(), window = 1, afterStep = -1 } = {}) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) return null;
+
+  const current = getTotpStep(time);
+  for (let step = current - window; step <= current + window; step++) {
+    if (step <= afterStep) continue;
+    if (await generateHotp(secret, step) === normalized) return step;
+  }
+  return null;
+}
+
+/**
+ * otpauth:// URI for authenticator apps (Key Uri Format)
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Account label, usually the email
+ * @param {string} issuer - Service name shown in the app
+ * @returns {string} - otpauth://totp/... URI
+ */
+export function buildOtpAuthUri(secret, accountName, issuer) {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+  // encodeURIComponent rather than URLSearchParams: some apps show "+" literally
+  const params = {
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: DIGITS,
+    period: STEP_SECONDS
+  };
+  const query = Object.entries(params).map(([key, value]) => `${key}=${encodeURIComponent(value)}`).join('&');
+  return `otpauth://totp/${label}?${query}`;
+}
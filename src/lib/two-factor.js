@@ -0,0 +1,192 @@
+/**
+ * Optional TOTP two-factor authentication
+ * Enrollment keeps the new secret aside (USERS totp_enrollment:${userId}) until the
+ * user proves their app produces valid codes; only then is it stored on the user
+ * record together with hashed one-time recovery codes.
+ */
+
+import { generateTotpSecret, verifyTotp, buildOtpAuthUri } from './totp.js';
+import { hashToken } from './tokens.js';
+import { getUserTwoFactor, setUserTwoFactor } from './auth.js';
+import { auditLog } from './audit.js';
+import { saveToKV, getFromKV } from './kv-utils.js';
+import { getConfig } from './config.js';
+import { timingSafeEqual } from './utils.js';
+
+// 32 characters, so each random byte maps without bias; no 0/o or 1/l look-alikes
+const RECOVERY_CODE_ALPHABET = 'abcdefghijkmnpqrstuvwxyz23456789';
+
+function enrollmentKey(userId) {
+  return `totp_enrollment:${userId}`;
+}
+
+/**
+ * Generate one-time recovery codes
+ * @param {number} count - How many
+ * @returns {string[]} - Codes like "k3m9x-7hq2p"
+ */
+function generateRecoveryCodes(count) {
+  return Array.from({ length: count }, () => {
+    const chars = [...crypto.getRandomValues(new Uint8Array(10))]
+      .map(byte => RECOVERY_CODE_ALPHABET[byte & 31]);
+    return `${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`;
+  });
+}
+
+// Recovery codes are compared without case, spaces or dashes
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[\s-]/g, '');
+}
+
+/**
+ * Start (or continue) enrollment: a pending secret and its otpauth:// URI
+ * @param {object} env - Environment object
+ * @param {object} user - User with id and email
+ * @param {string} issuer - Name shown in authenticator apps
+ * @returns {Promise<object>} - { secret, uri }
+ */
+export async function startTwoFactorEnrollment(env, user, issuer) {
+  const { enrollmentTtl } = getConfig(env).twoFactor;
+  // Reuse the pending secret so reloading the page doesn't invalidate a scanned code
+  const pending = await getFromKV(env.USERS, enrollmentKey(user.id));
+  const secret = pending ? pending.secret : generateTotpSecret();
+  if (!pending) {
+    await saveToKV(env.USERS, enrollmentKey(user.id), { secret }, { expirationTtl: enrollmentTtl });
+  }
+  return { secret, uri: buildOtpAuthUri(secret, user.email, issuer) };
+}
+
+/**
+ * Finish enrollment with a code from the authenticator app
+ * @param {object} env - Environment object
+ * @param {object} user - User with id and email
+ * @param {string} code - Code entered by the user
+ * @param {Request} request - Request object for audit logging
+ * @returns {Promise<object>} - { success, recoveryCodes } (codes are shown once) or { success: false, error }
+ */
+export async function enableTwoFactor(env, user, code, request) {
+  if (await getUserTwoFactor(user.id, env)) {
+    return { success: false, error: 'Two-factor authentication is already on' };
+  }
+
+  const pending = await getFromKV(env.USERS, enrollmentKey(user.id));
+  if (!pending) {
+    return { success: false, error: 'Enrollment expired, please scan the new QR code' };
+  }
+
+  const step = await verifyTotp(pending.secret, code);
+  if (step === null) {
+    return { success: false, error: 'That code is not valid. Check the time on your device and try again.' };
+  }
+
+  const recoveryCodes = generateRecoveryCodes(getConfig(env).twoFactor.recoveryCodes);
+  const result = await setUserTwoFactor(user.id, {
+    secret: pending.secret,
+    enabledAt: new Date().toISOString(),
+    lastStep: step,
+    recoveryCodes: await Promise.all(recoveryCodes.map(recoveryCode => hashToken(normalizeRecoveryCode(recoveryCode))))
+  }, env);
+  if (!result.success) return result;
+
+  await env.USERS.delete(enrollmentKey(user.id));
+  await auditLog(env, {
+    action: 'two_factor_enabled',
+    userId: user.id,
+    email: user.email,
+    request,
+    method: 'totp'
+  });
+
+  return { success: true, recoveryCodes };
+}
+
+/**
+ * Check a second factor: a TOTP code, or one of the recovery codes (which is then used up)
+ * @param {object} env - Environment object
+ * @param {object} user - User with id and email
+ * @param {string} code - TOTP or recovery code
+ * @param {Request} request - Request object for audit logging
+ * @returns {Promise<object>} - { success, method: 'totp' | 'recovery_code', remainingRecoveryCodes }
+ */
+export async function verifySecondFactor(env, user, code, request) {
+  const twoFactor = await getUserTwoFactor(user.id, env);
+  if (!twoFactor) {
+    return { success: false, error: 'Two-factor authentication is not enabled' };
+  }
+
+  // Each code works once: steps up to the last accepted one are rejected
+  const step = await verifyTotp(twoFactor.secret, code, { afterStep: twoFactor.lastStep ?? -1 });
+  if (step !== null) {
+    await setUserTwoFactor(user.id, { ...twoFactor, lastStep: step }, env);
+    return { success: true, method: 'totp', remainingRecoveryCodes: twoFactor.recoveryCodes.length };
+  }
+
+  const normalized = normalizeRecoveryCode(code);
+  if (normalized.length === 10) {
+    const hash = await hashToken(normalized);
+    const match = twoFactor.recoveryCodes.find(stored => timingSafeEqual(stored, hash));
+    if (match) {
+      const recoveryCodes = twoFactor.recoveryCodes.filter(stored => stored !== match);
+      await setUserTwoFactor(user.id, { ...twoFactor, recoveryCodes }, env);
+      await auditLog(env, {
+        action: 'recovery_code_used',
+        userId: user.id,
+        email: user.email,
+        request,
+        remaining: recoveryCodes.length
+      });
+      return { success: true, method: 'recovery_code', remainingRecoveryCodes: recoveryCodes.length };
+    }
+  }
+
+  return { success: false, error: 'Invalid code' };
+}
+
+/**
+ * Turn two-factor authentication off (the caller checks a current code first)
+ * @param {object} env - Environment object
+ * @param {object} user - User with id and email
+ * @param {Request} request - Request object for audit logging
+ * @returns {Promise<object>} - Result object with success status
+ */
+export async function disableTwoFactor(env, user, request) {
+  const result = await setUserTwoFactor(user.id, null, env);
+  if (!result.success) return result;
+
+  await auditLog(env, {
+    action: 'two_factor_disabled',
+    userId: user.id,
+    email: user.email,
+    request
+  });
+  return { success: true };
+}
+
+/**
+ * Replace all recovery codes with a fresh set
+ * @param {object} env - Environment object
+ * @param {object} user - User with id and email
+ * @param {Request} request - Request object for audit logging
+ * @returns {Promise<object>} - { success, recoveryCodes }
+ */
+export async function regenerateRecoveryCodes(env, user, request) {
+  const twoFactor = await getUserTwoFactor(user.id, env);
+  if (!twoFactor) {
+    return { success: false, error: 'Two-factor authentication is not enabled' };
+  }
+
+  const recoveryCodes = generateRecoveryCodes(getConfig(env).twoFactor.recoveryCodes);
+  const result = await setUserTwoFactor(user.id, {
+    ...twoFactor,
+    recoveryCodes: await Promise.all(recoveryCodes.map(recoveryCode => hashToken(normalizeRecoveryCode(recoveryCode))))
+  }, env);
+  if (!result.success) return result;
+
+  await auditLog(env, {
+    action: 'recovery_codes_regenerated',
+    userId: user.id,
+    email: user.email,
+    request
+  });
+  return { success: true, recoveryCodes };
+}
@@ -16,6 +16,53 @@ export function hexToArray(hex) {
   return bytes;
 }
 
+/**
+ * Encode bytes as unpadded base64url
+ * @param {ArrayBuffer|Uint8Array} buffer - Bytes to encode
+ * @returns {string} - Base64url string
+ */
+export function arrayToBase64Url(buffer) {
+  let binary = '';
+  for (const byte of new Uint8Array(buffer)) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode a base64url (or standard base64) string to bytes
+ * @param {string} value - Base64url string
+ * @returns {Uint8Array} - Decoded bytes
+ */
+export function base64UrlToArray(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Compare two values in constant time (for secrets, hashes and signatures)
+ * @param {string|ArrayBuffer|Uint8Array} a - First value
+ * @param {string|ArrayBuffer|Uint8Array} b - Second value
+ * @returns {boolean} - True if both values are byte-for-byte equal
+ */
+export function timingSafeEqual(a, b) {
+  const encoder = new TextEncoder();
+  const left = typeof a === 'string' ? encoder.encode(a) : new Uint8Array(a);
+  const right = typeof b === 'string' ? encoder.encode(b) : new Uint8Array(b);
+  if (left.length !== right.length) return false;
+
+  let diff = 0;
+  for (let i = 0; i < left.length; i++) {
+    diff |= left[i] ^ right[i];
+  }
+  return diff === 0;
+}
+
 /**
  * Generate a random string of specified length
  * @param {number} length - Length of the string
@@ -59,6 +106,104 @@ export function isValidUrl(url) {
   }
 }
 
+/**
+ * Reduce a user-supplied redirect target to a same-origin path
+ * @param {string} target - Requested redirect target (e.g. ?next=)
+ * @param {string} fallback - Path to use when the target is missing or unsafe
+ * @returns {string} - Safe relative path
+ */
+export function sanitizeRedirect(target, fallback = '/') {
+  if (!target || typeof target !== 'string') return fallback;
+
+  // Only plain absolute paths; reject protocol-relative and backslash tricks
+  if (!target.startsWith('/') || target.startsWith('//') || target.includes('\\')) {
+    return fallback;
+  }
+
+  try {
+    const base = 'https://redirect.invalid';
+    const parsed = new URL(target, base);
+    if (parsed.origin !== base) return fallback;
+    return parsed.pathname + parsed.search + parsed.hash;
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Get the public base URL for links in emails
+ * @param {object} env - Environment object (BASE_URL)
+ * @param {Request} request - Current request, used when BASE_URL is not set
+ * @returns {string} - Base URL without trailing slash
+ */
+export function getBaseUrl(env, request) {
+  const base = env.BASE_URL || new URL(request.url).origin;
+  return base.replace(/\/+$/, '');
+}
+
+/**
+ * Create a redirect response with mutable headers
+ * (Response.redirect() requires an absolute URL and returns immutable headers)
+ * @param {string} location - Redirect target
+ * @param {number} status - Redirect status code
+ * @param {object} headers - Additional headers (e.g. Set-Cookie)
+ * @returns {Response} - Redirect response
+ */
+export function redirect(location, status = 302, headers = {}) {
+  return new Response(null, {
+    status,
+    headers: { Location: location, ...headers }
+  });
+}
+
+/**
+ * Derive a short device/browser label from a User-Agent header
+ * @param {string} userAgent - User-Agent header value
+ * @returns {object} - { browser, os, device, label } e.g. label "Chrome on macOS"
+ */
+export function parseUserAgent(userAgent) {
+  const ua = userAgent || '';
+
+  // Order matters: Edge and Opera include "Chrome", Chrome includes "Safari"
+  const browsers = [
+    [/Edg(e|A|iOS)?\//, 'Edge'],
+    [/OPR\/|Opera/, 'Opera'],
+    [/SamsungBrowser\//, 'Samsung Internet'],
+    [/Firefox\/|FxiOS\//, 'Firefox'],
+    [/Chrome\/|CriOS\//, 'Chrome'],
+    [/Safari\//, 'Safari'],
+    [/curl\//i, 'curl']
+  ];
+  const systems = [
+    [/iPhone|iPad|iPod/, 'iOS'],
+    [/Android/, 'Android'],
+    [/Windows/, 'Windows'],
+    [/CrOS/, 'ChromeOS'],
+    [/Mac OS X|Macintosh/, 'macOS'],
+    [/Linux/, 'Linux']
+  ];
+
+  const browser = (browsers.find(([pattern]) => pattern.test(ua)) || [null, 'Unknown browser'])[1];
+  const os = (systems.find(([pattern]) => pattern.test(ua)) || [null, 'unknown OS'])[1];
+  const device = /iPad|Tablet/.test(ua) ? 'tablet' : /Mobi|iPhone|Android/.test(ua) ? 'mobile' : 'desktop';
+
+  return { browser, os, device, label: `${browser} on ${os}` };
+}
+
+/**
+ * Create a JSON response
+ * @param {*} data - Body to serialize
+ * @param {number} status - HTTP status code
+ * @param {object} headers - Additional headers
+ * @returns {Response} - JSON response
+ */
+export function jsonResponse(data, status = 200, headers = {}) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers }
+  });
+}
+
 /**
  * Format bytes to human readable string
  * @param {number} bytes - Number of bytes
@@ -71,3 +216,21 @@ export function formatBytes(bytes) {
   const i = Math.floor(Math.log(bytes) / Math.log(k));
   return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 }
+
+// Request IDs handed out so far, per Request object
+const REQUEST_IDS = new WeakMap();
+
+/**
+ * Get a stable ID for a request (Cloudflare's CF-Ray when present, otherwise random)
+ * The same Request object always gets the same ID, so logs and responses agree.
+ * @param {Request} request - Incoming request
+ * @returns {string} - Request ID
+ */
+export function getRequestId(request) {
+  let id = REQUEST_IDS.get(request);
+  if (!id) {
+    id = request.headers.get('CF-Ray') || crypto.randomUUID();
+    REQUEST_IDS.set(request, id);
+  }
+  return id;
+}
@@ -0,0 +1,83 @@
+/**
+ * Email verification flow
+ * Issues verification links by email and marks accounts verified when they are followed
+ */
+
+import { createToken, consumeToken } from './tokens.js';
+import { sendEmail } from './email.js';
+import { updateUser, getUserById } from './auth.js';
+import { auditLog } from './audit.js';
+import { getConfig } from './config.js';
+import { getBaseUrl } from './utils.js';
+
+const TOKEN_PURPOSE = 'verify_email';
+
+/**
+ * Send a verification link to a user
+ * @param {object} env - Environment object
+ * @param {object} user - User with id and email
+ * @param {Request} request - Request object (for base URL and audit logging)
+ * @returns {Promise<boolean>} - True if the email was sent
+ */
+export async function sendVerificationEmail(env, user, request) {
+  const { verificationTokenTtl } = getConfig(env).auth;
+  const token = await createToken(env, TOKEN_PURPOSE, { userId: user.id, email: user.email }, verificationTokenTtl);
+  const link = `${getBaseUrl(env, request)}/verify?token=${encodeURIComponent(token)}`;
+  const hours = Math.round(verificationTokenTtl / 3600);
+
+  const sent = await sendEmail(
+    env,
+    user.email,
+    'Verify your email address',
+    `Welcome!\n\nPlease confirm your email address by opening this link:\n\n${link}\n\n` +
+    `The link expires in ${hours} hour${hours === 1 ? '' : 's'} and can only be used once.\n\n` +
+    `If you didn't create an account, you can ignore this email.`,
+    undefined,
+    'verification'
+  );
+
+  await auditLog(env, {
+    action: sent ? 'verification_email_sent' : 'verification_email_failed',
+    userId: user.id,
+    email: user.email,
+    request
+  });
+
+  return sent;
+}
+
+/**
+ * Verify an email address from a verification link token
+ * @param {object} env - Environment object
+ * @param {string} token - Token from the verification link
+ * @param {Request} request - Request object for audit logging
+ * @returns {Promise<object>} - Result object with success status and email
+ */
+export async function verifyEmailToken(env, token, request) {
+  const data = await consumeToken(env, TOKEN_PURPOSE, token);
+  if (!data) {
+    return { success: false, error: 'Invalid or expired verification link' };
+  }
+
+  // The account may have been deleted or changed email since the link was sent
+  const user = await getUserById(data.userId, env);
+  if (!user || user.email !== data.email) {
+    return { success: false, error: 'Invalid or expired verification link' };
+  }
+
+  if (!user.verified) {
+    const result = await updateUser(user.id, { verified: true }, env);
+    if (!result.success) {
+      return { success: false, error: 'Verification failed' };
+    }
+  }
+
+  await auditLog(env, {
+    action: 'email_verified',
+    userId: user.id,
+    email: user.email,
+    request
+  });
+
+  return { success: true, email: user.email };
+}
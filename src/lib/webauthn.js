@@ -0,0 +1,690 @@
+/**
+ * WebAuthn passkeys: registration and authentication ceremonies
+ * Challenges are single-use tokens (tokens.js), so they live in KV until used or
+ * expired. Credentials are stored per user (USERS passkeys:${userId}) with a
+ * pointer from the credential ID (passkey_by_id:${credentialId}) for logins that
+ * start without an email. Public keys are kept as JWKs and checked with
+ * crypto.subtle: ES256 (COSE -7) and RS256 (COSE -257).
+ *
+ * Attestation statements ("none", "packed", "fido-u2f") are checked for a valid
+ * signature, but certificates aren't chained to vendor roots: any authenticator
+ * can register, attestation only proves the statement wasn't tampered with.
+ */
+
+import { decodeCbor, decodeCborItem } from './cbor.js';
+import { createToken, consumeToken } from './tokens.js';
+import { auditLog, logSecurityEvent } from './audit.js';
+import { saveToKV, getFromKV } from './kv-utils.js';
+import { getConfig } from './config.js';
+import { arrayToBase64Url, base64UrlToArray, getBaseUrl, timingSafeEqual } from './utils.js';
+
+const REGISTRATION_PURPOSE = 'webauthn_registration';
+const AUTHENTICATION_PURPOSE = 'webauthn_authentication';
+
+// Authenticator data flags
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_BACKUP_ELIGIBLE = 0x08;
+const FLAG_BACKED_UP = 0x10;
+const FLAG_ATTESTED_CREDENTIAL = 0x40;
+const FLAG_EXTENSIONS = 0x80;
+
+// Credential IDs are at most 1023 bytes (WebAuthn L2); anything much larger is junk
+const MAX_CREDENTIAL_ID_LENGTH = 1023;
+const MAX_FIELD_LENGTH = 16384;
+const MAX_NAME_LENGTH = 64;
+
+// COSE algorithm -> crypto.subtle parameters
+const ALGORITHMS = {
+  [-7]: {
+    name: 'ES256',
+    importParams: { name: 'ECDSA', namedCurve: 'P-256' },
+    verifyParams: { name: 'ECDSA', hash: 'SHA-256' }
+  },
+  [-257]: {
+    name: 'RS256',
+    importParams: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+    verifyParams: { name: 'RSASSA-PKCS1-v1_5' }
+  }
+};
+// Offered to authenticators in order of preference
+const SUPPORTED_ALGORITHMS = [-7, -257];
+
+function credentialsKey(userId) {
+  return `passkeys:${userId}`;
+}
+
+function credentialPointerKey(credentialId) {
+  return `passkey_by_id:${credentialId}`;
+}
+
+/**
+ * Relying party ID and accepted origins for this deployment
+ * @param {object} env - Environment object
+ * @param {Request} request - Current request (when BASE_URL is not set)
+ * @returns {object} - { rpId, rpName, origins }
+ */
+function getRelyingParty(env, request) {
+  const config = getConfig(env).webauthn;
+  const base = new URL(getBaseUrl(env, request));
+  return {
+    rpId: config.rpId || base.hostname,
+    rpName: config.rpName || base.hostname,
+    origins: config.origins.length > 0 ? config.origins : [base.origin]
+  };
+}
+
+function concatBytes(...parts) {
+  const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
+
+async function sha256(bytes) {
+  return new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+}
+
+// base64url field from the browser, size-checked; null if missing or malformed
+function decodeField(value, maxLength = MAX_FIELD_LENGTH) {
+  if (typeof value !== 'string' || value.length === 0 || value.length > maxLength * 4 / 3 + 4) return null;
+  try {
+    return base64UrlToArray(value);
+  } catch {
+    return null;
+  }
+}
+
+// WebAuthn user handle: the user ID's UTF-8 bytes, base64url-encoded
+function userHandleFor(userId) {
+  return arrayToBase64Url(new TextEncoder().encode(userId));
+}
+
+/**
+ * Parse authenticator data (WebAuthn §6.1)
+ * @param {Uint8Array} authData - Raw authenticator data
+ * @returns {object} - { rpIdHash, flags, signCount, aaguid, credentialId, publicKey (COSE Map) }
+ * @throws {Error} - If the data is truncated or malformed
+ */
+function parseAuthenticatorData(authData) {
+  if (authData.length < 37) {
+    throw new Error('Authenticator data too short');
+  }
+  const view = new DataView(authData.buffer, authData.byteOffset, authData.byteLength);
+  const parsed = {
+    rpIdHash: authData.slice(0, 32),
+    flags: authData[32],
+    signCount: view.getUint32(33),
+    aaguid: null,
+    credentialId: null,
+    publicKey: null
+  };
+
+  let offset = 37;
+  if (parsed.flags & FLAG_ATTESTED_CREDENTIAL) {
+    if (authData.length < offset + 18) {
+      throw new Error('Attested credential data too short');
+    }
+    parsed.aaguid = authData.slice(offset, offset + 16);
+    const idLength = view.getUint16(offset + 16);
+    offset += 18;
+    if (idLength > MAX_CREDENTIAL_ID_LENGTH || authData.length < offset + idLength) {
+      throw new Error('Invalid credential ID length');
+    }
+    parsed.credentialId = authData.slice(offset, offset + idLength);
+    offset += idLength;
+
+    const key = decodeCborItem(authData, offset);
+    parsed.publicKey = key.value;
+    offset = key.offset;
+  }
+  if (parsed.flags & FLAG_EXTENSIONS) {
+    offset = decodeCborItem(authData, offset).offset;
+  }
+  if (offset !== authData.length) {
+    throw new Error('Unexpected bytes after authenticator data');
+  }
+  return parsed;
+}
+
+/**
+ * Convert a COSE public key to a JWK crypto.subtle can import
+ * @param {Map} coseKey - Decoded COSE_Key
+ * @returns {object} - { algorithm (COSE), jwk }
+ * @throws {Error} - For unsupported key types or algorithms
+ */
+function coseKeyToJwk(coseKey) {
+  if (!(coseKey instanceof Map)) {
+    throw new Error('Invalid credential public key');
+  }
+  const kty = coseKey.get(1);
+  const algorithm = coseKey.get(3);
+
+  if (algorithm === -7 && kty === 2) {
+    const x = coseKey.get(-2);
+    const y = coseKey.get(-3);
+    if (coseKey.get(-1) !== 1 || !(x instanceof Uint8Array) || !(y instanceof Uint8Array) || x.length !== 32 || y.length !== 32) {
+      throw new Error('Invalid P-256 public key');
+    }
+    return { algorithm, jwk: { kty: 'EC', crv: 'P-256', x: arrayToBase64Url(x), y: arrayToBase64Url(y) } };
+  }
+
+  if (algorithm === -257 && kty === 3) {
+    const n = coseKey.get(-1);
+    const e = coseKey.get(-2);
+    if (!(n instanceof Uint8Array) || !(e instanceof Uint8Array) || n.length < 256) {
+      throw new Error('Invalid RSA public key');
+    }
+    return { algorithm, jwk: { kty: 'RSA', n: arrayToBase64Url(n), e: arrayToBase64Url(e) } };
+  }
+
+  throw new Error('Unsupported public key algorithm');
+}
+
+/**
+ * ECDSA signatures arrive DER-encoded; crypto.subtle wants r || s
+ * @param {Uint8Array} der - DER SEQUENCE of two INTEGERs
+ * @param {number} size - Bytes per component (32 for P-256)
+ * @returns {Uint8Array} - Raw signature
+ * @throws {Error} - If the encoding is invalid
+ */
+function derToRawSignature(der, size = 32) {
+  const sequence = readDer(der, 0);
+  if (sequence.tag !== 0x30 || sequence.end !== der.length) {
+    throw new Error('Invalid ECDSA signature');
+  }
+  const raw = new Uint8Array(size * 2);
+  let offset = sequence.start;
+  for (let i = 0; i < 2; i++) {
+    const integer = readDer(der, offset);
+    if (integer.tag !== 0x02) {
+      throw new Error('Invalid ECDSA signature');
+    }
+    let value = der.slice(integer.start, integer.end);
+    while (value.length > size && value[0] === 0) value = value.slice(1);
+    if (value.length > size) {
+      throw new Error('Invalid ECDSA signature');
+    }
+    raw.set(value, size * (i + 1) - value.length);
+    offset = integer.end;
+  }
+  if (offset !== sequence.end) {
+    throw new Error('Invalid ECDSA signature');
+  }
+  return raw;
+}
+
+// One DER TLV: { tag, offset (of the tag), start (of the content), end (after the content) }
+function readDer(bytes, offset) {
+  if (offset + 2 > bytes.length) {
+    throw new Error('DER: unexpected end of data');
+  }
+  const tag = bytes[offset];
+  let length = bytes[offset + 1];
+  let start = offset + 2;
+  if (length & 0x80) {
+    const count = length & 0x7f;
+    if (count === 0 || count > 4 || start + count > bytes.length) {
+      throw new Error('DER: invalid length');
+    }
+    length = 0;
+    for (let i = 0; i < count; i++) {
+      length = length * 256 + bytes[start + i];
+    }
+    start += count;
+  }
+  if (start + length > bytes.length) {
+    throw new Error('DER: unexpected end of data');
+  }
+  return { tag, offset, start, end: start + length };
+}
+
+/**
+ * SubjectPublicKeyInfo of an X.509 certificate (for attestation certificates)
+ * @param {Uint8Array} certificate - DER certificate
+ * @returns {Uint8Array} - DER SubjectPublicKeyInfo
+ * @throws {Error} - If the certificate can't be parsed
+ */
+function getCertificatePublicKey(certificate) {
+  const cert = readDer(certificate, 0);
+  const tbs = readDer(certificate, cert.start);
+  if (cert.tag !== 0x30 || tbs.tag !== 0x30) {
+    throw new Error('Invalid attestation certificate');
+  }
+
+  let field = readDer(certificate, tbs.start);
+  // Optional explicit version [0]
+  if (field.tag === 0xa0) field = readDer(certificate, field.end);
+  // serialNumber, signature, issuer, validity, subject, then subjectPublicKeyInfo
+  for (let i = 0; i < 5; i++) {
+    field = readDer(certificate, field.end);
+  }
+  if (field.tag !== 0x30) {
+    throw new Error('Invalid attestation certificate');
+  }
+  return certificate.slice(field.offset, field.end);
+}
+
+async function importPublicKey(format, keyData, algorithm) {
+  const params = ALGORITHMS[algorithm];
+  if (!params) {
+    throw new Error('Unsupported signature algorithm');
+  }
+  return crypto.subtle.importKey(format, keyData, params.importParams, false, ['verify']);
+}
+
+/**
+ * Check a signature with an imported key
+ * @param {CryptoKey} key - Public key
+ * @param {number} algorithm - COSE algorithm
+ * @param {Uint8Array} signature - Signature as sent by the authenticator (DER for ECDSA)
+ * @param {Uint8Array} data - Signed data
+ * @returns {Promise<boolean>} - True if valid
+ */
+async function verifySignature(key, algorithm, signature, data) {
+  try {
+    const raw = algorithm === -7 ? derToRawSignature(signature) : signature;
+    return await crypto.subtle.verify(ALGORITHMS[algorithm].verifyParams, key, raw, data);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check the attestation statement's signature
+ * @param {string} fmt - Attestation format
+ * @param {Map} attStmt - Attestation statement
+ * @param {Uint8Array} authData - Raw authenticator data
+ * @param {Uint8Array} clientDataHash - SHA-256 of clientDataJSON
+ * @param {object} parsed - Parsed authenticator data
+ * @param {object} publicKey - { algorithm, jwk } of the new credential
+ * @returns {Promise<boolean>} - True if the statement is valid
+ */
+async function verifyAttestation(fmt, attStmt, authData, clientDataHash, parsed, publicKey) {
+  if (!(attStmt instanceof Map)) return false;
+  const signature = attStmt.get('sig');
+  const certificates = attStmt.get('x5c');
+
+  if (fmt === 'none') {
+    return attStmt.size === 0;
+  }
+
+  if (fmt === 'packed') {
+    const algorithm = attStmt.get('alg');
+    if (!(signature instanceof Uint8Array) || !ALGORITHMS[algorithm]) return false;
+    const signed = concatBytes(authData, clientDataHash);
+
+    // Self attestation: signed with the new credential's own key
+    if (certificates === undefined) {
+      if (algorithm !== publicKey.algorithm) return false;
+      const key = await importPublicKey('jwk', publicKey.jwk, algorithm);
+      return verifySignature(key, algorithm, signature, signed);
+    }
+
+    if (!Array.isArray(certificates) || !(certificates[0] instanceof Uint8Array)) return false;
+    const key = await importPublicKey('spki', getCertificatePublicKey(certificates[0]), algorithm);
+    return verifySignature(key, algorithm, signature, signed);
+  }
+
+  if (fmt === 'fido-u2f') {
+    // U2F authenticators only do ES256, over a differently laid out message
+    if (publicKey.algorithm !== -7 || !(signature instanceof Uint8Array)) return false;
+    if (!Array.isArray(certificates) || certificates.length !== 1 || !(certificates[0] instanceof Uint8Array)) return false;
+    const key = await importPublicKey('spki', getCertificatePublicKey(certificates[0]), -7);
+    const publicKeyU2F = concatBytes(
+      new Uint8Array([0x04]),
+      base64UrlToArray(publicKey.jwk.x),
+      base64UrlToArray(publicKey.jwk.y)
+    );
+    const signed = concatBytes(new Uint8Array([0x00]), parsed.rpIdHash, clientDataHash, parsed.credentialId, publicKeyU2F);
+    return verifySignature(key, -7, signature, signed);
+  }
+
+  return false;
+}
+
+/**
+ * Decode and check clientDataJSON (type, challenge and origin)
+ * @param {Uint8Array} bytes - Raw clientDataJSON
+ * @param {string} type - 'webauthn.create' or 'webauthn.get'
+ * @param {string} purpose - Token purpose the challenge was created with
+ * @param {string[]} origins - Accepted origins
+ * @param {object} env - Environment object
+ * @returns {Promise<object>} - { clientData, challenge } (challenge is the stored token data), or { error }
+ */
+async function checkClientData(bytes, type, purpose, origins, env) {
+  let clientData;
+  try {
+    clientData = JSON.parse(new TextDecoder().decode(bytes));
+  } catch {
+    return { error: 'invalid_client_data' };
+  }
+  if (!clientData || clientData.type !== type) {
+    return { error: 'invalid_client_data' };
+  }
+
+  // Consumed before anything else can fail, so a challenge is never tried twice
+  const challenge = await consumeToken(env, purpose, clientData.challenge);
+  if (!challenge) {
+    return { error: 'invalid_challenge' };
+  }
+  // Our pages can't be framed, so a cross-origin ceremony never comes from us
+  if (!origins.includes(clientData.origin) || clientData.crossOrigin === true) {
+    return { error: 'invalid_origin' };
+  }
+  return { clientData, challenge };
+}
+
+/**
+ * Load a user's stored credentials (with public keys; not for display)
+ * @param {object} env - Environment object
+ * @param {string} userId - User ID
+ * @returns {Promise<object[]>} - Credential records
+ */
+async function loadCredentials(env, userId) {
+  return (await getFromKV(env.USERS, credentialsKey(userId))) || [];
+}
+
+async function saveCredentials(env, userId, credentials) {
+  if (credentials.length === 0) {
+    await env.USERS.delete(credentialsKey(userId));
+    return;
+  }
+  await saveToKV(env.USERS, credentialsKey(userId), credentials);
+}
+
+/**
+ * Options for navigator.credentials.create(), with a fresh challenge
+ * Binary fields (challenge, user.id, excludeCredentials[].id) are base64url strings.
+ * @param {object} env - Environment object
+ * @param {object} user - Signed-in user with id and email
+ * @param {Request} request - Current request
+ * @returns {Promise<object>} - PublicKeyCredentialCreationOptions (JSON form)
+ */
+export async function createRegistrationOptions(env, user, request) {
+  const { challengeTtl } = getConfig(env).webauthn;
+  const { rpId, rpName } = getRelyingParty(env, request);
+  const existing = await loadCredentials(env, user.id);
+
+  const challenge = await createToken(env, REGISTRATION_PURPOSE, { userId: user.id }, challengeTtl);
+  return {
+    challenge,
+    rp: { id: rpId, name: rpName },
+    user: { id: userHandleFor(user.id), name: user.email, displayName: user.email },
+    pubKeyCredParams: SUPPORTED_ALGORITHMS.map(alg => ({ type: 'public-key', alg })),
+    timeout: challengeTtl * 1000,
+    attestation: 'none',
+    // Don't register the same authenticator twice
+    excludeCredentials: existing.map(credential => ({ type: 'public-key', id: credential.id, transports: credential.transports })),
+    authenticatorSelection: { residentKey: 'preferred', requireResidentKey: false, userVerification: 'preferred' }
+  };
+}
+
+/**
+ * Verify a registration response and store the new credential
+ * @param {object} env - Environment object
+ * @param {object} user - Signed-in user with id and email
+ * @param {object} response - PublicKeyCredential in JSON form ({ id, rawId, type, response: { clientDataJSON, attestationObject, transports } })
+ * @param {Request} request - Request object for audit logging
+ * @param {string} name - Label chosen by the user
+ * @returns {Promise<object>} - { success, passkey } or { success: false, error, reason }
+ */
+export async function verifyRegistration(env, user, response, request, name = '') {
+  const fail = reason => ({ success: false, error: 'The passkey could not be registered. Please try again.', reason });
+
+  if (!response || response.type !== 'public-key' || !response.response) return fail('invalid_response');
+  const rawId = decodeField(response.rawId, MAX_CREDENTIAL_ID_LENGTH);
+  const clientDataJSON = decodeField(response.response.clientDataJSON);
+  const attestationObject = decodeField(response.response.attestationObject);
+  if (!rawId || !clientDataJSON || !attestationObject) return fail('invalid_response');
+
+  const { rpId, origins } = getRelyingParty(env, request);
+  const checked = await checkClientData(clientDataJSON, 'webauthn.create', REGISTRATION_PURPOSE, origins, env);
+  if (checked.error) return fail(checked.error);
+  if (checked.challenge.userId !== user.id) return fail('invalid_challenge');
+
+  let fmt, attStmt, authData, parsed, publicKey;
+  try {
+    const attestation = decodeCbor(attestationObject);
+    fmt = attestation.get('fmt');
+    attStmt = attestation.get('attStmt');
+    authData = attestation.get('authData');
+    if (typeof fmt !== 'string' || !(authData instanceof Uint8Array)) return fail('invalid_attestation');
+    parsed = parseAuthenticatorData(authData);
+    if (!parsed.credentialId) return fail('invalid_attestation');
+    publicKey = coseKeyToJwk(parsed.publicKey);
+  } catch (error) {
+    console.warn('WebAuthn registration parse error:', error.message);
+    return fail('invalid_attestation');
+  }
+
+  if (!timingSafeEqual(parsed.rpIdHash, await sha256(new TextEncoder().encode(rpId)))) return fail('invalid_rp_id');
+  if (!(parsed.flags & FLAG_USER_PRESENT)) return fail('user_not_present');
+  if (!timingSafeEqual(parsed.credentialId, rawId)) return fail('invalid_response');
+
+  const clientDataHash = await sha256(clientDataJSON);
+  // Unparseable certificates or keys count as an invalid statement
+  const attested = await verifyAttestation(fmt, attStmt, authData, clientDataHash, parsed, publicKey).catch(() => false);
+  if (!attested) {
+    return fail('invalid_attestation');
+  }
+
+  const id = arrayToBase64Url(parsed.credentialId);
+  if (await getFromKV(env.USERS, credentialPointerKey(id))) {
+    return { success: false, error: 'This passkey is already registered.', reason: 'credential_exists' };
+  }
+
+  const credentials = await loadCredentials(env, user.id);
+  if (credentials.length >= getConfig(env).webauthn.maxCredentials) {
+    return { success: false, error: 'You have reached the maximum number of passkeys. Remove one first.', reason: 'too_many_credentials' };
+  }
+
+  const now = new Date().toISOString();
+  const transports = Array.isArray(response.response.transports)
+    ? response.response.transports.filter(transport => typeof transport === 'string').slice(0, 8)
+    : [];
+  const credential = {
+    id,
+    name: String(name || '').trim().slice(0, MAX_NAME_LENGTH) || `Passkey ${credentials.length + 1}`,
+    algorithm: publicKey.algorithm,
+    publicKey: publicKey.jwk,
+    signCount: parsed.signCount,
+    transports,
+    userVerified: Boolean(parsed.flags & FLAG_USER_VERIFIED),
+    backupEligible: Boolean(parsed.flags & FLAG_BACKUP_ELIGIBLE),
+    backedUp: Boolean(parsed.flags & FLAG_BACKED_UP),
+    attestation: fmt,
+    createdAt: now,
+    lastUsedAt: null
+  };
+
+  await saveToKV(env.USERS, credentialPointerKey(id), { userId: user.id });
+  await saveCredentials(env, user.id, [...credentials, credential]);
+
+  await auditLog(env, {
+    action: 'passkey_registered',
+    userId: user.id,
+    email: user.email,
+    request,
+    passkey: credential.name,
+    algorithm: ALGORITHMS[credential.algorithm].name,
+    attestation: fmt,
+    synced: credential.backedUp
+  });
+
+  return { success: true, passkey: toPasskeySummary(credential) };
+}
+
+/**
+ * Options for navigator.credentials.get(), with a fresh challenge
+ * Without a userId any discoverable passkey for this site may answer (passwordless
+ * login); with one, only that user's credentials are offered (second factor).
+ * @param {object} env - Environment object
+ * @param {Request} request - Current request
+ * @param {object} options - { userId, pendingId (pending login the challenge belongs to), userVerification }
+ * @returns {Promise<object>} - PublicKeyCredentialRequestOptions (JSON form)
+ */
+export async function createAuthenticationOptions(env, request, { userId = null, pendingId = null, userVerification = 'required' } = {}) {
+  const { challengeTtl } = getConfig(env).webauthn;
+  const { rpId } = getRelyingParty(env, request);
+  const credentials = userId ? await loadCredentials(env, userId) : [];
+
+  const challenge = await createToken(env, AUTHENTICATION_PURPOSE, { userId, pendingId, userVerification }, challengeTtl);
+  return {
+    challenge,
+    rpId,
+    timeout: challengeTtl * 1000,
+    userVerification,
+    allowCredentials: credentials.map(credential => ({ type: 'public-key', id: credential.id, transports: credential.transports }))
+  };
+}
+
+/**
+ * Verify an authentication response and bump the credential's sign counter
+ * @param {object} env - Environment object
+ * @param {object} response - PublicKeyCredential in JSON form ({ id, rawId, type, response: { clientDataJSON, authenticatorData, signature, userHandle } })
+ * @param {Request} request - Request object for audit logging
+ * @param {object} options - { userId, pendingId }: must match what the options were created for
+ * @param {ExecutionContext|null} ctx - Execution context, if any
+ * @returns {Promise<object>} - { success, userId, passkey } or { success: false, error, reason, userId }
+ */
+export async function verifyAuthentication(env, response, request, { userId = null, pendingId = null } = {}, ctx = null) {
+  const fail = (reason, failedUserId = null) => ({ success: false, error: 'Passkey sign-in failed. Please try again.', reason, userId: failedUserId });
+
+  if (!response || response.type !== 'public-key' || !response.response) return fail('invalid_response');
+  const rawId = decodeField(response.rawId, MAX_CREDENTIAL_ID_LENGTH);
+  const clientDataJSON = decodeField(response.response.clientDataJSON);
+  const authData = decodeField(response.response.authenticatorData);
+  const signature = decodeField(response.response.signature);
+  if (!rawId || !clientDataJSON || !authData || !signature) return fail('invalid_response');
+
+  const { rpId, origins } = getRelyingParty(env, request);
+  const checked = await checkClientData(clientDataJSON, 'webauthn.get', AUTHENTICATION_PURPOSE, origins, env);
+  if (checked.error) return fail(checked.error, userId);
+  const { challenge } = checked;
+  if (challenge.userId !== userId || challenge.pendingId !== pendingId) return fail('invalid_challenge', userId);
+
+  const id = arrayToBase64Url(rawId);
+  const pointer = await getFromKV(env.USERS, credentialPointerKey(id));
+  if (!pointer || (userId && pointer.userId !== userId)) return fail('unknown_credential', userId);
+
+  const credentials = await loadCredentials(env, pointer.userId);
+  const credential = credentials.find(stored => stored.id === id);
+  if (!credential) return fail('unknown_credential', userId);
+
+  // A discoverable credential names its user; it has to be the owner on record
+  if (response.response.userHandle && response.response.userHandle !== userHandleFor(pointer.userId)) {
+    return fail('invalid_user_handle', pointer.userId);
+  }
+
+  let parsed;
+  try {
+    parsed = parseAuthenticatorData(authData);
+  } catch (error) {
+    console.warn('WebAuthn authentication parse error:', error.message);
+    return fail('invalid_authenticator_data', pointer.userId);
+  }
+  if (!timingSafeEqual(parsed.rpIdHash, await sha256(new TextEncoder().encode(rpId)))) return fail('invalid_rp_id', pointer.userId);
+  if (!(parsed.flags & FLAG_USER_PRESENT)) return fail('user_not_present', pointer.userId);
+  if (challenge.userVerification === 'required' && !(parsed.flags & FLAG_USER_VERIFIED)) {
+    return fail('user_not_verified', pointer.userId);
+  }
+
+  const key = await importPublicKey('jwk', credential.publicKey, credential.algorithm);
+  const signed = concatBytes(authData, await sha256(clientDataJSON));
+  if (!await verifySignature(key, credential.algorithm, signature, signed)) {
+    return fail('invalid_signature', pointer.userId);
+  }
+
+  // Counters only go up; one that doesn't suggests a cloned authenticator.
+  // Synced passkeys report 0 every time, which is allowed.
+  if ((parsed.signCount > 0 || credential.signCount > 0) && parsed.signCount <= credential.signCount) {
+    await logSecurityEvent(env, 'passkey_rejected', {
+      userId: pointer.userId,
+      request,
+      reason: 'sign_count_mismatch',
+      passkey: credential.name,
+      storedCount: credential.signCount,
+      receivedCount: parsed.signCount
+    }, ctx);
+    return fail('sign_count_mismatch', pointer.userId);
+  }
+
+  const updated = {
+    ...credential,
+    signCount: parsed.signCount,
+    backedUp: Boolean(parsed.flags & FLAG_BACKED_UP),
+    lastUsedAt: new Date().toISOString()
+  };
+  await saveCredentials(env, pointer.userId, credentials.map(stored => stored.id === id ? updated : stored));
+
+  return { success: true, userId: pointer.userId, passkey: toPasskeySummary(updated) };
+}
+
+// Credential fields safe to show (no public key)
+function toPasskeySummary(credential) {
+  return {
+    id: credential.id,
+    name: credential.name,
+    algorithm: ALGORITHMS[credential.algorithm] ? ALGORITHMS[credential.algorithm].name : 'unknown',
+    transports: credential.transports,
+    backedUp: credential.backedUp,
+    userVerified: credential.userVerified,
+    createdAt: credential.createdAt,
+    lastUsedAt: credential.lastUsedAt
+  };
+}
+
+/**
+ * A user's passkeys, for display
+ * @param {object} env - Environment object
+ * @param {string} userId - User ID
+ * @returns {Promise<object[]>} - { id, name, algorithm, transports, backedUp, userVerified, createdAt, lastUsedAt }
+ */
+export async function listPasskeys(env, userId) {
+  return (await loadCredentials(env, userId)).map(toPasskeySummary);
+}
+
+/**
+ * Revoke one of a user's passkeys
+ * @param {object} env - Environment object
+ * @param {object} user - User with id and email
+ * @param {string} credentialId - Credential ID (base64url)
+ * @param {Request} request - Request object for audit logging
+ * @returns {Promise<object>} - Result object with success status
+ */
+export async function deletePasskey(env, user, credentialId, request) {
+  const credentials = await loadCredentials(env, user.id);
+  const credential = credentials.find(stored => stored.id === credentialId);
+  if (!credential) {
+    return { success: false, error: 'Passkey not found' };
+  }
+
+  await saveCredentials(env, user.id, credentials.filter(stored => stored.id !== credentialId));
+  await env.USERS.delete(credentialPointerKey(credentialId));
+
+  await auditLog(env, {
+    action: 'passkey_removed',
+    userId: user.id,
+    email: user.email,
+    request,
+    passkey: credential.name
+  });
+  return { success: true };
+}
+
+/**
+ * Remove every passkey of a user (account deletion)
+ * @param {object} env - Environment object
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} - Number of passkeys removed
+ */
+export async function deleteAllPasskeys(env, userId) {
+  const credentials = await loadCredentials(env, userId);
+  await Promise.all(credentials.map(credential => env.USERS.delete(credentialPointerKey(credential.id))));
+  await saveCredentials(env, userId, []);
+  return credentials.length;
+}
@@ -3,237 +3,134 @@
  * Production-ready template with authentication, security, and common utilities
  */
 
-import { getSession, createSession, destroySession, createSessionCookie } from './lib/session.js';
-import { logSecurityEvent, logUserAction } from './lib/audit.js';
-import { withRateLimit, getClientIP } from './lib/ratelimit.js';
-import { isKVLimitError, createKVLimitErrorResponse } from './lib/kv-utils.js';
-import { validateEmailLegitimacy, getEmailErrorMessage } from './lib/email-validation.js';
-import { sanitizeHtml } from './lib/utils.js';
-import { renderHomePage, renderAuthForm } from './lib/templates.js';
+import { Router } from './lib/router.js';
+import {
+  requestId, errorHandler, securityHeaders, httpsRedirect, loadSession, csrfProtection, rateLimit,
+  requireAuth, requireRole, requirePermission
+} from './lib/middleware.js';
+import { PERMISSIONS } from './lib/rbac.js';
+import { runLegacyUserMigration } from './lib/migrations.js';
 import { ErrorResponses } from './lib/error-responses.js';
+import { handleHome } from './handlers/pages.js';
+import {
+  handleSignup, handleVerify, handleResendVerification, handleForgotPassword,
+  handleResetPassword, handleLogin, handleLoginTwoFactor, handleLogout, handleUnlock,
+  handlePasskeyLoginOptions, handlePasskeyLoginVerify, handlePasskeyTwoFactorOptions, handlePasskeyTwoFactorVerify,
+  handleMagicLinkRequest, handleMagicLinkVerify, handleOAuthStart, handleOAuthCallback
+} from './handlers/auth.js';
+import {
+  handleDashboard, handleSessionsPage, handleRevokeSession, handleRevokeOtherSessions,
+  handleListSessionsApi, handleRevokeSessionApi, handleRevokeOtherSessionsApi,
+  handleActivityPage, handleReportNotMe, handleTwoFactorPage, handleEnableTwoFactor, handleDisableTwoFactor,
+  handleRegenerateRecoveryCodes, handlePasskeysPage, handleRevokePasskey, handlePasskeyRegisterOptions, handlePasskeyRegisterVerify,
+  handleLinkIdentity, handleUnlinkIdentity
+} from './handlers/account.js';
+import { handleMockIdpDiscovery, handleMockIdpJwks, handleMockIdpAuthorize, handleMockIdpToken } from './handlers/mock-idp.js';
+import {
+  handleAdminHome, handleAdminUsers, handleAdminUser, handleAdminVerifyUser, handleAdminChangePlan,
+  handleAdminChangeRoles, handleAdminForceLogout, handleAdminLockUser, handleAdminUnlockUser, handleAdminDeleteUser
+} from './handlers/admin.js';
+import { handleAdminAudit, handleAuditApi } from './handlers/audit.js';
+import { handleContact } from './handlers/contact.js';
 
-// Helper: Verify Turnstile token with Cloudflare API
-async function verifyTurnstile(token, ip, secretKey) {
-  const body = new URLSearchParams({
-    secret: secretKey,
-    response: token,
-    ...(ip ? { remoteip: ip } : {})
-  });
-  const resp = await fetch('https://challenges.cloudflare.com/turnstile/v0/siteverify', {
-    method: 'POST',
-    body,
-    headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
-  });
-  return resp.json();
-}
+// Durable Object classes must be exported from the main module
+export { RateLimiter } from './lib/rate-limiter-object.js';
 
-// Handler: Contact form POST endpoint
-async function handleContact(request, env) {
-  if (request.method !== 'POST') {
-    return new Response('Method Not Allowed', { status: 405 });
-  }
-  let data;
-  try {
-    data = await request.json();
-  } catch {
-    return new Response('Invalid JSON', { status: 400 });
-  }
-  const { name, email, message, turnstileToken } = data;
-  if (!name || !email || !message || !turnstileToken) {
-    return new Response('Missing fields', { status: 400 });
-  }
-  // Validate email
-  const emailCheck = await validateEmailLegitimacy(email, env);
-  if (!emailCheck.isValid) {
-    return new Response(JSON.stringify({ 
-      error: 'Invalid email', 
-      message: getEmailErrorMessage(emailCheck.reason) 
-    }), { 
-      status: 400,
-      headers: { 'Content-Type': 'application/json' }
-    });
-  }
-  // Verify Turnstile
-  const ip = request.headers.get('CF-Connecting-IP') || undefined;
-  const turnstileSecret = env.TURNSTILE_SECRET_KEY;
-  if (!turnstileSecret) {
-    return new Response('Server misconfigured: missing Turnstile secret', { status: 500 });
-  }
-  const verify = await verifyTurnstile(turnstileToken, ip, turnstileSecret);
-  if (!verify.success) {
-    return new Response('Turnstile verification failed', { status: 403 });
-  }
-  // Send email (replace with your email logic)
-  // Example: send to site owner
-  const ownerEmail = env.SENDER_EMAIL || 'owner@example.com';
-  const subject = `Contact Form Submission from ${sanitizeHtml(name)}`;
-  const body = `Name: ${sanitizeHtml(name)}\nEmail: ${sanitizeHtml(email)}\nMessage:\n${sanitizeHtml(message)}`;
-  // TODO: Replace with your actual email sending function
-  // await sendEmail(ownerEmail, subject, body, env);
-  // For now, just log
-  console.log('Contact form received:', { name, email, message });
-  return new Response('Message sent!', { status: 200 });
-}
+// Middleware runs in order for every request, including 404s and 405s.
+// securityHeaders wraps errorHandler so error pages get the headers too.
+const router = new Router()
+  .use(requestId(), securityHeaders(), errorHandler(), httpsRedirect(), loadSession(), csrfProtection());
 
-// Add security headers to all responses
-function addSecurityHeaders(response) {
-  const newHeaders = new Headers(response.headers);
-  newHeaders.set("X-Content-Type-Options", "nosniff");
-  newHeaders.set("X-Frame-Options", "DENY");
-  newHeaders.set("X-XSS-Protection", "1; mode=block");
-  newHeaders.set("Referrer-Policy", "strict-origin-when-cross-origin");
-  newHeaders.set("Content-Security-Policy", "default-src 'self'; script-src 'self' 'unsafe-inline'; style-src 'self' 'unsafe-inline'; img-src 'self' data:;");
-  
-  return new Response(response.body, {
-    status: response.status,
-    statusText: response.statusText,
-    headers: newHeaders
-  });
-}
+// Public pages
+router.get('/', handleHome);
 
-// Basic home page
-async function handleHome(request, env, session) {
-  const html = renderHomePage(session);
-  return new Response(html, {
-    headers: { "Content-Type": "text/html; charset=utf-8" }
-  });
-}
+// Authentication
+router.get('/signup', handleSignup);
+router.post('/signup', rateLimit('signup'), handleSignup);
+router.get('/verify', handleVerify);
+router.get('/verify/resend', handleResendVerification);
+router.post('/verify/resend', rateLimit('verifyResend'), handleResendVerification);
+router.get('/forgot-password', handleForgotPassword);
+router.post('/forgot-password', rateLimit('passwordReset'), handleForgotPassword);
+router.get('/reset-password', handleResetPassword);
+router.post('/reset-password', rateLimit('passwordReset'), handleResetPassword);
+router.on(['GET', 'POST'], '/login', handleLogin);
+router.get('/login/2fa', handleLoginTwoFactor);
+router.post('/login/2fa', rateLimit('twoFactor'), handleLoginTwoFactor);
+router.get('/login/magic', handleMagicLinkRequest);
+router.post('/login/magic', rateLimit('magicLink'), handleMagicLinkRequest);
+router.on(['GET', 'POST'], '/login/magic/verify', handleMagicLinkVerify);
+router.get('/login/oauth/:provider', rateLimit('oauth'), handleOAuthStart);
+router.get('/login/oauth/:provider/callback', rateLimit('oauth'), handleOAuthCallback);
+router.get('/unlock', handleUnlock);
+router.on(['GET', 'POST'], '/logout', handleLogout);
 
-// Basic signup form
-async function handleSignup(request, env) {
-  if (request.method === "GET") {
-    const html = renderAuthForm({
-      title: 'Sign Up',
-      action: '/signup',
-      submitText: 'Create Account',
-      extraFields: '<input type="text" name="website" style="display: none;"> <!-- Honeypot -->',
-      alternateLink: {
-        href: '/login',
-        text: 'Already have an account? Login'
-      }
-    });
-    
-    return new Response(html, {
-      headers: { "Content-Type": "text/html; charset=utf-8" }
-    });
-  }
-  
-  // Handle POST request
-  const formData = await request.formData();
-  const email = formData.get("email");
-  const password = formData.get("password");
-  const website = formData.get("website"); // Honeypot
-  const ip = getClientIP(request);
-  
-  // Honeypot check
-  if (website && website.trim() !== "") {
-    await logSecurityEvent(env, 'signup_honeypot_triggered', { email, ip });
-    // Return fake success to avoid revealing honeypot
-    return Response.redirect("/login?message=Account created! Please log in.", 302);
-  }
-  
-  // Validate email
-  const emailValidation = await validateEmailLegitimacy(email, env);
-  if (!emailValidation.isValid) {
-    const userMessage = getEmailErrorMessage(emailValidation.reason);
-    return new Response(userMessage, { 
-      status: 400, 
-      headers: { "Content-Type": "text/plain; charset=utf-8" } 
-    });
-  }
-  
-  // Check if user already exists
-  const existingUser = await env.USERS.get(email);
-  if (existingUser) {
-    await logSecurityEvent(env, "signup_existing_email", { email, ip });
-    return new Response("An account with this email already exists.", { 
-      status: 400, 
-      headers: { "Content-Type": "text/plain; charset=utf-8" } 
-    });
-  }
-  
-  // Create user (in production, hash the password!)
-  const userData = {
-    email,
-    password, // TODO: Hash this with crypto.subtle
-    createdAt: new Date().toISOString(),
-    verified: true // In production, implement email verification
-  };
-  
-  await env.USERS.put(email, JSON.stringify(userData));
-  await logUserAction(env, 'signup_success', email, { ip });
-  
-  return Response.redirect("/login?message=Account created! Please log in.", 302);
-}
+// Account (signed in)
+router.get('/dashboard', requireAuth(), handleDashboard);
+router.get('/account/sessions', requirePermission(PERMISSIONS.ACCOUNT_READ), handleSessionsPage);
+router.post('/account/sessions/revoke', requirePermission(PERMISSIONS.ACCOUNT_WRITE), handleRevokeSession);
+router.post('/account/sessions/revoke-others', requirePermission(PERMISSIONS.ACCOUNT_WRITE), handleRevokeOtherSessions);
+router.get('/account/activity', requirePermission(PERMISSIONS.ACCOUNT_READ), handleActivityPage);
+router.post('/account/activity/not-me', requirePermission(PERMISSIONS.ACCOUNT_WRITE), rateLimit('passwordReset'), handleReportNotMe);
+router.get('/account/2fa', requirePermission(PERMISSIONS.ACCOUNT_READ), handleTwoFactorPage);
+router.post('/account/2fa/enable', requirePermission(PERMISSIONS.ACCOUNT_WRITE), rateLimit('twoFactor'), handleEnableTwoFactor);
+router.post('/account/2fa/disable', requirePermission(PERMISSIONS.ACCOUNT_WRITE), rateLimit('twoFactor'), handleDisableTwoFactor);
+router.post('/account/2fa/recovery-codes', requirePermission(PERMISSIONS.ACCOUNT_WRITE), rateLimit('twoFactor'), handleRegenerateRecoveryCodes);
+router.get('/account/passkeys', requirePermission(PERMISSIONS.ACCOUNT_READ), handlePasskeysPage);
+router.post('/account/passkeys/revoke', requirePermission(PERMISSIONS.ACCOUNT_WRITE), handleRevokePasskey);
+router.post('/account/identities/link', requirePermission(PERMISSIONS.ACCOUNT_WRITE), rateLimit('oauth'), handleLinkIdentity);
+router.post('/account/identities/unlink', requirePermission(PERMISSIONS.ACCOUNT_WRITE), handleUnlinkIdentity);
+
+// Admin console
+router.get('/admin', requirePermission(PERMISSIONS.USERS_READ), handleAdminHome);
+router.get('/admin/users', requirePermission(PERMISSIONS.USERS_READ), handleAdminUsers);
+router.get('/admin/users/:id', requirePermission(PERMISSIONS.USERS_READ), handleAdminUser);
+router.post('/admin/users/:id/verify', requirePermission(PERMISSIONS.USERS_WRITE), handleAdminVerifyUser);
+router.post('/admin/users/:id/plan', requirePermission(PERMISSIONS.USERS_WRITE), handleAdminChangePlan);
+router.post('/admin/users/:id/roles', requireRole('admin'), handleAdminChangeRoles);
+router.post('/admin/users/:id/logout', requirePermission(PERMISSIONS.USERS_WRITE), handleAdminForceLogout);
+router.post('/admin/users/:id/lock', requirePermission(PERMISSIONS.USERS_WRITE), handleAdminLockUser);
+router.post('/admin/users/:id/unlock', requirePermission(PERMISSIONS.USERS_WRITE), handleAdminUnlockUser);
+router.post('/admin/users/:id/delete', requirePermission(PERMISSIONS.USERS_WRITE), handleAdminDeleteUser);
+router.get('/admin/audit', requirePermission(PERMISSIONS.AUDIT_READ), handleAdminAudit);
+
+// JSON API
+router.get('/api/account/sessions', requirePermission(PERMISSIONS.ACCOUNT_READ), handleListSessionsApi);
+router.post('/api/account/sessions/revoke-others', requirePermission(PERMISSIONS.ACCOUNT_WRITE), handleRevokeOtherSessionsApi);
+router.delete('/api/account/sessions/:id', requirePermission(PERMISSIONS.ACCOUNT_WRITE), handleRevokeSessionApi);
+router.get('/api/admin/audit', requirePermission(PERMISSIONS.AUDIT_READ), handleAuditApi);
+router.post('/api/contact', rateLimit('contact'), handleContact);
+
+// WebAuthn ceremonies (JSON, driven by the passkey script in templates.js)
+router.post('/api/webauthn/register/options', requirePermission(PERMISSIONS.ACCOUNT_WRITE), handlePasskeyRegisterOptions);
+router.post('/api/webauthn/register/verify', requirePermission(PERMISSIONS.ACCOUNT_WRITE), handlePasskeyRegisterVerify);
+router.post('/api/webauthn/login/options', rateLimit('passkeyLogin'), handlePasskeyLoginOptions);
+router.post('/api/webauthn/login/verify', rateLimit('passkeyLogin'), handlePasskeyLoginVerify);
+router.post('/api/webauthn/2fa/options', rateLimit('twoFactor'), handlePasskeyTwoFactorOptions);
+router.post('/api/webauthn/2fa/verify', rateLimit('twoFactor'), handlePasskeyTwoFactorVerify);
+
+// Mock OpenID Connect provider for development and tests (404 unless OAUTH_MOCK_IDP=true)
+router.get('/api/mock-idp/.well-known/openid-configuration', handleMockIdpDiscovery);
+router.get('/api/mock-idp/jwks', handleMockIdpJwks);
+router.on(['GET', 'POST'], '/api/mock-idp/authorize', handleMockIdpAuthorize);
+router.post('/api/mock-idp/token', handleMockIdpToken);
+
+router.notFound(() => ErrorResponses.notFound());
 
 export default {
-  async fetch(request, env) {
-    try {
-      const url = new URL(request.url);
-      
-      // Force HTTPS in production
-      if (url.protocol === "http:" && !request.headers.get("x-forwarded-proto")) {
-        url.protocol = "https:";
-        return Response.redirect(url.toString(), 301);
-      }
-      
-      // Get session for authenticated routes
-      const session = await getSession(request, env);
-      
-      // Routes
-      if (url.pathname === "/") {
-        return addSecurityHeaders(await handleHome(request, env, session));
-      }
-      else if (url.pathname === "/signup") {
-        // Rate limit signup attempts
-        const rateLimitResponse = await withRateLimit(env, request, 'signup', 5, 60 * 60 * 1000); // 5 per hour
-        if (rateLimitResponse) return addSecurityHeaders(rateLimitResponse);
-        return addSecurityHeaders(await handleSignup(request, env));
-      }
-      else if (url.pathname === "/login") {
-        // TODO: Implement login handler
-        return new Response("Login page - TODO", { 
-          headers: { "Content-Type": "text/plain; charset=utf-8" } 
-        });
-      }
-      else if (url.pathname === "/logout") {
-        if (session) {
-          await destroySession(env, session.id);
-          await logUserAction(env, 'logout', session.email);
-        }
-        const response = Response.redirect("/", 302);
-        response.headers.set("Set-Cookie", createSessionCookie("", { maxAge: 0 }));
-        return addSecurityHeaders(response);
-      }
-      else if (url.pathname === "/dashboard") {
-        if (!session) {
-          return Response.redirect("/login", 302);
-        }
-        return new Response("Dashboard - TODO", { 
-          headers: { "Content-Type": "text/plain; charset=utf-8" } 
-        });
-      }
-      else if (url.pathname === "/api/contact" && request.method === "POST") {
-        return addSecurityHeaders(await handleContact(request, env));
-      }
-      // 404 for unknown routes
-      return addSecurityHeaders(ErrorResponses.notFound());
-      
-    } catch (error) {
-      console.error("Worker error:", error);
-      
-      // Handle KV limit errors gracefully
-      if (isKVLimitError(error)) {
-        return addSecurityHeaders(createKVLimitErrorResponse());
-      }
-      
-      return addSecurityHeaders(ErrorResponses.serverError(error.message));
-    }
+  async fetch(request, env, ctx) {
+    return router.handle(request, env, ctx);
   },
   
   // Optional: Scheduled tasks
   async scheduled(event, env, ctx) {
     // Add your scheduled tasks here
     console.log("Scheduled task executed at:", new Date().toISOString());
+    
+    // One-off: move users created by the old signup handler to the user:/user_by_id: schema.
+    // Only runs while the cron trigger in wrangler.toml is enabled, and is a no-op once complete.
+    ctx.waitUntil(runLegacyUserMigration(env).catch(error => {
+      console.error("Legacy user migration failed:", error);
+    }));
   }
 };